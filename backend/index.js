@@ -3,11 +3,33 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import cors from 'cors';
 import WebTorrent from 'webtorrent';
+import { createJobStore } from './services/jobStore.js';
+import { createJobEvents } from './services/jobEvents.js';
+import { createWorkQueue, PRIORITY, JobCancelledError, throwIfCancelled, isCancelledError } from './services/workQueue.js';
+import { createTorrentScorer, describeScoreBreakdown } from './services/torrentScoring.js';
+import { parseAudioQuality } from './services/audioQuality.js';
+import { createAudioMetadataReader, describeAudioMetadata } from './services/audioMetadata.js';
+import { createAudioCache } from './services/audioCache.js';
+import { parseInfoHash } from './services/magnetLinks.js';
+import { createTorrentLifecycle } from './services/torrentLifecycle.js';
+import { createPlaybackPrioritiser } from './services/playbackPriority.js';
+import { createPlaylistStore, PlaylistError } from './services/playlistStore.js';
+import { createMusicBrainzClient, isMbid } from './services/musicBrainzClient.js';
+import { buildDiscography, describeEdition, sortEditions, DISCOGRAPHY_SECTIONS } from './services/discography.js';
+import { formatArtistCredit, describeRecordingCredits, describeRecordingWorks, describeAppearances, describeArtistRelations, ARTIST_RELATIONS_INC } from './services/musicBrainzRelations.js';
+import { findRelatedArtists } from './services/relatedArtists.js';
+import { exportPlaylist, parsePlaylist, detectPlaylistFormat, PLAYLIST_FORMATS } from './services/playlistFormats.js';
+import { createHlsPackager, prioritiseTimeRange, segmentCount } from './services/hlsPackager.js';
+import { createTranscoder, parseTranscodeOptions, checkPlayback, playbackNeedsTags, TRANSCODE_FORMATS, TranscodeError } from './services/transcoder.js';
+import { matchTracksToFiles, findTrackMatch, parseAudioFilePath, compareAudioFiles, findFileByDiscPosition } from './services/trackMatcher.js';
 // Read environment variables if provided (no-op if not using a .env loader)
 // If you later add `dotenv`, you can switch to: `import 'dotenv/config'`
 
 const app = express();
-app.use(express.json());
+// Playlist imports parse their own bodies, up to PLAYLIST_CONFIG.maxImportBytes rather than 100kb
+const PLAYLIST_IMPORT_PATH = '/api/playlists/import';
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === PLAYLIST_IMPORT_PATH ? next() : parseJson(req, res, next)));
 app.use(cors()); // Enable CORS for frontend requests
 
 // Global cache for artist image search attempts
@@ -19,7 +41,12 @@ const RESET_INTERVAL = 5 * 60 * 1000; // Reset counter every 5 minutes
 
 // WebTorrent client for server-side torrent streaming
 const torrentClient = new WebTorrent();
-const activeTorrents = new Map(); // Track active torrents by magnet link
+const activeTorrents = new Map(); // Track active torrents by info hash (see torrentKey)
+
+// Key for activeTorrents: the info hash, so magnets that differ only in trackers/names share one torrent
+function torrentKey(magnetLink) {
+  return parseInfoHash(magnetLink) || magnetLink;
+}
 
 // WebTorrent client event handlers
 torrentClient.on('error', (err) => {
@@ -53,30 +80,127 @@ if (!PROWLARR_CONFIG.apiKey) {
   console.warn('⚠️ PROWLARR_API_KEY is not set. Prowlarr requests will fail until you configure it.');
 }
 
+const JOB_STORE_CONFIG = {
+  driver: process.env.JOB_STORE_DRIVER || 'sqlite', // 'sqlite' (persistent) or 'memory'
+  filePath: process.env.JOB_STORE_PATH || './data/jobs.db',
+  finishedJobTtl: 60 * 60 * 1000 // Prune completed/failed jobs after 1 hour
+};
+
+// Concurrency caps for background work (see services/workQueue.js)
+const QUEUE_CONFIG = {
+  jobs: parseInt(process.env.QUEUE_CONCURRENCY_JOBS, 10) || 4, // Async find-best-torrent / stream-torrent jobs
+  preload: parseInt(process.env.QUEUE_CONCURRENCY_PRELOAD, 10) || 1, // Artist album pre-loading runs
+  prowlarr: parseInt(process.env.QUEUE_CONCURRENCY_PROWLARR, 10) || 2, // Prowlarr search requests
+  magnet: parseInt(process.env.QUEUE_CONCURRENCY_MAGNET, 10) || 4, // Magnet resolution requests
+  torrentAdd: parseInt(process.env.QUEUE_CONCURRENCY_TORRENT_ADD, 10) || 3, // WebTorrent adds waiting for metadata
+  metadata: parseInt(process.env.QUEUE_CONCURRENCY_METADATA, 10) || 2, // Embedded tag reads from torrent files
+  hls: parseInt(process.env.QUEUE_CONCURRENCY_HLS, 10) || 2 // ffmpeg HLS segment encodes
+};
+
+const workQueue = createWorkQueue(QUEUE_CONFIG);
+
+// Embedded tag reading (ID3v2 / FLAC / MP4) for torrent audio files
+const METADATA_CONFIG = {
+  headerBytes: parseInt(process.env.METADATA_HEADER_BYTES, 10) || 128 * 1024, // First read per file; larger tags fetch more
+  fileTimeoutMs: parseInt(process.env.METADATA_READ_TIMEOUT_MS, 10) || 20000, // Per byte-range read
+  listingTimeoutMs: parseInt(process.env.METADATA_LISTING_TIMEOUT_MS, 10) || 30000, // Max wait in /api/torrent-tracks
+  pictureCacheBytes: (parseInt(process.env.METADATA_PICTURE_CACHE_MB, 10) || 64) * 1024 * 1024 // Cover art kept with cached tags
+};
+
+const audioMetadataReader = createAudioMetadataReader({
+  headerBytes: METADATA_CONFIG.headerBytes,
+  timeoutMs: METADATA_CONFIG.fileTimeoutMs,
+  maxPictureBytes: METADATA_CONFIG.pictureCacheBytes
+});
+
+// ffmpeg transcoding for formats the client can't play (see /api/transcode)
+const TRANSCODE_CONFIG = {
+  ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+  maxProcesses: parseInt(process.env.TRANSCODE_MAX_PROCESSES, 10) || 2,
+  defaultFormat: TRANSCODE_FORMATS[process.env.TRANSCODE_DEFAULT_FORMAT] ? process.env.TRANSCODE_DEFAULT_FORMAT : 'opus'
+};
+
+const transcoder = createTranscoder({
+  ffmpegPath: TRANSCODE_CONFIG.ffmpegPath,
+  maxProcesses: TRANSCODE_CONFIG.maxProcesses
+});
+
+// HLS mode: torrent files cut into short AAC segments on demand (see /api/hls)
+const HLS_CONFIG = {
+  segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS, 10) || 6,
+  bitrate: parseInt(process.env.HLS_BITRATE, 10) || 192,
+  prefetchSegments: parseInt(process.env.HLS_PREFETCH_SEGMENTS, 10) || 2, // Encoded ahead of the playhead
+  timeoutMs: parseInt(process.env.HLS_FFMPEG_TIMEOUT_MS, 10) || 60000 // Per segment encode / duration probe
+};
+
+const hlsPackager = createHlsPackager({
+  ffmpegPath: TRANSCODE_CONFIG.ffmpegPath,
+  segmentSeconds: HLS_CONFIG.segmentSeconds,
+  bitrate: HLS_CONFIG.bitrate,
+  timeoutMs: HLS_CONFIG.timeoutMs
+});
+
+// Local library cache: completed audio files kept on disk with LRU eviction (see services/audioCache.js)
+const AUDIO_CACHE_CONFIG = {
+  directory: process.env.AUDIO_CACHE_DIR || './data/audio-cache',
+  maxBytes: (parseFloat(process.env.AUDIO_CACHE_MAX_GB) || 20) * 1024 ** 3 // Size budget; least recently played files go first
+};
+
+const audioCache = createAudioCache(AUDIO_CACHE_CONFIG);
+console.log(`✅ Audio cache initialized (${AUDIO_CACHE_CONFIG.directory}, ${formatBytes(AUDIO_CACHE_CONFIG.maxBytes)} budget)`);
+
+// User playlists (see services/playlistStore.js)
+const PLAYLIST_CONFIG = {
+  filePath: process.env.PLAYLIST_DB_PATH || './data/playlists.db',
+  maxImportBytes: '2mb'
+};
+
+const playlistStore = createPlaylistStore(PLAYLIST_CONFIG);
+console.log(`✅ Playlist store initialized (${playlistStore.filePath})`);
+
+// Torrent lifecycle: idle torrents are paused, then removed; caps evict the least recently used
+// (see services/torrentLifecycle.js). Torrents being streamed are never touched.
+const LIFECYCLE_CONFIG = {
+  maxActiveTorrents: parseInt(process.env.TORRENT_MAX_ACTIVE, 10) || 20,
+  maxConnections: parseInt(process.env.TORRENT_MAX_CONNECTIONS, 10) || 300, // Peer connections across all torrents
+  maxDiskBytes: (parseFloat(process.env.TORRENT_MAX_DISK_GB) || 10) * 1024 ** 3, // Downloaded torrent data
+  pauseAfterMs: parseInt(process.env.TORRENT_IDLE_PAUSE_MS, 10) || 10 * 60 * 1000,
+  removeAfterMs: parseInt(process.env.TORRENT_IDLE_REMOVE_MS, 10) || 30 * 60 * 1000,
+  protectMs: parseInt(process.env.TORRENT_PROTECT_MS, 10) || 2 * 60 * 1000, // Grace period after the last access
+  sweepIntervalMs: 60 * 1000
+};
+
+const torrentLifecycle = createTorrentLifecycle({ torrents: activeTorrents, ...LIFECYCLE_CONFIG });
+
+// Piece prioritisation for the playing file (see services/playbackPriority.js)
+const PLAYBACK_CONFIG = {
+  readAheadBytes: (parseFloat(process.env.PLAYBACK_READ_AHEAD_MB) || 8) * 1024 * 1024 // Critical pieces ahead of each stream's position
+};
+
+const playbackPrioritiser = createPlaybackPrioritiser(PLAYBACK_CONFIG);
+
+// Weighted torrent scoring rules (see config/torrentScoring.json)
+const torrentScorer = createTorrentScorer({ configPath: process.env.TORRENT_SCORING_CONFIG });
+
 const MUSICBRAINZ_CONFIG = {
   baseUrl: 'https://musicbrainz.org/ws/2',
-  userAgent: 'LizzenWebApp/1.0.0 (contact@lizzen.org)', // Updated with your domain
-  rateLimit: 1000, // 1 request per second as per their guidelines
+  userAgent: process.env.MUSICBRAINZ_USER_AGENT || 'LizzenWebApp/1.0.0 (contact@lizzen.org)', // Updated with your domain
+  rateLimitMs: parseInt(process.env.MUSICBRAINZ_RATE_LIMIT_MS, 10) || 1000, // 1 request per second as per their guidelines
+  burst: parseInt(process.env.MUSICBRAINZ_BURST, 10) || 1, // Requests that may go out back to back after an idle spell
+  maxRetries: parseInt(process.env.MUSICBRAINZ_MAX_RETRIES, 10) || 4,
+  cachePath: process.env.MUSICBRAINZ_CACHE_PATH || './data/musicbrainz-cache.db',
+  cacheTtlMs: (parseFloat(process.env.MUSICBRAINZ_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+  searchCacheTtlMs: (parseFloat(process.env.MUSICBRAINZ_SEARCH_CACHE_TTL_MINUTES) || 60) * 60 * 1000,
+  memoryCacheEntries: parseInt(process.env.MUSICBRAINZ_MEMORY_CACHE_ENTRIES, 10) || 500,
+  maxBrowsePages: parseInt(process.env.MUSICBRAINZ_BROWSE_MAX_PAGES, 10) || 10, // 100 entities per page
   domain: 'https://lizzen.org',
   callbackUri: 'https://lizzen.org/api/musicbrainz/callback'
 };
 
-// Rate limiting for MusicBrainz API calls
-let lastMusicBrainzCall = 0;
-async function rateLimitedMusicBrainzCall(url, config) {
-  const now = Date.now();
-  const timeSinceLastCall = now - lastMusicBrainzCall;
-  const minInterval = MUSICBRAINZ_CONFIG.rateLimit; // 1 second
-  
-  if (timeSinceLastCall < minInterval) {
-    const waitTime = minInterval - timeSinceLastCall;
-    console.log(`⏰ Rate limiting: waiting ${waitTime}ms before MusicBrainz call`);
-    await new Promise(resolve => setTimeout(resolve, waitTime));
-  }
-  
-  lastMusicBrainzCall = Date.now();
-  return axios.get(url, config);
-}
+// Every MusicBrainz call goes through this client: one shared rate-limited queue plus a
+// memory + disk response cache (see services/musicBrainzClient.js)
+const musicBrainz = createMusicBrainzClient(MUSICBRAINZ_CONFIG);
+console.log(`✅ MusicBrainz client initialized (${MUSICBRAINZ_CONFIG.rateLimitMs}ms per request, cache ${musicBrainz.cachePath})`);
 
 // Helper function to format bytes
 function formatBytes(bytes) {
@@ -97,57 +221,22 @@ function withTimeout(promise, timeoutMs = 40000) {
   ]);
 }
 
-// Helper function to retry API calls with exponential backoff
-async function retryApiCall(apiCall, maxAttempts = 10, baseDelay = 1000) {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      console.log(`🔄 API call attempt ${attempt}/${maxAttempts}`);
-      const result = await apiCall();
-      console.log(`✅ API call succeeded on attempt ${attempt}`);
-      return result;
-    } catch (error) {
-      console.log(`❌ API call failed on attempt ${attempt}: ${error.message}`);
-      
-      if (attempt === maxAttempts) {
-        console.log(`🚫 Max attempts (${maxAttempts}) reached, giving up`);
-        throw error;
-      }
-      
-      // Calculate delay with exponential backoff (but cap at 10 seconds)
-      const delay = Math.min(baseDelay * Math.pow(1.5, attempt - 1), 10000);
-      console.log(`⏱️ Waiting ${delay}ms before retry...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-}
-
 // Function to search MusicBrainz for metadata
 async function searchMusicBrainz(query) {
   console.log(`🎵 Searching MusicBrainz for: "${query}"`);
   
   try {
-    // Search for artists, releases, and recordings with rate limiting
-    console.log(`⏰ Making 3 rate-limited calls to MusicBrainz...`);
-    
-    const artistResponse = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/artist`, {
-      headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-      params: { query: query, fmt: 'json', limit: 5 }
-    });
-    
-    const releaseResponse = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/release`, {
-      headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-      params: { query: query, fmt: 'json', limit: 5 }
-    });
-    
-    const recordingResponse = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/recording`, {
-      headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-      params: { query: query, fmt: 'json', limit: 5 }
-    });
+    // Search for artists, releases, and recordings (queued behind other MusicBrainz calls, cached)
+    const [artistData, releaseData, recordingData] = await Promise.all([
+      musicBrainz.search('artist', query, { limit: 5 }),
+      musicBrainz.search('release', query, { limit: 5 }),
+      musicBrainz.search('recording', query, { limit: 5 })
+    ]);
 
     const results = {
-      artists: artistResponse.data.artists || [],
-      releases: releaseResponse.data.releases || [],
-      recordings: recordingResponse.data.recordings || []
+      artists: artistData.artists || [],
+      releases: releaseData.releases || [],
+      recordings: recordingData.recordings || []
     };
 
     console.log(`✅ MusicBrainz results: ${results.artists.length} artists, ${results.releases.length} releases, ${results.recordings.length} recordings`);
@@ -265,20 +354,22 @@ function enrichResultsWithMusicBrainz(prowlarrResults, musicbrainzData) {
     };
   });
 }
-async function searchProwlarr(query) {
+// Search Prowlarr (queued in the 'prowlarr' lane; pass priority/jobId for background work)
+async function searchProwlarr(query, { priority = PRIORITY.USER, jobId = null } = {}) {
   console.log(`📡 Searching Prowlarr for: "${query}"`);
   console.log(`🔗 URL: ${PROWLARR_CONFIG.baseUrl}/search`);
   
   try {
     // First try without categories to see if it works
-    const response = await axios.get(`${PROWLARR_CONFIG.baseUrl}/search`, {
+    const response = await workQueue.run('prowlarr', ({ signal }) => axios.get(`${PROWLARR_CONFIG.baseUrl}/search`, {
       headers: { 'X-Api-Key': PROWLARR_CONFIG.apiKey },
       params: {
         query: query,
         type: 'search'
         // categories: PROWLARR_CONFIG.musicCategories, // Temporarily disabled
-      }
-    });
+      },
+      signal
+    }), { priority, jobId, label: `Prowlarr search: ${query}` });
     
     console.log(`✅ Prowlarr response status: ${response.status}`);
     console.log(`📊 Results count: ${response.data?.length || 0}`);
@@ -345,7 +436,8 @@ function cleanSearchResults(prowlarrResults) {
       leechers: result.leechers || 0,
       indexer: result.indexer || 'Unknown',
       category: result.categoryDesc || 'Music',
-      publishDate: result.publishDate ? new Date(result.publishDate).toLocaleDateString() : 'Unknown'
+      publishDate: result.publishDate ? new Date(result.publishDate).toLocaleDateString() : 'Unknown',
+      quality: parseAudioQuality(result.title) // codec, bitrate/bit depth, sample rate, source, lossless
     };
   });
 }
@@ -528,10 +620,11 @@ async function scrapeAndSearch(url, searchTerms) {
 // ROUTES
 
 // Health check endpoint for WebTorrent service
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   const torrentStats = {
     isReady: !!torrentClient,
     activeTorrents: activeTorrents.size,
+    lifecycle: torrentLifecycle.stats(),
     clientStats: {
       torrents: torrentClient.torrents.length,
       downloadSpeed: torrentClient.downloadSpeed,
@@ -547,6 +640,14 @@ app.get('/api/health', (req, res) => {
     timestamp: new Date().toISOString(),
     services: {
       webTorrent: torrentStats,
+      transcoder: {
+        ffmpegAvailable: await transcoder.isAvailable(),
+        ...transcoder.stats()
+      },
+      hls: hlsPackager.stats(),
+      audioMetadata: audioMetadataReader.stats(),
+      audioCache: audioCache.stats(),
+      musicBrainz: musicBrainz.stats(),
       prowlarr: {
         configured: !!process.env.PROWLARR_API_KEY || 'localhost:9696',
         endpoint: 'http://localhost:9696'
@@ -770,6 +871,13 @@ app.get('/api/search', async (req, res) => {
   }
 });
 
+// Drop every cached MusicBrainz / Cover Art Archive response (e.g. after fixing data on musicbrainz.org)
+app.delete('/api/musicbrainz/cache', (req, res) => {
+  const removed = musicBrainz.clearCache();
+  console.log(`🧹 Cleared ${removed} cached MusicBrainz responses`);
+  res.json({ success: true, removed });
+});
+
 // New endpoint to search Prowlarr for a specific MusicBrainz item
 app.post('/api/search-torrents', async (req, res) => {
   const { musicbrainzItem, type } = req.body;
@@ -852,8 +960,12 @@ app.post('/api/search-torrents', async (req, res) => {
 });
 
 // New endpoint to find the best torrent for a specific track using MusicBrainz ID
-// In-memory job tracking for async operations
-const asyncJobs = new Map();
+// Job tracking for async operations (persisted so jobs survive restarts)
+const asyncJobs = createJobStore(JOB_STORE_CONFIG);
+console.log(`✅ Job store initialized (${asyncJobs.driver}${asyncJobs.filePath ? `: ${asyncJobs.filePath}` : ''})`);
+
+// Push channels (SSE + WebSocket) fed by job store updates
+const jobEvents = createJobEvents(asyncJobs);
 
 // Generate unique job ID
 function generateJobId() {
@@ -861,7 +973,7 @@ function generateJobId() {
 }
 
 app.post('/api/find-best-torrent', async (req, res) => {
-  const { trackTitle, artistName, albumTitle, async: useAsync = true } = req.body;
+  const { trackTitle, artistName, albumTitle, qualityPreference, async: useAsync = true } = req.body;
   
   console.log(`\n🎯 === SMART TORRENT SEARCH ===`);
   console.log(` Track: ${trackTitle}`);
@@ -883,7 +995,7 @@ app.post('/api/find-best-torrent', async (req, res) => {
     asyncJobs.set(jobId, {
       status: 'pending',
       type: 'find-best-torrent',
-      params: { trackTitle, artistName, albumTitle },
+      params: { trackTitle, artistName, albumTitle, qualityPreference },
       startedAt: new Date().toISOString(),
       progress: 0
     });
@@ -898,8 +1010,8 @@ app.post('/api/find-best-torrent', async (req, res) => {
       message: 'Torrent search started, check /api/job-status/:jobId for results'
     });
 
-    // Start async processing
-    setImmediate(() => processTorrentSearchAsync(jobId, trackTitle, artistName, albumTitle));
+    // Queue async processing (user-initiated, so ahead of background pre-loading)
+    enqueueTorrentSearchJob(jobId, { trackTitle, artistName, albumTitle, qualityPreference });
     
     return;
   }
@@ -915,23 +1027,13 @@ app.post('/api/find-best-torrent', async (req, res) => {
       const searchQuery = `artist:"${artistName}" AND recording:"${trackTitle}"`;
       console.log(`🎵 MusicBrainz search query: ${searchQuery}`);
       
-      const mbSearchResults = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/recording`, {
-        params: {
-          query: searchQuery,
-          fmt: 'json',
-          limit: 10 // Get more results to find best match
-        },
-        headers: {
-          'User-Agent': MUSICBRAINZ_CONFIG.userAgent
-        },
-        timeout: 10000
-      });
+      const mbSearchResults = await musicBrainz.search('recording', searchQuery, { limit: 10 });
       
-      if (mbSearchResults.data.recordings && mbSearchResults.data.recordings.length > 0) {
+      if (mbSearchResults.recordings && mbSearchResults.recordings.length > 0) {
         // Find the best match (exact title match preferred)
-        let bestMatch = mbSearchResults.data.recordings[0]; // Default to first result
+        let bestMatch = mbSearchResults.recordings[0]; // Default to first result
         
-        for (const recording of mbSearchResults.data.recordings) {
+        for (const recording of mbSearchResults.recordings) {
           // Prefer exact title matches
           if (recording.title.toLowerCase() === trackTitle.toLowerCase()) {
             bestMatch = recording;
@@ -948,17 +1050,7 @@ app.post('/api/find-best-torrent', async (req, res) => {
         
         // Get additional details with the real UUID
         try {
-          const detailsResponse = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/recording/${realMusicBrainzId}`, {
-            params: {
-              fmt: 'json',
-              inc: 'artist-credits+releases+isrcs'
-            },
-            headers: {
-              'User-Agent': MUSICBRAINZ_CONFIG.userAgent
-            },
-            timeout: 10000
-          });
-          trackDetails = detailsResponse.data;
+          trackDetails = await musicBrainz.lookup('recording', realMusicBrainzId, { inc: 'artist-credits+releases+isrcs' });
           console.log(`✅ Enhanced track details retrieved`);
         } catch (detailsError) {
           console.log(`⚠️ Could not get enhanced details: ${detailsError.message}`);
@@ -1052,7 +1144,8 @@ app.post('/api/find-best-torrent', async (req, res) => {
       try {
         console.log(`🔍 Searching Prowlarr: "${query}"`);
         
-        const response = await axios.get(`${PROWLARR_CONFIG.baseUrl}/search`, {
+        // Queued in the 'prowlarr' lane like every other search, so these count towards its cap
+        const response = await workQueue.run('prowlarr', ({ signal }) => axios.get(`${PROWLARR_CONFIG.baseUrl}/search`, {
           params: {
             query: query,
             categories: [3000, 3010, 3020, 3030, 3040], // Music categories
@@ -1061,8 +1154,9 @@ app.post('/api/find-best-torrent', async (req, res) => {
           headers: {
             'X-Api-Key': PROWLARR_CONFIG.apiKey
           },
-          timeout: 15000
-        });
+          timeout: 15000,
+          signal
+        }), { priority: PRIORITY.USER, label: `Prowlarr search: ${query}` });
 
         if (response.data && Array.isArray(response.data)) {
           console.log(`📦 Found ${response.data.length} results for "${query}"`);
@@ -1086,94 +1180,11 @@ app.post('/api/find-best-torrent', async (req, res) => {
     }
 
     // 4. Apply smart filtering and scoring
-    const now = new Date();
-    const twoDaysAgo = new Date(now.getTime() - (2 * 24 * 60 * 60 * 1000));
-    
-    const scoredTorrents = allTorrents
-      .filter(torrent => {
-        // Filter out torrents newer than 2 days
-        const publishDate = new Date(torrent.publishDate);
-        const isOldEnough = publishDate <= twoDaysAgo;
-        
-        // Filter out torrents with 0 seeders (likely dead)
-        const seeders = parseInt(torrent.seeders) || 0;
-        const hasActiveSeeder = seeders > 0;
-        
-        if (!hasActiveSeeder) {
-          console.log(`🚫 Skipping torrent with 0 seeders: ${torrent.title?.substring(0, 50)}...`);
-        }
-        
-        return isOldEnough && hasActiveSeeder;
-      })
-      .map(torrent => {
-        let score = 0;
-        const title = (torrent.title || '').toLowerCase();
-        const trackLower = trackTitle.toLowerCase();
-        const artistLower = (artistName || '').toLowerCase();
-        
-        // Seeder score (primary factor)
-        const seeders = parseInt(torrent.seeders) || 0;
-        score += seeders * 10; // 10 points per seeder
-        
-        // Title similarity score
-        const titleWords = trackLower.split(/\s+/);
-        const matchedWords = titleWords.filter(word => 
-          word.length > 2 && title.includes(word)
-        ).length;
-        const titleSimilarity = titleWords.length > 0 ? matchedWords / titleWords.length : 0;
-        score += titleSimilarity * 1000; // Up to 1000 points for perfect title match
-        
-        // Artist similarity score
-        if (artistLower && title.includes(artistLower)) {
-          score += 500; // 500 points for artist match
-        }
-        
-        // Album similarity score
-        if (albumTitle) {
-          const albumLower = albumTitle.toLowerCase();
-          if (title.includes(albumLower)) {
-            score += 300; // 300 points for album match
-          }
-        }
-        
-        // Audio format preference (FLAC > MP3 > others)
-        if (title.includes('flac')) {
-          score += 200;
-        } else if (title.includes('mp3')) {
-          score += 100;
-        }
-        
-        // Penalty for very large files (likely albums, not singles)
-        const sizeGB = parseFloat(torrent.size) || 0;
-        if (sizeGB > 500) { // Larger than 500MB, probably an album
-          score -= 200;
-        }
-        
-        // Age bonus (older = more stable)
-        const ageInDays = (now - new Date(torrent.publishDate)) / (24 * 60 * 60 * 1000);
-        if (ageInDays > 30) {
-          score += 50; // Bonus for torrents older than 30 days
-        }
-        
-        // Leecher ratio (prefer torrents with good seed/leech ratio)
-        const leechers = parseInt(torrent.leechers) || 0;
-        if (seeders > 0 && leechers > 0) {
-          const ratio = seeders / leechers;
-          if (ratio > 2) {
-            score += 100; // Good ratio bonus
-          }
-        }
-        
-        return {
-          ...torrent,
-          score: Math.round(score),
-          titleSimilarity: Math.round(titleSimilarity * 100),
-          seeders: seeders,
-          ageInDays: Math.round(ageInDays)
-        };
-      })
-      .filter(torrent => torrent.score > 0) // Remove torrents with zero or negative score
-      .sort((a, b) => b.score - a.score); // Sort by score (highest first)
+    const scoredTorrents = torrentScorer.score(allTorrents, {
+      artist: artistName,
+      track: trackTitle,
+      album: albumTitle
+    }, 'track', { qualityPreference });
 
     console.log(`🎯 Scored and filtered torrents: ${scoredTorrents.length}`);
     
@@ -1194,8 +1205,8 @@ app.post('/api/find-best-torrent', async (req, res) => {
     console.log(`   Title: ${bestTorrent.title}`);
     console.log(`   Score: ${bestTorrent.score}`);
     console.log(`   Seeders: ${bestTorrent.seeders}`);
-    console.log(`   Title similarity: ${bestTorrent.titleSimilarity}%`);
     console.log(`   Age: ${bestTorrent.ageInDays} days`);
+    console.log(`   Breakdown: ${describeScoreBreakdown(bestTorrent.scoreBreakdown)}`);
     
     console.log(`=== END FIND BEST TORRENT ===\n`);
     
@@ -1222,8 +1233,21 @@ app.post('/api/find-best-torrent', async (req, res) => {
   }
 });
 
+// Queue an async torrent search job in the 'jobs' lane
+function enqueueTorrentSearchJob(jobId, { trackTitle, artistName, albumTitle, qualityPreference }, priority = PRIORITY.USER) {
+  workQueue.run('jobs', ({ signal }) => processTorrentSearchAsync(jobId, trackTitle, artistName, albumTitle, qualityPreference, signal), {
+    priority,
+    jobId,
+    label: `Torrent search: ${artistName} - ${trackTitle}`
+  }).catch(error => {
+    if (!isCancelledError(error)) {
+      console.error(`❌ Torrent search job ${jobId} crashed:`, error);
+    }
+  });
+}
+
 // Async torrent search processing function
-async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTitle) {
+async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTitle, qualityPreference, signal) {
   try {
     console.log(`\n🚀 === ASYNC TORRENT SEARCH (${jobId}) ===`);
     
@@ -1246,22 +1270,12 @@ async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTit
       const searchQuery = `artist:"${artistName}" AND recording:"${trackTitle}"`;
       console.log(`🎵 MusicBrainz search query: ${searchQuery}`);
       
-      const mbSearchResults = await rateLimitedMusicBrainzCall(`${MUSICBRAINZ_CONFIG.baseUrl}/recording`, {
-        params: {
-          query: searchQuery,
-          fmt: 'json',
-          limit: 10
-        },
-        headers: {
-          'User-Agent': MUSICBRAINZ_CONFIG.userAgent
-        },
-        timeout: 10000
-      });
+      const mbSearchResults = await musicBrainz.search('recording', searchQuery, { limit: 10 });
       
-      if (mbSearchResults.data.recordings && mbSearchResults.data.recordings.length > 0) {
-        let bestMatch = mbSearchResults.data.recordings[0];
+      if (mbSearchResults.recordings && mbSearchResults.recordings.length > 0) {
+        let bestMatch = mbSearchResults.recordings[0];
         
-        for (const recording of mbSearchResults.data.recordings) {
+        for (const recording of mbSearchResults.recordings) {
           if (recording.title.toLowerCase() === trackTitle.toLowerCase()) {
             bestMatch = recording;
             break;
@@ -1277,6 +1291,8 @@ async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTit
       console.warn(`⚠️ MusicBrainz search failed:`, mbError.message);
     }
 
+    throwIfCancelled(signal);
+    
     // Update progress
     asyncJobs.set(jobId, { ...asyncJobs.get(jobId), progress: 40 });
 
@@ -1317,14 +1333,19 @@ async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTit
 
     // Step 3: Search torrents
     console.log(`🔍 Step 3: Searching torrents with enhanced queries...`);
-    const allTorrents = await searchMultipleTorrentQueries(searchQueries);
+    const allTorrents = await searchMultipleTorrentQueries(searchQueries, { jobId });
+    throwIfCancelled(signal);
     
     // Update progress
     asyncJobs.set(jobId, { ...asyncJobs.get(jobId), progress: 70 });
 
     // Step 4: Score and filter torrents
     console.log(`🔍 Step 4: Scoring and filtering torrents...`);
-    const scoredTorrents = scoreAndFilterTorrents(allTorrents, enhancedArtistName, enhancedTrackTitle, enhancedAlbumTitle);
+    const scoredTorrents = torrentScorer.score(allTorrents, {
+      artist: enhancedArtistName,
+      track: enhancedTrackTitle,
+      album: enhancedAlbumTitle
+    }, 'track', { qualityPreference });
     
     // Update progress
     asyncJobs.set(jobId, { ...asyncJobs.get(jobId), progress: 90 });
@@ -1367,9 +1388,14 @@ async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTit
     });
 
     console.log(`✅ Async torrent search completed for job ${jobId}`);
-    console.log(`🏆 Best torrent: ${bestTorrent.title} (Score: ${bestTorrent.score})`);
+    console.log(`🏆 Best torrent: ${bestTorrent.title} (Score: ${bestTorrent.score}: ${describeScoreBreakdown(bestTorrent.scoreBreakdown)})`);
 
   } catch (error) {
+    if (isCancelledError(error)) {
+      console.log(`🛑 Async torrent search cancelled (${jobId})`);
+      return;
+    }
+    
     console.error(`❌ Error in async torrent search (${jobId}):`, error);
     asyncJobs.set(jobId, {
       ...asyncJobs.get(jobId),
@@ -1382,12 +1408,12 @@ async function processTorrentSearchAsync(jobId, trackTitle, artistName, albumTit
 }
 
 // Helper function to search multiple torrent queries
-async function searchMultipleTorrentQueries(searchQueries) {
+async function searchMultipleTorrentQueries(searchQueries, options = {}) {
   const allTorrents = [];
   
   for (const query of searchQueries.slice(0, 6)) {
     try {
-      const results = await searchProwlarr(query);
+      const results = await searchProwlarr(query, options);
       allTorrents.push(...results);
     } catch (error) {
       console.warn(`⚠️ Search failed for query: ${query}`, error.message);
@@ -1397,40 +1423,6 @@ async function searchMultipleTorrentQueries(searchQueries) {
   return allTorrents;
 }
 
-// Helper function to score and filter torrents
-function scoreAndFilterTorrents(torrents, artistName, trackTitle, albumTitle) {
-  // Filter for active torrents
-  const activeTorrents = torrents.filter(torrent => (torrent.seeders || 0) > 0);
-  
-  // Score torrents (same logic as before)
-  const scoredTorrents = activeTorrents.map(torrent => {
-    let score = 0;
-    const seeders = torrent.seeders || 0;
-    const title = (torrent.title || '').toLowerCase();
-    
-    // Seeder score
-    if (seeders > 50) score += 100;
-    else if (seeders > 20) score += 80;
-    else if (seeders > 10) score += 60;
-    else if (seeders > 5) score += 40;
-    else if (seeders > 0) score += 20;
-    
-    // Title similarity
-    const searchTerms = `${artistName} ${trackTitle} ${albumTitle || ''}`.toLowerCase();
-    const searchWords = searchTerms.split(' ').filter(word => word.length > 2);
-    
-    searchWords.forEach(word => {
-      if (title.includes(word)) {
-        score += 15;
-      }
-    });
-    
-    return { ...torrent, score };
-  });
-  
-  return scoredTorrents.sort((a, b) => b.score - a.score);
-}
-
 // Job status endpoint
 app.get('/api/job-status/:jobId', (req, res) => {
   const { jobId } = req.params;
@@ -1444,13 +1436,104 @@ app.get('/api/job-status/:jobId', (req, res) => {
   res.json(job);
   
   // Clean up completed jobs after they're retrieved
-  if (job.status === 'completed' || job.status === 'failed') {
+  if (job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled') {
     setTimeout(() => {
       asyncJobs.delete(jobId);
     }, 300000); // Keep for 5 minutes
   }
 });
 
+// Job progress stream (Server-Sent Events) - pushes every progress update until the job finishes
+app.get('/api/jobs/:jobId/events', jobEvents.handleSse);
+
+// Work queue overview - lane usage, queued/running tasks and unfinished jobs
+app.get('/api/jobs', (req, res) => {
+  res.json({
+    lanes: workQueue.stats(),
+    tasks: workQueue.list(),
+    jobs: asyncJobs.getResumable()
+  });
+});
+
+// Cancel a job - drops its queued tasks and aborts running ones (HTTP requests, torrent adds)
+app.delete('/api/jobs/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = asyncJobs.get(jobId);
+  const cancelledTasks = workQueue.cancel(jobId);
+
+  if (!job && cancelledTasks === 0) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job && !['completed', 'failed', 'cancelled'].includes(job.status)) {
+    asyncJobs.set(jobId, {
+      ...job,
+      status: 'cancelled',
+      progress: 100,
+      message: 'Job cancelled',
+      completedAt: new Date().toISOString()
+    });
+  }
+
+  console.log(`🛑 Cancelled job ${jobId} (${cancelledTasks} queued/running tasks)`);
+  res.json({ jobId, cancelledTasks, status: job ? asyncJobs.get(jobId).status : 'cancelled' });
+});
+
+// Re-queue jobs that were pending/processing when the backend last stopped
+function recoverPendingJobs() {
+  const resumableJobs = asyncJobs.getResumable();
+  
+  if (resumableJobs.length === 0) {
+    return;
+  }
+  
+  console.log(`♻️ Recovering ${resumableJobs.length} unfinished jobs from job store`);
+  
+  for (const { id: jobId, ...job } of resumableJobs) {
+    const params = job.params || {};
+    
+    asyncJobs.set(jobId, {
+      ...job,
+      status: 'pending',
+      progress: 0,
+      recoveredAt: new Date().toISOString()
+    });
+    
+    if (job.type === 'find-best-torrent') {
+      console.log(`🔄 Re-queuing torrent search job ${jobId}`);
+      enqueueTorrentSearchJob(jobId, params);
+    } else if (job.type === 'stream-torrent') {
+      console.log(`🔄 Re-queuing torrent stream job ${jobId}`);
+      enqueueTorrentStreamJob(jobId, params);
+    } else {
+      console.warn(`⚠️ Unknown job type "${job.type}" for job ${jobId}, marking as failed`);
+      asyncJobs.set(jobId, {
+        ...asyncJobs.get(jobId),
+        status: 'failed',
+        progress: 100,
+        error: `Cannot recover job of type ${job.type}`,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Prune old finished jobs periodically (they may never be polled again)
+setInterval(() => {
+  const removed = asyncJobs.pruneFinished(JOB_STORE_CONFIG.finishedJobTtl);
+  if (removed > 0) {
+    console.log(`🧹 Pruned ${removed} finished jobs from job store`);
+  }
+}, 10 * 60 * 1000); // 10 minutes
+
+// Pause/remove idle torrents and enforce the torrent caps
+setInterval(() => {
+  const removed = torrentLifecycle.sweep();
+  if (removed.length > 0) {
+    console.log(`🧹 Lifecycle sweep removed ${removed.length} torrents (${activeTorrents.size} active)`);
+  }
+}, LIFECYCLE_CONFIG.sweepIntervalMs);
+
 // New endpoint to get artist albums from MusicBrainz
 app.post('/api/artist-albums', async (req, res) => {
   const { artistId, artistName } = req.body;
@@ -1469,19 +1552,15 @@ app.post('/api/artist-albums', async (req, res) => {
     // Search MusicBrainz for artist's releases
     console.log(`🔍 Fetching albums for artist ${artistId} from MusicBrainz`);
     
-    const response = await axios.get(`${MUSICBRAINZ_CONFIG.baseUrl}/release`, {
-      headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-      params: { 
-        artist: artistId,
-        fmt: 'json',
-        limit: 50,
-        offset: 0,
-        'type': 'album', // Filter to albums only
-        'status': 'official' // Official releases only
-      }
+    const response = await musicBrainz.browse('release', {
+      artist: artistId,
+      limit: 50,
+      offset: 0,
+      'type': 'album', // Filter to albums only
+      'status': 'official' // Official releases only
     });
     
-    const releases = response.data.releases || [];
+    const releases = response.releases || [];
     
     // Clean and format album data
     const albums = releases.map(release => ({
@@ -1517,9 +1596,8 @@ app.post('/api/artist-albums', async (req, res) => {
   } catch (error) {
     console.error(`❌ Error fetching artist albums:`);
     console.error(`   Message: ${error.message}`);
-    if (error.response) {
-      console.error(`   Status: ${error.response.status}`);
-      console.error(`   Data: ${JSON.stringify(error.response.data)}`);
+    if (error.statusCode) {
+      console.error(`   Status: ${error.statusCode}`);
     }
     console.log(`=== END ARTIST ALBUMS SEARCH (ERROR) ===\n`);
     res.status(500).json({ error: 'Failed to fetch artist albums' });
@@ -1528,7 +1606,7 @@ app.post('/api/artist-albums', async (req, res) => {
 
 // New endpoint to get detailed artist information
 app.post('/api/artist-details', async (req, res) => {
-  const { artistId, artistName } = req.body;
+  const { artistId, artistName, qualityPreference } = req.body;
   
   console.log(`\n🎤 === ARTIST DETAILS SEARCH ===`);
   console.log(`🎤 Artist ID: ${artistId}`);
@@ -1543,22 +1621,11 @@ app.post('/api/artist-details', async (req, res) => {
   try {
     let artist = null;
     
-    // Try to fetch detailed artist information with retries
+    // Try to fetch detailed artist information (the MusicBrainz client retries on 503s)
     try {
-      console.log(`🔍 Fetching detailed artist info for ${artistId} (with retries)`);
-      console.log(`🌐 URL: ${MUSICBRAINZ_CONFIG.baseUrl}/artist/${artistId}`);
+      console.log(`🔍 Fetching detailed artist info for ${artistId}`);
       
-      const artistResponse = await retryApiCall(async () => {
-        return await axios.get(`${MUSICBRAINZ_CONFIG.baseUrl}/artist/${artistId}`, {
-          headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-          params: { 
-            fmt: 'json',
-            inc: 'annotation+tags'
-          }
-        });
-      }, 10, 1000); // 10 attempts, starting with 1 second delay
-
-      artist = artistResponse.data;
+      artist = await musicBrainz.lookup('artist', artistId, { inc: ARTIST_RELATIONS_INC });
       console.log(`✅ Found detailed artist info for ${artistName}`);
     } catch (artistError) {
       console.log(`⚠️ Failed to fetch detailed artist info after retries, using basic info`);
@@ -1574,107 +1641,40 @@ app.post('/api/artist-details', async (req, res) => {
       };
     }
 
-    // Get all artist releases (albums, EPs, singles, etc.) with retries
-    console.log(`🔍 Fetching all releases for artist ${artistId} (with retries)`);
-    
-    // Fetch different types of releases
-    const releaseTypes = ['album', 'ep', 'single', 'broadcast', 'other'];
-    let allReleases = [];
-    
-    for (const type of releaseTypes) {
-      try {
-        console.log(`📀 Fetching ${type}s for ${artistName}`);
-        
-        const releasesResponse = await retryApiCall(async () => {
-          return await axios.get(`${MUSICBRAINZ_CONFIG.baseUrl}/release`, {
-            headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-            params: { 
-              artist: artistId,
-              fmt: 'json',
-              limit: 100,
-              offset: 0,
-              'type': type,
-              'status': 'official'
-            }
-          });
-        }, 5, 1000); // 5 attempts per type
+    // Complete discography: every release group (paged), with its releases as editions
+    console.log(`🔍 Fetching release groups and releases for artist ${artistId}`);
 
-        const releases = releasesResponse.data.releases || [];
-        console.log(`✅ Found ${releases.length} ${type}s for ${artistName}`);
-        
-        // Add release type to each release
-        releases.forEach(release => {
-          release.releaseType = type;
-        });
-        
-        allReleases = allReleases.concat(releases);
-        
-        // Small delay between requests to be respectful
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.log(`⚠️ Failed to fetch ${type}s: ${error.message}`);
-      }
+    const [releaseGroups, artistReleases] = await Promise.all([
+      musicBrainz.browseAll('release-group', { artist: artistId }),
+      musicBrainz.browseAll('release', { artist: artistId, inc: 'release-groups+media+labels' })
+    ]);
+    const { sections: releasesByType, withoutEditions } = buildDiscography(releaseGroups, artistReleases);
+    const totalReleaseGroups = DISCOGRAPHY_SECTIONS.reduce((total, section) => total + releasesByType[section].length, 0);
+
+    console.log(`📀 Found ${releaseGroups.length} release groups (${artistReleases.length} releases) for ${artistName}`);
+    if (withoutEditions > 0) {
+      console.log(`   ${withoutEditions} release groups listed without editions (loaded when opened)`);
     }
-    
-    console.log(`📀 Found ${allReleases.length} total releases for ${artistName}`);
-    
-    // Deduplicate releases by title and keep the earliest release of each type
-    const releasesMap = new Map();
-    allReleases.forEach(release => {
-      const key = `${release.title.toLowerCase().trim()}-${release.releaseType}`;
-      if (!releasesMap.has(key) || (release.date && release.date < releasesMap.get(key).date)) {
-        releasesMap.set(key, {
-          id: release.id,
-          title: release.title,
-          date: release.date,
-          trackCount: release['track-count'],
-          status: release.status,
-          barcode: release.barcode,
-          releaseType: release.releaseType,
-          country: release.country
-        });
-      }
+    console.log(`📀 Categorized release groups for ${artistName}:`);
+    DISCOGRAPHY_SECTIONS.forEach(section => {
+      console.log(`   ${section}: ${releasesByType[section].length}`);
     });
 
-    const allUniqueReleases = Array.from(releasesMap.values())
-      .sort((a, b) => {
-        if (!a.date && !b.date) return 0;
-        if (!a.date) return 1;
-        if (!b.date) return -1;
-        return a.date.localeCompare(b.date);
-      });
-
-    // Categorize releases by type
-    const releasesByType = {
-      albums: allUniqueReleases.filter(r => r.releaseType === 'album'),
-      eps: allUniqueReleases.filter(r => r.releaseType === 'ep'),
-      singles: allUniqueReleases.filter(r => r.releaseType === 'single'),
-      other: allUniqueReleases.filter(r => ['broadcast', 'other'].includes(r.releaseType))
-    };
-
-    console.log(`📀 Categorized releases for ${artistName}:`);
-    console.log(`   Albums: ${releasesByType.albums.length}`);
-    console.log(`   EPs: ${releasesByType.eps.length}`);
-    console.log(`   Singles: ${releasesByType.singles.length}`);
-    console.log(`   Other: ${releasesByType.other.length}`);
-
-    // Try to get a banner image from releases with retries
+    // Try to get a banner image from releases
     let bannerImage = null;
     // Try albums first, then EPs, then singles
-    const releasesToTry = [...releasesByType.albums, ...releasesByType.eps, ...releasesByType.singles].slice(0, 5);
+    const releasesToTry = [...releasesByType.albums, ...releasesByType.eps, ...releasesByType.singles]
+      .filter(release => release.id)
+      .slice(0, 5);
     
     for (const release of releasesToTry) {
       try {
         console.log(`🖼️ Trying to fetch banner image from ${release.releaseType}: ${release.title}`);
         
-        const coverArtResponse = await retryApiCall(async () => {
-          return await axios.get(`https://coverartarchive.org/release/${release.id}`, {
-            timeout: 10000
-          });
-        }, 3, 500); // Only 3 attempts for images with shorter delay
+        const images = await musicBrainz.coverArt(release.id);
         
-        if (coverArtResponse.data.images && coverArtResponse.data.images.length > 0) {
-          const image = coverArtResponse.data.images[0];
+        if (images.length > 0) {
+          const image = images[0];
           if (image.image) {
             bannerImage = image.image;
             console.log(`🖼️ Found banner image from ${release.releaseType}: ${release.title}`);
@@ -1687,15 +1687,17 @@ app.post('/api/artist-details', async (req, res) => {
       }
     }
 
-    // Extract biography from annotation or relationships
+    // Band members, groups, collaborations and official links
+    const relationships = describeArtistRelations(artist);
+    console.log(`🔗 Relationships: ${relationships.members.length} members, ${relationships.memberOf.length} groups, ${relationships.collaborations.length} collaborations, ${relationships.sideProjects.length} side projects, ${relationships.links.length} links`);
+
+    // Extract biography from annotation, else point at Wikipedia / the official site
     let biography = artist.annotation || '';
-    if (!biography && artist.relationships) {
-      // Try to find Wikipedia or other biographical relationships
-      const bioRelations = artist.relationships.filter(rel => 
-        rel.type === 'wikipedia' || rel.type === 'biography' || rel.type === 'discogs'
-      );
-      if (bioRelations.length > 0) {
-        biography = `For more information, visit: ${bioRelations[0].url?.resource || 'external sources'}`;
+    if (!biography) {
+      const bioLink = relationships.links.find(link => link.type === 'wikipedia')
+        || relationships.links.find(link => link.type === 'official homepage');
+      if (bioLink) {
+        biography = `For more information, visit: ${bioLink.url}`;
       }
     }
     
@@ -1715,9 +1717,11 @@ app.post('/api/artist-details', async (req, res) => {
       albums: releasesByType.albums,
       // New categorized releases without torrents initially
       releases: releasesByType,
-      totalReleases: allUniqueReleases.length,
+      totalReleases: totalReleaseGroups,
+      totalEditions: artistReleases.length,
       tags: artist.tags?.map(tag => tag.name) || [],
       disambiguation: artist.disambiguation,
+      relationships,
       // Indicate that torrent pre-loading is in progress
       torrentPreloadingInProgress: true
     };
@@ -1729,8 +1733,9 @@ app.post('/api/artist-details', async (req, res) => {
     // Send response immediately
     res.json(result);
 
-    // Start torrent pre-loading in the background (non-blocking)
-    setImmediate(async () => {
+    // Queue torrent pre-loading in the background (non-blocking, lower priority than user requests)
+    const preloadJobId = `preload_${artist.id}_${Date.now()}`;
+    workQueue.run('preload', async ({ signal }) => {
       try {
         console.log(`\n🚀 === BACKGROUND TORRENT PRE-LOADING ===`);
         console.log(`🎤 Artist: ${artistName}`);
@@ -1744,79 +1749,26 @@ app.post('/api/artist-details', async (req, res) => {
               
               // Use the existing searchProwlarr function
               const searchQuery = `${artistName} ${album.title}`;
-              let torrents = await searchProwlarr(searchQuery);
+              const torrents = await searchProwlarr(searchQuery, { priority: PRIORITY.BACKGROUND, jobId: preloadJobId });
+              throwIfCancelled(signal);
 
               console.log(`📦 Found ${torrents.length} total torrents for ${album.title}`);
 
-              // Filter for active torrents (seeders > 0)
-              torrents = torrents.filter(torrent => {
-                const seeders = torrent.seeders || 0;
-                return seeders > 0;
-              });
+              // Filter out dead torrents, then score and sort with the album profile
+              const scoredTorrents = torrentScorer.score(torrents, {
+                artist: artistName,
+                album: album.title
+              }, 'album', { qualityPreference });
 
-              console.log(`🌱 Found ${torrents.length} active torrents (seeders > 0) for ${album.title}`);
+              console.log(`🌱 Found ${scoredTorrents.length} active torrents matching quality preference for ${album.title}`);
 
-              if (torrents.length === 0) {
+              if (scoredTorrents.length === 0) {
                 console.log(`⚠️ No active torrents found for ${album.title}`);
                 return { ...album, torrents: [] };
               }
 
-              // Score and sort torrents using the same logic as find-best-torrent
-              const scoredTorrents = torrents.map(torrent => {
-                let score = 0;
-                const seeders = torrent.seeders || 0;
-                const size = torrent.size || 0;
-                const title = (torrent.title || '').toLowerCase();
-                const searchTermsLower = searchQuery.toLowerCase();
-
-                // Seeder score (most important factor)
-                if (seeders > 50) score += 100;
-                else if (seeders > 20) score += 80;
-                else if (seeders > 10) score += 60;
-                else if (seeders > 5) score += 40;
-                else if (seeders > 0) score += 20;
-
-                // Title similarity
-                const queryWords = searchTermsLower.split(' ');
-                const titleWords = title.split(' ');
-                
-                queryWords.forEach(word => {
-                  if (word.length > 2) {
-                    if (title.includes(word)) {
-                      score += 15;
-                      if (titleWords.includes(word)) {
-                        score += 10; // Exact word match bonus
-                      }
-                    }
-                  }
-                });
-
-                // Size preference (reasonable album sizes)
-                if (size > 0) {
-                  const sizeMB = size / (1024 * 1024);
-                  if (sizeMB >= 50 && sizeMB <= 500) {
-                    score += 10; // Good size range for albums
-                  } else if (sizeMB > 500 && sizeMB <= 1000) {
-                    score += 5; // Acceptable size
-                  }
-                }
-
-                // Age preference (prefer newer uploads)
-                if (torrent.publishDate) {
-                  const ageMs = Date.now() - new Date(torrent.publishDate).getTime();
-                  const ageDays = ageMs / (1000 * 60 * 60 * 24);
-                  if (ageDays < 30) score += 5;
-                  else if (ageDays < 90) score += 3;
-                  else if (ageDays < 365) score += 1;
-                }
-
-                return { ...torrent, score };
-              });
-
-              // Sort by score and take top 20
-              const topTorrents = scoredTorrents
-                .sort((a, b) => b.score - a.score)
-                .slice(0, 20);
+              // Take top 20
+              const topTorrents = scoredTorrents.slice(0, 20);
 
               console.log(`🏆 Top torrent for ${album.title}: ${topTorrents[0]?.title} (Score: ${topTorrents[0]?.score}, Seeders: ${topTorrents[0]?.seeders})`);
 
@@ -1834,7 +1786,7 @@ app.post('/api/artist-details', async (req, res) => {
                     }
 
                     // Resolve to actual magnet URL
-                    const resolvedMagnetUrl = await resolveMagnetUrl(downloadUrl);
+                    const resolvedMagnetUrl = await resolveMagnetUrl(downloadUrl, { priority: PRIORITY.BACKGROUND, jobId: preloadJobId });
                     
                     if (!resolvedMagnetUrl || !resolvedMagnetUrl.startsWith('magnet:')) {
                       console.warn(`⚠️ Could not resolve magnet URL for: ${torrent.title}`);
@@ -1845,32 +1797,12 @@ app.post('/api/artist-details', async (req, res) => {
                     console.log(`🔄 Adding ${torrent.title} to WebTorrent client...`);
                     
                     // Check if already in WebTorrent
-                    let isAlreadyAdded = activeTorrents.has(resolvedMagnetUrl);
+                    let isAlreadyAdded = activeTorrents.has(torrentKey(resolvedMagnetUrl));
                     
                     if (!isAlreadyAdded) {
-                      try {
-                        // Add torrent to client (don't wait for it to be ready)
-                        const addedTorrent = torrentClient.add(resolvedMagnetUrl, {
-                          destroyStoreOnDestroy: true
-                        });
-
-                        // Store immediately
-                        activeTorrents.set(resolvedMagnetUrl, addedTorrent);
-                        
-                        // Set up event handlers for when it's ready
-                        addedTorrent.on('ready', () => {
-                          console.log(`✅ Pre-loaded torrent ready: ${torrent.title}`);
-                        });
-
-                        addedTorrent.on('error', (err) => {
-                          console.warn(`⚠️ Pre-loaded torrent error: ${torrent.title}:`, err.message);
-                          activeTorrents.delete(resolvedMagnetUrl);
-                        });
-
-                        console.log(`🎯 Added ${torrent.title} to WebTorrent (will load in background)`);
-                      } catch (addError) {
-                        console.warn(`⚠️ Error adding torrent to WebTorrent: ${addError.message}`);
-                      }
+                      // Queue the add behind user requests (don't wait for it to be ready)
+                      preloadTorrent(resolvedMagnetUrl, torrent.title, preloadJobId);
+                      console.log(`🎯 Queued ${torrent.title} for WebTorrent (will load in background)`);
                     } else {
                       console.log(`♻️ Torrent already in WebTorrent: ${torrent.title}`);
                     }
@@ -1894,6 +1826,7 @@ app.post('/api/artist-details', async (req, res) => {
               return { ...album, torrents: torrentsWithMagnets };
 
             } catch (error) {
+              if (isCancelledError(error)) throw error;
               console.error(`❌ Error pre-loading torrents for album ${album.title}:`, error.message);
               return { ...album, torrents: [] };
             }
@@ -1914,9 +1847,18 @@ app.post('/api/artist-details', async (req, res) => {
         console.log(`💾 Cached pre-loaded torrents for artist ${artist.id}`);
 
       } catch (error) {
+        if (isCancelledError(error)) throw error;
         console.error(`❌ Error in background torrent pre-loading:`, error);
         console.log(`=== END BACKGROUND TORRENT PRE-LOADING (ERROR) ===\n`);
       }
+    }, {
+      priority: PRIORITY.BACKGROUND,
+      jobId: preloadJobId,
+      label: `Pre-load album torrents: ${artistName}`
+    }).catch(error => {
+      if (isCancelledError(error)) {
+        console.log(`🛑 Background torrent pre-loading cancelled for ${artistName}`);
+      }
     });
     
   } catch (error) {
@@ -1935,6 +1877,50 @@ app.post('/api/artist-details', async (req, res) => {
 // In-memory cache for pre-loaded album torrents
 const preloadedAlbumTorrents = new Map();
 
+// Add a pre-loaded torrent to WebTorrent in the background 'torrentAdd' lane.
+// The queue slot is held until the torrent is ready (or 45s pass) to bound concurrent metadata fetches.
+function preloadTorrent(magnetUrl, title, jobId) {
+  workQueue.run('torrentAdd', ({ signal }) => new Promise((resolve) => {
+    if (signal.aborted || activeTorrents.has(torrentKey(magnetUrl))) {
+      return resolve();
+    }
+
+    try {
+      const addedTorrent = torrentClient.add(magnetUrl, {
+        destroyStoreOnDestroy: true
+      });
+
+      // Store immediately so user requests can wait on this instance
+      activeTorrents.set(torrentKey(magnetUrl), addedTorrent);
+      torrentLifecycle.register(torrentKey(magnetUrl), addedTorrent, { origin: 'preload' });
+
+      const timeout = setTimeout(resolve, 45000);
+
+      addedTorrent.once('ready', () => {
+        clearTimeout(timeout);
+        console.log(`✅ Pre-loaded torrent ready: ${title}`);
+        cacheCompletedAudioFiles(addedTorrent);
+        resolve();
+      });
+
+      addedTorrent.once('error', (err) => {
+        clearTimeout(timeout);
+        console.warn(`⚠️ Pre-loaded torrent error: ${title}:`, err.message);
+        activeTorrents.delete(torrentKey(magnetUrl));
+        resolve();
+      });
+    } catch (addError) {
+      console.warn(`⚠️ Error adding torrent to WebTorrent: ${addError.message}`);
+      resolve();
+    }
+  }), { priority: PRIORITY.BACKGROUND, jobId, label: `Pre-load torrent: ${title}` })
+    .catch(error => {
+      if (!isCancelledError(error)) {
+        console.warn(`⚠️ Pre-load torrent task failed for ${title}:`, error.message);
+      }
+    });
+}
+
 // Endpoint to get pre-loaded album torrents
 app.get('/api/artist-torrents/:artistId', async (req, res) => {
   const { artistId } = req.params;
@@ -1989,20 +1975,9 @@ app.post('/api/album-details', async (req, res) => {
 
   try {
     // Fetch detailed album information with track recordings
-    console.log(`🔍 Fetching detailed album info for ${albumId} (with retries)`);
-    console.log(`🌐 URL: ${MUSICBRAINZ_CONFIG.baseUrl}/release/${albumId}`);
-    
-    const albumResponse = await retryApiCall(async () => {
-      return await axios.get(`${MUSICBRAINZ_CONFIG.baseUrl}/release/${albumId}`, {
-        headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-        params: { 
-          fmt: 'json',
-          inc: 'recordings+artist-credits+labels+release-groups'
-        }
-      });
-    }, 10, 1000);
-
-    const album = albumResponse.data;
+    console.log(`🔍 Fetching detailed album info for ${albumId}`);
+    
+    const album = await musicBrainz.lookup('release', albumId, { inc: 'recordings+artist-credits+labels+release-groups' });
     console.log(`✅ Found detailed album info for ${albumTitle}`);
 
     // Extract track information
@@ -2036,17 +2011,13 @@ app.post('/api/album-details', async (req, res) => {
     try {
       console.log(`🖼️ Fetching cover art for album ${albumId}`);
       
-      const coverArtResponse = await retryApiCall(async () => {
-        return await axios.get(`https://coverartarchive.org/release/${albumId}`, {
-          timeout: 10000
-        });
-      }, 3, 500);
+      const images = await musicBrainz.coverArt(albumId);
       
-      if (coverArtResponse.data.images && coverArtResponse.data.images.length > 0) {
+      if (images.length > 0) {
         // Get the front cover or first available image
-        const frontCover = coverArtResponse.data.images.find(img => 
+        const frontCover = images.find(img => 
           img.front === true || img.types.includes('Front')
-        ) || coverArtResponse.data.images[0];
+        ) || images[0];
         
         if (frontCover) {
           coverArt = frontCover.image;
@@ -2074,7 +2045,8 @@ app.post('/api/album-details', async (req, res) => {
         return total;
       }, 0),
       labels: album['label-info']?.map(li => li.label?.name).filter(Boolean) || [],
-      releaseGroup: album['release-group']
+      releaseGroup: album['release-group'],
+      releaseGroupId: album['release-group']?.id || null
     };
 
     // Format total album length
@@ -2090,68 +2062,208 @@ app.post('/api/album-details', async (req, res) => {
   } catch (error) {
     console.error(`❌ Error fetching album details:`);
     console.error(`   Message: ${error.message}`);
-    console.error(`   Status: ${error.response?.status || 'N/A'}`);
+    console.error(`   Status: ${error.statusCode || 'N/A'}`);
     console.error(`=== END ALBUM DETAILS SEARCH ===\n`);
     
-    res.status(500).json({ 
+    res.status(error.statusCode === 404 ? 404 : 500).json({ 
       error: 'Failed to fetch album details',
       message: error.message 
     });
   }
 });
 
-// Helper function to format track length from milliseconds to MM:SS
-function formatTrackLength(lengthMs) {
-  if (!lengthMs) return null;
-  
-  const totalSeconds = Math.floor(lengthMs / 1000);
-  const minutes = Math.floor(totalSeconds / 60);
-  const seconds = totalSeconds % 60;
-  
-  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-}
+// Every edition (release) of a release group, for the album page's edition picker
+app.get('/api/release-groups/:releaseGroupId/editions', async (req, res) => {
+  const { releaseGroupId } = req.params;
 
-// New endpoint to get artist image from MusicBrainz/Cover Art Archive
-app.post('/api/artist-image', async (req, res) => {
-  const { artistId, artistName } = req.body;
-  
-  console.log(`\n🖼️  === ARTIST IMAGE SEARCH ===`);
-  console.log(`🎤 Artist ID: ${artistId}`);
-  console.log(`🎤 Artist Name: ${artistName}`);
-  console.log(`🕐 Timestamp: ${new Date().toISOString()}`);
-  
-  if (!artistId) {
-    console.log(`❌ Missing artistId`);
-    return res.status(400).json({ error: 'artistId is required' });
+  if (!isMbid(releaseGroupId)) {
+    return res.status(400).json({ error: 'releaseGroupId must be a MusicBrainz ID' });
   }
 
-  // Check global attempt limits first
-  const now = Date.now();
-  
-  // Reset global counter if enough time has passed
-  if (now - globalImageSearchCounter.resetTime > RESET_INTERVAL) {
-    console.log(`⏰ Resetting global image search counter after ${RESET_INTERVAL}ms`);
-    globalImageSearchCounter.count = 0;
-    globalImageSearchCounter.resetTime = now;
-    artistImageSearchCache.clear(); // Also clear individual artist cache
-  }
-  
-  // Check global limit
-  if (globalImageSearchCounter.count >= MAX_GLOBAL_IMAGE_SEARCH_ATTEMPTS) {
-    console.log(`🌍 Global max attempts (${MAX_GLOBAL_IMAGE_SEARCH_ATTEMPTS}) reached. No more image searches allowed.`);
-    console.log(`=== END ARTIST IMAGE SEARCH ===\n`);
-    return res.json({
-      artistId,
-      artistName,
-      imageUrl: null,
-      source: 'global-limit-reached'
+  try {
+    console.log(`💿 Fetching editions of release group ${releaseGroupId}`);
+    const releases = await musicBrainz.browseAll('release', {
+      'release-group': releaseGroupId,
+      inc: 'media+labels+release-groups'
     });
-  }
 
-  // Check if we've already searched for this specific artist
-  const searchKey = `${artistId}-${artistName}`;
-  const attempts = artistImageSearchCache.get(searchKey) || 0;
-  
+    if (releases.length === 0) {
+      return res.status(404).json({ error: 'No editions found for this release group' });
+    }
+
+    const editions = sortEditions(releases.map(describeEdition));
+    const releaseGroup = releases[0]['release-group'] || {};
+    console.log(`✅ Found ${editions.length} editions of "${releaseGroup.title || releases[0].title}"`);
+
+    res.json({
+      releaseGroupId,
+      title: releaseGroup.title || releases[0].title,
+      primaryType: releaseGroup['primary-type'] || null,
+      secondaryTypes: releaseGroup['secondary-types'] || [],
+      firstReleaseDate: releaseGroup['first-release-date'] || null,
+      defaultEditionId: editions[0].id,
+      editionCount: editions.length,
+      editions
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching editions of release group ${releaseGroupId}: ${error.message}`);
+    res.status(error.statusCode === 404 ? 404 : 500).json({
+      error: 'Failed to fetch editions',
+      message: error.message
+    });
+  }
+});
+
+// Related artists for the artist page rail: shared members, collaborations and overlapping tags
+app.get('/api/related-artists/:artistId', async (req, res) => {
+  const { artistId } = req.params;
+
+  if (!isMbid(artistId)) {
+    return res.status(400).json({ error: 'artistId must be a MusicBrainz ID' });
+  }
+
+  try {
+    console.log(`🧭 Finding artists related to ${artistId}`);
+    const artist = await musicBrainz.lookup('artist', artistId, { inc: ARTIST_RELATIONS_INC });
+    const related = await findRelatedArtists(musicBrainz, artist);
+    console.log(`✅ Found ${related.length} artists related to ${artist.name}`);
+
+    res.json({
+      artistId,
+      name: artist.name,
+      related
+    });
+  } catch (error) {
+    console.error(`❌ Error finding artists related to ${artistId}: ${error.message}`);
+    res.status(error.statusCode === 404 ? 404 : 500).json({
+      error: 'Failed to find related artists',
+      message: error.message
+    });
+  }
+});
+
+// Recording page: ISRCs, credits, the works it performs (with writers) and every release it appears on
+app.post('/api/recording-details', async (req, res) => {
+  const { recordingId } = req.body;
+
+  console.log(`\n🎵 === RECORDING DETAILS SEARCH ===`);
+  console.log(`🎵 Recording ID: ${recordingId}`);
+  console.log(`🕐 Timestamp: ${new Date().toISOString()}`);
+
+  if (!isMbid(recordingId)) {
+    console.log(`❌ Missing or invalid recordingId`);
+    return res.status(400).json({ error: 'recordingId must be a MusicBrainz recording ID' });
+  }
+
+  try {
+    // A lookup lists at most 25 releases, so the releases are browsed (paged) separately
+    const [recording, releases] = await Promise.all([
+      musicBrainz.lookup('recording', recordingId, {
+        inc: 'artist-credits+isrcs+artist-rels+work-rels+work-level-rels'
+      }),
+      musicBrainz.browseAll('release', { recording: recordingId, inc: 'release-groups+media' })
+    ]);
+
+    const appearances = describeAppearances(releases, recordingId);
+    const credits = describeRecordingCredits(recording);
+    const works = describeRecordingWorks(recording);
+    console.log(`✅ "${recording.title}": ${appearances.length} appearances, ${works.length} works, ${credits.performers.length} performers`);
+
+    // Cover of the earliest official release it appears on
+    let coverArt = null;
+    const coverRelease = appearances.find(appearance => appearance.status === 'Official') || appearances[0];
+    if (coverRelease) {
+      try {
+        const images = await musicBrainz.coverArt(coverRelease.releaseId);
+        const frontCover = images.find(img => img.front === true || img.types?.includes('Front')) || images[0];
+        coverArt = frontCover?.image || null;
+      } catch (coverError) {
+        console.log(`🔍 No cover art found for ${coverRelease.title}`);
+      }
+    }
+
+    const artistCredit = formatArtistCredit(recording['artist-credit']);
+
+    console.log(`=== END RECORDING DETAILS SEARCH ===\n`);
+    res.json({
+      id: recording.id,
+      title: recording.title,
+      disambiguation: recording.disambiguation || null,
+      video: Boolean(recording.video),
+      length: recording.length || null,
+      lengthFormatted: formatTrackLength(recording.length),
+      firstReleaseDate: recording['first-release-date'] || null,
+      isrcs: recording.isrcs || [],
+      artistCredit: artistCredit.artists,
+      artistCreditText: artistCredit.text,
+      coverArt,
+      works,
+      credits,
+      appearances,
+      releaseGroupCount: new Set(appearances.map(appearance => appearance.releaseGroupId).filter(Boolean)).size
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching recording details: ${error.message}`);
+    console.error(`=== END RECORDING DETAILS SEARCH ===\n`);
+    res.status(error.statusCode === 404 ? 404 : 500).json({
+      error: 'Failed to fetch recording details',
+      message: error.message
+    });
+  }
+});
+
+// Helper function to format track length from milliseconds to MM:SS
+function formatTrackLength(lengthMs) {
+  if (!lengthMs) return null;
+  
+  const totalSeconds = Math.floor(lengthMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// New endpoint to get artist image from MusicBrainz/Cover Art Archive
+app.post('/api/artist-image', async (req, res) => {
+  const { artistId, artistName } = req.body;
+  
+  console.log(`\n🖼️  === ARTIST IMAGE SEARCH ===`);
+  console.log(`🎤 Artist ID: ${artistId}`);
+  console.log(`🎤 Artist Name: ${artistName}`);
+  console.log(`🕐 Timestamp: ${new Date().toISOString()}`);
+  
+  if (!artistId) {
+    console.log(`❌ Missing artistId`);
+    return res.status(400).json({ error: 'artistId is required' });
+  }
+
+  // Check global attempt limits first
+  const now = Date.now();
+  
+  // Reset global counter if enough time has passed
+  if (now - globalImageSearchCounter.resetTime > RESET_INTERVAL) {
+    console.log(`⏰ Resetting global image search counter after ${RESET_INTERVAL}ms`);
+    globalImageSearchCounter.count = 0;
+    globalImageSearchCounter.resetTime = now;
+    artistImageSearchCache.clear(); // Also clear individual artist cache
+  }
+  
+  // Check global limit
+  if (globalImageSearchCounter.count >= MAX_GLOBAL_IMAGE_SEARCH_ATTEMPTS) {
+    console.log(`🌍 Global max attempts (${MAX_GLOBAL_IMAGE_SEARCH_ATTEMPTS}) reached. No more image searches allowed.`);
+    console.log(`=== END ARTIST IMAGE SEARCH ===\n`);
+    return res.json({
+      artistId,
+      artistName,
+      imageUrl: null,
+      source: 'global-limit-reached'
+    });
+  }
+
+  // Check if we've already searched for this specific artist
+  const searchKey = `${artistId}-${artistName}`;
+  const attempts = artistImageSearchCache.get(searchKey) || 0;
+  
   if (attempts >= MAX_ATTEMPTS_PER_ARTIST) {
     console.log(`🚫 Max search attempts (${MAX_ATTEMPTS_PER_ARTIST}) reached for ${artistName}. Returning null.`);
     console.log(`=== END ARTIST IMAGE SEARCH ===\n`);
@@ -2173,18 +2285,14 @@ app.post('/api/artist-image', async (req, res) => {
     // First, try to get artist releases to find cover art
     console.log(`🔍 Fetching releases for artist ${artistId} to find cover art`);
     
-    const releasesResponse = await axios.get(`${MUSICBRAINZ_CONFIG.baseUrl}/release`, {
-      headers: { 'User-Agent': MUSICBRAINZ_CONFIG.userAgent },
-      params: { 
-        artist: artistId,
-        fmt: 'json',
-        limit: 10,
-        'type': 'album',
-        'status': 'official'
-      }
+    const releasesResponse = await musicBrainz.browse('release', {
+      artist: artistId,
+      limit: 10,
+      'type': 'album',
+      'status': 'official'
     });
 
-    const releases = releasesResponse.data.releases || [];
+    const releases = releasesResponse.releases || [];
     console.log(`📀 Found ${releases.length} releases for ${artistName}`);
     
     // Try to find cover art for the releases
@@ -2192,15 +2300,13 @@ app.post('/api/artist-image', async (req, res) => {
       try {
         console.log(`🖼️  Checking cover art for release: ${release.title}`);
         
-        const coverArtResponse = await axios.get(`https://coverartarchive.org/release/${release.id}`, {
-          timeout: 10000 // 10 second timeout for image loading only
-        });
+        const images = await musicBrainz.coverArt(release.id);
         
-        if (coverArtResponse.data.images && coverArtResponse.data.images.length > 0) {
+        if (images.length > 0) {
           // Get the front cover or first available image
-          const frontCover = coverArtResponse.data.images.find(img => 
+          const frontCover = images.find(img => 
             img.front === true || img.types.includes('Front')
-          ) || coverArtResponse.data.images[0];
+          ) || images[0];
           
           if (frontCover && frontCover.thumbnails && frontCover.thumbnails.small) {
             console.log(`✅ Found cover art for ${artistName}: ${frontCover.thumbnails.small}`);
@@ -2342,8 +2448,8 @@ app.get('/api/musicbrainz/callback', (req, res) => {
   console.log(`=== END MUSICBRAINZ CALLBACK ===\n`);
 });
 
-// Function to resolve actual magnet URL from Prowlarr download URL
-async function resolveMagnetUrl(downloadUrl) {
+// Function to resolve actual magnet URL from Prowlarr download URL (queued in the 'magnet' lane)
+async function resolveMagnetUrl(downloadUrl, { priority = PRIORITY.USER, jobId = null } = {}) {
   try {
     console.log(`🔗 Attempting to resolve magnet URL from: ${downloadUrl}`);
     
@@ -2355,12 +2461,13 @@ async function resolveMagnetUrl(downloadUrl) {
     
     // If it's a localhost Prowlarr URL, try to get the redirect
     if (downloadUrl.includes('localhost') || downloadUrl.includes('127.0.0.1')) {
-      const response = await axios.get(downloadUrl, {
+      const response = await workQueue.run('magnet', ({ signal }) => axios.get(downloadUrl, {
         maxRedirects: 0,
         validateStatus: function (status) {
           return status >= 200 && status < 400; // Accept redirects
-        }
-      });
+        },
+        signal
+      }), { priority, jobId, label: `Resolve magnet: ${downloadUrl.substring(0, 60)}` });
       
       // Check if the response is a magnet URL in the Location header
       if (response.headers.location && response.headers.location.startsWith('magnet:')) {
@@ -2396,11 +2503,122 @@ async function resolveMagnetUrl(downloadUrl) {
   }
 }
 
+// Add a torrent to the WebTorrent client and wait until it's ready (queued in the 'torrentAdd' lane).
+// If the torrent is already being loaded (e.g. by album pre-loading), waits for that instance instead.
+function addTorrentAndWait(magnetLink, {
+  timeoutMs = 45000,
+  timeoutMessage = 'No active peers found for this torrent',
+  priority = PRIORITY.USER,
+  jobId = null
+} = {}) {
+  return workQueue.run('torrentAdd', ({ signal }) => {
+    throwIfCancelled(signal);
+    
+    // Counts as an access, so the lifecycle manager keeps a pre-loaded instance we're about to wait on
+    torrentLifecycle.touch(torrentKey(magnetLink));
+    const existing = activeTorrents.get(torrentKey(magnetLink));
+    if (existing?.ready) {
+      return existing;
+    }
+    
+    return new Promise((resolve, reject) => {
+      const addedTorrent = existing || torrentClient.add(magnetLink, {
+        destroyStoreOnDestroy: true
+      });
+      let lastPeerCount = 0;
+
+      const cleanup = () => {
+        clearTimeout(timeout);
+        clearInterval(progressInterval);
+        signal.removeEventListener('abort', onAbort);
+      };
+
+      const fail = (error) => {
+        cleanup();
+        // Only destroy torrents we added; pre-loaded ones manage themselves
+        if (!existing) {
+          addedTorrent.destroy();
+        }
+        reject(error);
+      };
+
+      const timeout = setTimeout(() => {
+        console.log(`⏰ Torrent loading timeout after ${timeoutMs / 1000} seconds`);
+        console.log(`📊 Torrent stats at timeout: peers=${addedTorrent.peers?.length || 0}, downloaded=${addedTorrent.downloaded || 0}, progress=${((addedTorrent.progress || 0) * 100).toFixed(1)}%`);
+        console.log(`💡 This usually means: no active seeders, dead torrent, or network issues`);
+        fail(new Error(timeoutMessage));
+      }, timeoutMs);
+
+      // Log connection progress
+      const progressInterval = setInterval(() => {
+        const currentPeers = addedTorrent.peers?.length || 0;
+        if (currentPeers !== lastPeerCount) {
+          console.log(`👥 Peer count: ${currentPeers} (was ${lastPeerCount})`);
+          lastPeerCount = currentPeers;
+        }
+      }, 5000);
+
+      const onAbort = () => {
+        console.log(`🛑 Torrent add cancelled: ${magnetLink.substring(0, 50)}...`);
+        fail(new JobCancelledError());
+      };
+      signal.addEventListener('abort', onAbort);
+
+      addedTorrent.once('metadata', () => {
+        console.log(`📋 Torrent metadata received: ${addedTorrent.name}`);
+        console.log(`📁 Files: ${addedTorrent.files.length}, Size: ${formatBytes(addedTorrent.length)}`);
+      });
+
+      addedTorrent.once('ready', () => {
+        cleanup();
+        console.log(`✅ Torrent ready: ${addedTorrent.name}`);
+        console.log(`👥 Peers connected: ${addedTorrent.peers?.length || 0}`);
+        activeTorrents.set(torrentKey(magnetLink), addedTorrent);
+        torrentLifecycle.register(torrentKey(magnetLink), addedTorrent, { origin: 'user' });
+        cacheCompletedAudioFiles(addedTorrent);
+        resolve(addedTorrent);
+      });
+
+      addedTorrent.once('error', (err) => {
+        console.error(`❌ Torrent error:`, err);
+        fail(err);
+      });
+    });
+  }, { priority, jobId, label: `Add torrent: ${magnetLink.substring(0, 60)}` });
+}
+
+// Copy a torrent's audio files into the library cache as each one finishes downloading
+const cacheWatchedTorrents = new WeakSet();
+function cacheCompletedAudioFiles(torrent) {
+  if (cacheWatchedTorrents.has(torrent)) return;
+  cacheWatchedTorrents.add(torrent);
+
+  const storeFile = (file) => {
+    if (audioCache.has(torrent.infoHash, file.path)) return;
+    audioCache.store(torrent, file)
+      .then(stored => stored && console.log(`💾 Cached ${file.path} (${formatBytes(file.length)})`))
+      .catch(error => console.warn(`⚠️ Could not cache ${file.path}:`, error.message));
+  };
+
+  torrent.files
+    .filter(file => AUDIO_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)))
+    .forEach(file => {
+      if (file.done) {
+        storeFile(file);
+      } else {
+        file.once('done', () => storeFile(file));
+      }
+    });
+}
+
 // === TORRENT STREAMING ENDPOINTS ===
 
 // Get audio stream from torrent
 app.post('/api/stream-torrent', async (req, res) => {
-  const { magnetLink, fileName, expectedFileCount, async: useAsync = false } = req.body;
+  const { magnetLink, fileName, expectedFileCount, albumTracks, trackId, recordingId, artistName, discNumber, position, async: useAsync = false } = req.body;
+  const { supportedFormats, maxSampleRate, transcodeFormat, hls } = req.body;
+  const trackTarget = { albumTracks, trackId, recordingId, artistName, discNumber, position };
+  const capabilities = { supportedFormats, maxSampleRate, transcodeFormat, hls };
   
   console.log(`\n🏴‍☠️ === TORRENT AUDIO STREAM REQUEST ===`);
   console.log(`🧲 Magnet: ${magnetLink?.substring(0, 50)}...`);
@@ -2415,6 +2633,12 @@ app.post('/api/stream-torrent', async (req, res) => {
   }
 
   try {
+    // A recording already in the library cache plays from disk whichever torrent it came from
+    const cachedRecording = await resolveCachedStream(null, fileName, expectedFileCount, trackTarget, capabilities);
+    if (cachedRecording) {
+      return res.json(cachedRecording);
+    }
+
     // Resolve the actual magnet URL if it's a Prowlarr download URL
     const resolvedMagnetLink = await resolveMagnetUrl(magnetLink);
     console.log(`🧲 Using magnet link: ${resolvedMagnetLink.substring(0, 50)}...`);
@@ -2429,12 +2653,18 @@ app.post('/api/stream-torrent', async (req, res) => {
     }
     
     // Check if we already have this torrent ready
-    let torrent = activeTorrents.get(resolvedMagnetLink);
+    let torrent = activeTorrents.get(torrentKey(resolvedMagnetLink));
     
     if (torrent && torrent.ready) {
       console.log(`♻️ Using existing ready torrent`);
       // Process file selection immediately
-      return processStreamRequest(res, torrent, fileName, expectedFileCount, resolvedMagnetLink);
+      return processStreamRequest(res, torrent, fileName, expectedFileCount, trackTarget, capabilities);
+    }
+
+    // Torrent not loaded, but the selected track may be on disk from an earlier session
+    const cachedResult = await resolveCachedStream(parseInfoHash(resolvedMagnetLink), fileName, expectedFileCount, trackTarget, capabilities);
+    if (cachedResult) {
+      return res.json(cachedResult);
     }
     
     // If async mode requested, return job ID
@@ -2444,7 +2674,7 @@ app.post('/api/stream-torrent', async (req, res) => {
       asyncJobs.set(jobId, {
         status: 'pending',
         type: 'stream-torrent',
-        params: { magnetLink: resolvedMagnetLink, fileName, expectedFileCount },
+        params: { magnetLink: resolvedMagnetLink, fileName, expectedFileCount, ...trackTarget, ...capabilities },
         startedAt: new Date().toISOString(),
         progress: 0
       });
@@ -2458,289 +2688,376 @@ app.post('/api/stream-torrent', async (req, res) => {
         message: 'Torrent stream preparation started'
       });
 
-      // Start async processing
-      setImmediate(() => processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, expectedFileCount));
+      // Queue async processing
+      enqueueTorrentStreamJob(jobId, { magnetLink: resolvedMagnetLink, fileName, expectedFileCount, ...trackTarget, ...capabilities });
       return;
     }
     
     // Synchronous processing (legacy mode)
-    if (!torrent) {
-      console.log(`🔄 Adding new torrent to client...`);
+    if (!torrent || !torrent.ready) {
+      console.log(torrent ? `⏳ Waiting for existing torrent to become ready...` : `🔄 Adding new torrent to client...`);
       console.log(`📊 WebTorrent client stats: ${torrentClient.torrents.length} active torrents`);
       
-      // Add torrent to client
-      torrent = await new Promise((resolve, reject) => {
-        const addedTorrent = torrentClient.add(resolvedMagnetLink, {
-          destroyStoreOnDestroy: true
-        });
+      // Add torrent to client (queued behind other WebTorrent adds)
+      torrent = await addTorrentAndWait(resolvedMagnetLink, {
+        timeoutMessage: 'No active peers found for this torrent. The torrent may be dead or have no seeders currently online.'
+      });
+    } else {
+      console.log(`♻️ Using existing torrent`);
+    }
 
-        const timeout = setTimeout(() => {
-          console.log(`⏰ Torrent loading timeout after 45 seconds`);
-          console.log(`📊 Torrent stats at timeout: peers=${addedTorrent.peers?.length || 0}, downloaded=${addedTorrent.downloaded || 0}, progress=${((addedTorrent.progress || 0) * 100).toFixed(1)}%`);
-          console.log(`🔍 Tracker status: Most trackers failed to connect or timed out`);
-          console.log(`💡 This usually means: no active seeders, dead torrent, or network issues`);
-          addedTorrent.destroy();
-          reject(new Error('No active peers found for this torrent. The torrent may be dead or have no seeders currently online.'));
-        }, 45000); // 45 second timeout (increased from 30)
+    // Process file selection
+    await processStreamRequest(res, torrent, fileName, expectedFileCount, trackTarget, capabilities);
 
-        // More detailed event logging
-        addedTorrent.on('metadata', () => {
-          console.log(`📋 Torrent metadata received: ${addedTorrent.name}`);
-          console.log(`📁 Files: ${addedTorrent.files.length}, Size: ${formatBytes(addedTorrent.length)}`);
-        });
+  } catch (error) {
+    console.error(`❌ Error processing torrent:`, error);
+    res.status(500).json({ error: error.message });
+  }
+  
+  console.log(`=== END TORRENT STREAM REQUEST ===\n`);
+});
 
-        addedTorrent.on('ready', () => {
-          clearTimeout(timeout);
-          console.log(`✅ Torrent ready: ${addedTorrent.name}`);
-          console.log(`📁 Files found: ${addedTorrent.files?.length || 0}`);
-          console.log(`👥 Peers connected: ${addedTorrent.peers?.length || 0}`);
-          resolve(addedTorrent);
-        });
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
 
-        addedTorrent.on('error', (err) => {
-          clearTimeout(timeout);
-          console.error(`❌ Torrent error:`, err);
-          console.log(`📊 Error occurred with: peers=${addedTorrent.peers?.length || 0}, files=${addedTorrent.files?.length || 0}`);
-          reject(err);
-        });
+// Error with an HTTP status for stream file selection failures
+class StreamSelectionError extends Error {
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.name = 'StreamSelectionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
 
-        addedTorrent.on('warning', (err) => {
-          console.warn(`⚠️ Torrent warning:`, err);
-        });
+// Align a torrent's audio files to a MusicBrainz tracklist (see services/trackMatcher.js).
+// Durations from embedded tags (when already read) sharpen the match.
+function matchAlbumTracks(torrent, albumTracks, artistName) {
+  const audioFiles = torrent.files
+    .map((file, index) => ({
+      index,
+      name: file.name,
+      path: file.path,
+      length: file.length,
+      duration: audioMetadataReader.getCached(torrent, file)?.duration || null
+    }))
+    .filter(file => AUDIO_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)));
 
-        // Log connection progress
-        let lastPeerCount = 0;
-        const progressInterval = setInterval(() => {
-          const currentPeers = addedTorrent.peers?.length || 0; // Safe access with default
-          if (currentPeers !== lastPeerCount) {
-            console.log(`👥 Peer count: ${currentPeers} (was ${lastPeerCount})`);
-            lastPeerCount = currentPeers;
-          }
-        }, 5000);
+  return matchTracksToFiles(albumTracks, audioFiles, { artistName });
+}
 
-        addedTorrent.on('ready', () => clearInterval(progressInterval));
-        addedTorrent.on('error', () => clearInterval(progressInterval));
-      });
+// Pick the file to stream. With an album tracklist + trackId the MusicBrainz matcher decides
+// (bonus tracks / split discs allowed); otherwise fall back to disc/position, then filename and track-number matching.
+function selectStreamFile(torrent, fileName, expectedFileCount, { albumTracks, trackId, artistName, discNumber, position } = {}) {
+  const audioFiles = torrent.files.filter(file => {
+    return AUDIO_EXTENSIONS.some(ext => 
+      file.name.toLowerCase().endsWith(ext.toLowerCase())
+    );
+  });
 
-      // Store the torrent
-      activeTorrents.set(resolvedMagnetLink, torrent);
-    } else {
-      console.log(`♻️ Using existing torrent`);
-    }
+  console.log(`🎵 Found ${audioFiles.length} audio files in torrent`);
 
-    // Find audio files
-    const audioExtensions = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
-    const audioFiles = torrent.files.filter(file => {
-      return audioExtensions.some(ext => 
-        file.name.toLowerCase().endsWith(ext.toLowerCase())
-      );
-    });
+  if (audioFiles.length === 0) {
+    throw new StreamSelectionError('No audio files found in torrent', 404);
+  }
 
-    console.log(`🎵 Found ${audioFiles.length} audio files in torrent`);
+  let targetFile;
+  let trackMatch = null;
+
+  if (Array.isArray(albumTracks) && albumTracks.length > 0 && trackId) {
+    const match = matchAlbumTracks(torrent, albumTracks, artistName);
+    console.log(`🧩 Matched ${match.matchedCount}/${albumTracks.length} MusicBrainz tracks (avg confidence ${match.averageConfidence}, ${match.unmatchedFiles.length} extra files)`);
+
+    const entry = findTrackMatch(match, { trackId });
+    if (entry?.fileIndex !== null && entry?.fileIndex !== undefined) {
+      targetFile = torrent.files[entry.fileIndex];
+      trackMatch = entry;
+      console.log(`✅ Track "${entry.title}" → ${entry.filePath} (confidence ${entry.confidence})`);
+    } else if (match.matchedCount < Math.ceil(albumTracks.length / 2)) {
+      // Track not found and less than half the tracklist matched: probably a different release
+      throw new StreamSelectionError(
+        `Torrent does not match album tracklist: matched ${match.matchedCount} of ${albumTracks.length} tracks`,
+        400,
+        { matchedCount: match.matchedCount, expectedTrackCount: albumTracks.length }
+      );
+    } else {
+      console.log(`⚠️ Track ${trackId} not found by matcher, falling back to filename matching`);
+    }
+  } else if (expectedFileCount && audioFiles.length !== expectedFileCount) {
+    // Validate file count if expectedFileCount is provided (no tracklist to align against)
+    console.log(`❌ File count mismatch: expected ${expectedFileCount}, found ${audioFiles.length}`);
+    throw new StreamSelectionError(
+      `Torrent file count mismatch: expected ${expectedFileCount} audio files, found ${audioFiles.length}`,
+      400,
+      { expectedFileCount, actualFileCount: audioFiles.length }
+    );
+  }
 
-    if (audioFiles.length === 0) {
-      console.log(`❌ No audio files found in torrent`);
-      return res.status(404).json({ error: 'No audio files found in torrent' });
-    }
+  // Disc-aware order so CD1/01..CD1/12 come before CD2/01
+  const sortedAudioFiles = [...audioFiles].sort(compareAudioFiles);
 
-    // Validate file count if expectedFileCount is provided
-    if (expectedFileCount && audioFiles.length !== expectedFileCount) {
-      console.log(`❌ File count mismatch: expected ${expectedFileCount}, found ${audioFiles.length}`);
-      return res.status(400).json({ 
-        error: `Torrent file count mismatch: expected ${expectedFileCount} audio files, found ${audioFiles.length}`,
-        expectedFileCount,
-        actualFileCount: audioFiles.length
-      });
+  if (!targetFile && position) {
+    targetFile = findFileByDiscPosition(audioFiles, discNumber, position);
+    if (targetFile) {
+      console.log(`✅ Found track by disc ${discNumber || 1} position ${position}: ${targetFile.path}`);
     }
+  }
 
-    console.log(`✅ File count validation passed: ${audioFiles.length} files${expectedFileCount ? ` (expected ${expectedFileCount})` : ''}`);
-
-    // Find the target file with improved track selection
-    let targetFile;
-    if (fileName) {
-      console.log(`🔍 Looking for specific track: ${fileName}`);
-      
-      // First try exact name match
+  if (!targetFile && fileName) {
+    console.log(`🔍 Looking for specific track: ${fileName}`);
+    
+    targetFile = audioFiles.find(file => 
+      file.name.toLowerCase() === fileName.toLowerCase()
+    );
+    
+    if (!targetFile) {
       targetFile = audioFiles.find(file => 
-        file.name.toLowerCase() === fileName.toLowerCase()
+        file.name.toLowerCase().includes(fileName.toLowerCase()) ||
+        fileName.toLowerCase().includes(file.name.toLowerCase())
       );
-      
-      // If no exact match, try partial name matching
-      if (!targetFile) {
-        targetFile = audioFiles.find(file => 
-          file.name.toLowerCase().includes(fileName.toLowerCase()) ||
-          fileName.toLowerCase().includes(file.name.toLowerCase())
-        );
-      }
-      
-      // If still no match, try track number extraction
-      if (!targetFile) {
-        // Extract track number from fileName (e.g., "Track 3", "03", "3 - Song Name")
-        const trackNumberMatch = fileName.match(/(?:track\s*)?(\d+)/i);
-        if (trackNumberMatch) {
-          const trackNumber = parseInt(trackNumberMatch[1]);
-          console.log(`🔢 Extracted track number: ${trackNumber}`);
-          
-          // Sort audio files by name to get consistent ordering
-          const sortedAudioFiles = [...audioFiles].sort((a, b) => a.name.localeCompare(b.name));
-          
-          // Try to find by track number (1-indexed)
-          if (trackNumber > 0 && trackNumber <= sortedAudioFiles.length) {
-            targetFile = sortedAudioFiles[trackNumber - 1];
-            console.log(`🎯 Selected track ${trackNumber}: ${targetFile.name}`);
-          }
-        }
-      }
-      
-      // If still no match, try fuzzy matching on track names
-      if (!targetFile) {
-        // Remove common prefixes and try matching
-        const cleanFileName = fileName.replace(/^\d+[\s\-\.]*/, '').toLowerCase();
-        targetFile = audioFiles.find(file => {
-          const cleanFile = file.name.replace(/^\d+[\s\-\.]*/, '').toLowerCase();
-          return cleanFile.includes(cleanFileName) || cleanFileName.includes(cleanFile);
-        });
-      }
     }
     
     if (!targetFile) {
-      // Sort audio files by name for consistent ordering and use first one
-      const sortedAudioFiles = [...audioFiles].sort((a, b) => a.name.localeCompare(b.name));
-      targetFile = sortedAudioFiles[0];
-      console.log(`🎵 No specific track found, using first file: ${targetFile.name}`);
-    } else {
-      console.log(`✅ Found target track: ${targetFile.name}`);
+      const trackNumberMatch = fileName.match(/(?:track\s*)?(\d+)/i);
+      if (trackNumberMatch) {
+        const trackNumber = parseInt(trackNumberMatch[1]);
+        if (trackNumber > 0 && trackNumber <= sortedAudioFiles.length) {
+          targetFile = sortedAudioFiles[trackNumber - 1];
+        }
+      }
     }
+  }
+  
+  if (!targetFile) {
+    targetFile = sortedAudioFiles[0];
+  }
 
-    console.log(`🎵 Selected file: ${targetFile.name} (${(targetFile.length / 1024 / 1024).toFixed(2)} MB)`);
+  console.log(`🎵 Selected file: ${targetFile.name} (${(targetFile.length / 1024 / 1024).toFixed(2)} MB)`);
 
-    // Prepare track listing for frontend
-    const trackListing = audioFiles
-      .sort((a, b) => a.name.localeCompare(b.name))
-      .map((file, index) => ({
-        index: index + 1,
-        name: file.name,
-        size: file.length,
-        selected: file === targetFile
-      }));
+  return { audioFiles: sortedAudioFiles, targetFile, trackMatch };
+}
 
-    console.log(`📋 Track listing prepared: ${trackListing.length} tracks`);
+// Track listing entry for an audio file, including the disc/track parsed from its path
+// (trackCount: the number of audio files, to tell "101 - Title" apart as disc 1, track 01)
+function describeAudioFile(torrent, file, index, trackCount) {
+  const parsed = parseAudioFilePath(file.path, { trackCount });
+  return {
+    index: index + 1,
+    fileIndex: torrent.files.indexOf(file),
+    streamUrl: buildStreamUrl(torrent, file),
+    name: file.name,
+    path: file.path,
+    size: file.length,
+    discNumber: parsed.disc || 1,
+    trackNumber: parsed.trackNumber
+  };
+}
 
-    // Return stream info with track listing
-    res.json({
-      success: true,
-      torrentName: torrent.name,
-      fileName: targetFile.name,
-      fileSize: targetFile.length,
-      streamUrl: `/api/stream-file/${encodeURIComponent(resolvedMagnetLink)}/${encodeURIComponent(targetFile.name)}`,
-      mimeType: getMimeType(targetFile.name),
-      trackListing: trackListing,
-      totalTracks: audioFiles.length
-    });
+// Short, stable stream URL for a torrent file: info hash + index into torrent.files
+// (so "CD1/01 Intro.flac" and "CD2/01 Intro.flac" stay distinct)
+function buildStreamUrl(torrent, file) {
+  return `/api/stream/${torrent.infoHash}/${torrent.files.indexOf(file)}`;
+}
 
-  } catch (error) {
-    console.error(`❌ Error processing torrent:`, error);
-    res.status(500).json({ error: error.message });
+// Find an active torrent by info hash (stream / transcode / HLS / cover art URLs are keyed by it)
+function findActiveTorrent(infoHash) {
+  return activeTorrents.get(String(infoHash || '').toLowerCase()) || null;
+}
+
+// Torrent + file behind an /api/stream-style URL. A copy in the library cache wins over the live
+// torrent (no peers needed); returns null when neither has the file.
+function findTorrentFile(infoHash, fileIndex) {
+  const index = parseInt(fileIndex, 10);
+
+  const cachedTorrent = audioCache.getTorrent(infoHash);
+  if (cachedTorrent?.files[index]?.cached) {
+    return { torrent: cachedTorrent, file: cachedTorrent.files[index] };
   }
-  
-  console.log(`=== END TORRENT STREAM REQUEST ===\n`);
-});
 
-// Helper function to process stream request (sync)
-function processStreamRequest(res, torrent, fileName, expectedFileCount, resolvedMagnetLink) {
-  try {
-    // Find audio files
-    const audioExtensions = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
-    const audioFiles = torrent.files.filter(file => {
-      return audioExtensions.some(ext => 
-        file.name.toLowerCase().endsWith(ext.toLowerCase())
-      );
-    });
+  const torrent = findActiveTorrent(infoHash);
+  const file = torrent?.files?.[index];
+  if (!file) return null;
 
-    console.log(`🎵 Found ${audioFiles.length} audio files in torrent`);
+  torrentLifecycle.touch(torrent.infoHash);
+  return { torrent, file };
+}
 
-    if (audioFiles.length === 0) {
-      console.log(`❌ No audio files found in torrent`);
-      return res.status(404).json({ error: 'No audio files found in torrent' });
-    }
+// Focus a torrent's bandwidth on the file about to play; the next track in album order
+// (disc, then track number) is prefetched once it completes
+function prioritisePlayback(torrent, file) {
+  const albumFiles = torrent.files
+    .filter(candidate => AUDIO_EXTENSIONS.some(ext => candidate.name.toLowerCase().endsWith(ext)))
+    .sort(compareAudioFiles);
+  const nextFile = albumFiles[albumFiles.indexOf(file) + 1] || null;
+  playbackPrioritiser.play(torrent, file, { nextFile });
+}
 
-    // Validate file count if expectedFileCount is provided
-    if (expectedFileCount && audioFiles.length !== expectedFileCount) {
-      console.log(`❌ File count mismatch: expected ${expectedFileCount}, found ${audioFiles.length}`);
-      return res.status(400).json({ 
-        error: `Torrent file count mismatch: expected ${expectedFileCount} audio files, found ${audioFiles.length}`,
-        expectedFileCount,
-        actualFileCount: audioFiles.length
-      });
-    }
+// Decide how the client should play a file: HLS when asked for (hls: true), the native stream,
+// or /api/transcode when the client's capabilities ({ supportedFormats, maxSampleRate, transcodeFormat })
+// rule the format out. Transcode URLs carry the track's duration (&duration=, when the tags have it):
+// transcoded streams have no length, and the player seeks in them by requesting a new start offset.
+async function resolvePlayback(torrent, file, { supportedFormats, maxSampleRate, transcodeFormat, hls } = {}) {
+  const playbackCapabilities = { formats: supportedFormats, maxSampleRate: parseInt(maxSampleRate, 10) || null };
+  const format = TRANSCODE_FORMATS[transcodeFormat] ? transcodeFormat : TRANSCODE_CONFIG.defaultFormat;
+  const fileIndex = torrent.files.indexOf(file);
+  const transcodeUrl = `/api/transcode/${torrent.infoHash}/${fileIndex}?format=${format}`;
+  const hlsUrl = `/api/hls/${torrent.infoHash}/${fileIndex}/playlist.m3u8`;
+
+  // HLS segments are always AAC, so the native format doesn't matter
+  if (hls) {
+    return {
+      streamUrl: hlsUrl,
+      mimeType: 'application/vnd.apple.mpegurl',
+      streamMode: 'hls',
+      transcoded: true,
+      transcodeUrl,
+      hlsUrl,
+      sourceCodec: checkPlayback(file.name, audioMetadataReader.getCached(torrent, file)).codec,
+      transcodeReason: 'HLS requested'
+    };
+  }
 
-    // Find the target file with enhanced track selection
-    let targetFile;
-    if (fileName) {
-      console.log(`🔍 Looking for specific track: ${fileName}`);
-      
-      // Enhanced track selection logic (same as before)
-      targetFile = audioFiles.find(file => 
-        file.name.toLowerCase() === fileName.toLowerCase()
-      );
-      
-      if (!targetFile) {
-        targetFile = audioFiles.find(file => 
-          file.name.toLowerCase().includes(fileName.toLowerCase()) ||
-          fileName.toLowerCase().includes(file.name.toLowerCase())
-        );
-      }
-      
-      if (!targetFile) {
-        const trackNumberMatch = fileName.match(/(?:track\s*)?(\d+)/i);
-        if (trackNumberMatch) {
-          const trackNumber = parseInt(trackNumberMatch[1]);
-          const sortedAudioFiles = [...audioFiles].sort((a, b) => a.name.localeCompare(b.name));
-          
-          if (trackNumber > 0 && trackNumber <= sortedAudioFiles.length) {
-            targetFile = sortedAudioFiles[trackNumber - 1];
-          }
-        }
-      }
+  // ALAC-in-m4a and hi-res FLAC can only be told apart by reading the file's tags
+  let metadata = audioMetadataReader.getCached(torrent, file);
+  if (!metadata && playbackNeedsTags(file.name, playbackCapabilities)) {
+    metadata = await workQueue.run('metadata', () => audioMetadataReader.read(torrent, file), {
+      priority: PRIORITY.USER,
+      label: `Read tags: ${file.name}`
+    }).catch(error => {
+      console.log(`⚠️ Could not read tags from ${file.name}, deciding playback by extension: ${error.message}`);
+      return null;
+    });
+  }
+
+  const playback = checkPlayback(file.name, metadata, playbackCapabilities);
+  let advertisedTranscodeUrl = transcodeUrl;
+  if (!playback.playable) {
+    console.log(`🔁 Client can't play ${file.name} natively (${playback.reason}), advertising ${format} transcode`);
+    if (!metadata) {
+      metadata = await workQueue.run('metadata', () => audioMetadataReader.read(torrent, file), {
+        priority: PRIORITY.USER,
+        label: `Read tags: ${file.name}`
+      }).catch(error => {
+        console.log(`⚠️ Could not read the duration of ${file.name}: ${error.message}`);
+        return null;
+      });
     }
-    
-    if (!targetFile) {
-      const sortedAudioFiles = [...audioFiles].sort((a, b) => a.name.localeCompare(b.name));
-      targetFile = sortedAudioFiles[0];
+    if (metadata?.duration) {
+      advertisedTranscodeUrl = `${transcodeUrl}&duration=${metadata.duration.toFixed(3)}`;
     }
+  }
 
-    console.log(`🎵 Selected file: ${targetFile.name} (${(targetFile.length / 1024 / 1024).toFixed(2)} MB)`);
+  return {
+    streamUrl: playback.playable ? buildStreamUrl(torrent, file) : advertisedTranscodeUrl,
+    mimeType: playback.playable ? getMimeType(file.name) : TRANSCODE_FORMATS[format].mimeType,
+    streamMode: playback.playable ? 'file' : 'transcode',
+    transcoded: !playback.playable,
+    transcodeUrl,
+    hlsUrl,
+    sourceCodec: playback.codec,
+    transcodeReason: playback.reason
+  };
+}
 
-    // Prepare track listing
-    const trackListing = audioFiles
-      .sort((a, b) => a.name.localeCompare(b.name))
-      .map((file, index) => ({
-        index: index + 1,
-        name: file.name,
-        size: file.length,
-        selected: file === targetFile
-      }));
+// Build the stream response (track listing + stream URL) for the selected file
+function buildStreamResult(torrent, { audioFiles, targetFile, trackMatch }, playback) {
+  const trackListing = audioFiles.map((file, index) => ({
+    ...describeAudioFile(torrent, file, index, audioFiles.length),
+    selected: file === targetFile
+  }));
 
-    // Return stream info with track listing
-    return res.json({
-      success: true,
-      torrentName: torrent.name,
-      fileName: targetFile.name,
-      fileSize: targetFile.length,
-      streamUrl: `/api/stream-file/${encodeURIComponent(resolvedMagnetLink)}/${encodeURIComponent(targetFile.name)}`,
-      mimeType: getMimeType(targetFile.name),
-      trackListing: trackListing,
-      totalTracks: audioFiles.length
-    });
+  return {
+    success: true,
+    torrentName: torrent.name,
+    infoHash: torrent.infoHash,
+    fileName: targetFile.name,
+    fileSize: targetFile.length,
+    ...playback,
+    trackListing: trackListing,
+    totalTracks: audioFiles.length,
+    trackMatch,
+    cached: audioCache.has(torrent.infoHash, targetFile.path)
+  };
+}
+
+// Stream result served from the library cache, or null when the track isn't on disk. A cached
+// recording ID wins; otherwise the usual file selection runs over the cached torrent's file list.
+async function resolveCachedStream(infoHash, fileName, expectedFileCount, trackTarget = {}, capabilities = {}) {
+  let torrent;
+  let selection;
+
+  const recording = audioCache.findRecording(trackTarget.recordingId);
+  if (recording) {
+    torrent = recording.torrent;
+    selection = {
+      audioFiles: torrent.files
+        .filter(file => AUDIO_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)))
+        .sort(compareAudioFiles),
+      targetFile: recording.file,
+      trackMatch: null
+    };
+  } else {
+    torrent = audioCache.getTorrent(infoHash);
+    if (!torrent) return null;
+
+    try {
+      selection = selectStreamFile(torrent, fileName, expectedFileCount, trackTarget);
+    } catch (error) {
+      // Leave selection errors to the live torrent, whose file list is authoritative
+      if (error instanceof StreamSelectionError) return null;
+      throw error;
+    }
+    if (!selection.targetFile.cached) return null;
+  }
+
+  console.log(`💾 Serving ${selection.targetFile.path} from the audio cache`);
+  const playback = await resolvePlayback(torrent, selection.targetFile, capabilities);
+  return buildStreamResult(torrent, selection, playback);
+}
+
+// Remember which file holds the requested MusicBrainz recording, once the matcher has confirmed it
+function linkCachedRecording(torrent, { targetFile, trackMatch }, { recordingId } = {}) {
+  if (recordingId && trackMatch) {
+    audioCache.linkRecording(recordingId, torrent.infoHash, targetFile.path);
+  }
+}
 
+// Helper function to process stream request (sync)
+async function processStreamRequest(res, torrent, fileName, expectedFileCount, trackTarget = {}, capabilities = {}) {
+  try {
+    torrentLifecycle.touch(torrent.infoHash);
+    const selection = selectStreamFile(torrent, fileName, expectedFileCount, trackTarget);
+    linkCachedRecording(torrent, selection, trackTarget);
+    prioritisePlayback(torrent, selection.targetFile);
+    const playback = await resolvePlayback(torrent, selection.targetFile, capabilities);
+    return res.json(buildStreamResult(torrent, selection, playback));
   } catch (error) {
+    if (error instanceof StreamSelectionError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error(`❌ Error processing stream request:`, error);
     return res.status(500).json({ error: error.message });
   }
 }
 
+// Queue an async torrent stream job in the 'jobs' lane
+function enqueueTorrentStreamJob(jobId, params, priority = PRIORITY.USER) {
+  const { magnetLink, fileName, expectedFileCount, albumTracks, trackId, recordingId, artistName, discNumber, position } = params;
+  const trackTarget = { albumTracks, trackId, recordingId, artistName, discNumber, position };
+  const { supportedFormats, maxSampleRate, transcodeFormat, hls } = params;
+  const capabilities = { supportedFormats, maxSampleRate, transcodeFormat, hls };
+  workQueue.run('jobs', ({ signal }) => processTorrentStreamAsync(jobId, magnetLink, fileName, expectedFileCount, trackTarget, capabilities, signal), {
+    priority,
+    jobId,
+    label: `Torrent stream: ${fileName || magnetLink.substring(0, 50)}`
+  }).catch(error => {
+    if (!isCancelledError(error)) {
+      console.error(`❌ Torrent stream job ${jobId} crashed:`, error);
+    }
+  });
+}
+
 // Async torrent stream processing function
-async function processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, expectedFileCount) {
+async function processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, expectedFileCount, trackTarget, capabilities, signal) {
   try {
     console.log(`\n🚀 === ASYNC TORRENT STREAM (${jobId}) ===`);
     
@@ -2752,47 +3069,25 @@ async function processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, ex
     });
 
     // Check if we already have this torrent
-    let torrent = activeTorrents.get(resolvedMagnetLink);
+    let torrent = activeTorrents.get(torrentKey(resolvedMagnetLink));
     
-    if (!torrent) {
+    if (!torrent || !torrent.ready) {
       console.log(`🔄 Adding new torrent to client...`);
       
       // Update progress
       asyncJobs.set(jobId, { ...asyncJobs.get(jobId), progress: 20 });
       
-      // Add torrent to client
-      torrent = await new Promise((resolve, reject) => {
-        const addedTorrent = torrentClient.add(resolvedMagnetLink, {
-          destroyStoreOnDestroy: true
-        });
-
-        const timeout = setTimeout(() => {
-          console.log(`⏰ Torrent loading timeout after 45 seconds`);
-          addedTorrent.destroy();
-          reject(new Error('No active peers found for this torrent'));
-        }, 45000);
-
-        addedTorrent.on('ready', () => {
-          clearTimeout(timeout);
-          console.log(`✅ Torrent ready: ${addedTorrent.name}`);
-          resolve(addedTorrent);
-        });
-
-        addedTorrent.on('error', (err) => {
-          clearTimeout(timeout);
-          reject(err);
-        });
-      });
-
-      // Store the torrent
-      activeTorrents.set(resolvedMagnetLink, torrent);
+      // Add torrent to client (queued behind other WebTorrent adds)
+      torrent = await addTorrentAndWait(resolvedMagnetLink, { jobId });
     }
+    
+    throwIfCancelled(signal);
 
     // Update progress
     asyncJobs.set(jobId, { ...asyncJobs.get(jobId), progress: 80 });
 
     // Process file selection
-    const result = await processStreamRequestAsync(torrent, fileName, expectedFileCount, resolvedMagnetLink);
+    const result = await processStreamRequestAsync(torrent, fileName, expectedFileCount, trackTarget, capabilities);
 
     // Complete the job
     asyncJobs.set(jobId, {
@@ -2806,6 +3101,11 @@ async function processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, ex
     console.log(`✅ Async torrent stream completed for job ${jobId}`);
 
   } catch (error) {
+    if (isCancelledError(error)) {
+      console.log(`🛑 Async torrent stream cancelled (${jobId})`);
+      return;
+    }
+    
     console.error(`❌ Error in async torrent stream (${jobId}):`, error);
     asyncJobs.set(jobId, {
       ...asyncJobs.get(jobId),
@@ -2817,68 +3117,40 @@ async function processTorrentStreamAsync(jobId, resolvedMagnetLink, fileName, ex
   }
 }
 
-// Helper function to process stream request async
-async function processStreamRequestAsync(torrent, fileName, expectedFileCount, resolvedMagnetLink) {
-  // Same logic as processStreamRequest but returns data instead of sending response
-  const audioExtensions = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
-  const audioFiles = torrent.files.filter(file => {
-    return audioExtensions.some(ext => 
-      file.name.toLowerCase().endsWith(ext.toLowerCase())
-    );
-  });
-
-  if (audioFiles.length === 0) {
-    throw new Error('No audio files found in torrent');
-  }
-
-  if (expectedFileCount && audioFiles.length !== expectedFileCount) {
-    throw new Error(`File count mismatch: expected ${expectedFileCount}, found ${audioFiles.length}`);
-  }
-
-  // Find target file (same logic as sync version)
-  let targetFile;
-  if (fileName) {
-    targetFile = audioFiles.find(file => 
-      file.name.toLowerCase() === fileName.toLowerCase()
-    );
-    
-    if (!targetFile) {
-      targetFile = audioFiles.find(file => 
-        file.name.toLowerCase().includes(fileName.toLowerCase()) ||
-        fileName.toLowerCase().includes(file.name.toLowerCase())
-      );
-    }
-  }
-  
-  if (!targetFile) {
-    const sortedAudioFiles = [...audioFiles].sort((a, b) => a.name.localeCompare(b.name));
-    targetFile = sortedAudioFiles[0];
-  }
+// Helper function to process stream request async (returns data instead of sending a response)
+async function processStreamRequestAsync(torrent, fileName, expectedFileCount, trackTarget = {}, capabilities = {}) {
+  torrentLifecycle.touch(torrent.infoHash);
+  const selection = selectStreamFile(torrent, fileName, expectedFileCount, trackTarget);
+  linkCachedRecording(torrent, selection, trackTarget);
+  prioritisePlayback(torrent, selection.targetFile);
+  const playback = await resolvePlayback(torrent, selection.targetFile, capabilities);
+  return buildStreamResult(torrent, selection, playback);
+}
 
-  const trackListing = audioFiles
-    .sort((a, b) => a.name.localeCompare(b.name))
-    .map((file, index) => ({
-      index: index + 1,
-      name: file.name,
-      size: file.length,
-      selected: file === targetFile
-    }));
+// Read embedded tags for a torrent's audio files through the 'metadata' lane. Files not read
+// within listingTimeoutMs are left out; their reads keep going and land in the reader's cache.
+async function readTorrentTags(torrent, files) {
+  const tags = new Map(); // file -> metadata
+  const reads = files.map(file => workQueue.run('metadata', () => audioMetadataReader.read(torrent, file), {
+    priority: PRIORITY.USER,
+    label: `Read tags: ${file.name}`
+  })
+    .then(metadata => tags.set(file, metadata))
+    .catch(error => console.log(`⚠️ Could not read tags from ${file.name}: ${error.message}`)));
+
+  let timer;
+  await Promise.race([
+    Promise.all(reads),
+    new Promise(resolve => { timer = setTimeout(resolve, METADATA_CONFIG.listingTimeoutMs); })
+  ]);
+  clearTimeout(timer);
 
-  return {
-    success: true,
-    torrentName: torrent.name,
-    fileName: targetFile.name,
-    fileSize: targetFile.length,
-    streamUrl: `/api/stream-file/${encodeURIComponent(resolvedMagnetLink)}/${encodeURIComponent(targetFile.name)}`,
-    mimeType: getMimeType(targetFile.name),
-    trackListing: trackListing,
-    totalTracks: audioFiles.length
-  };
+  return tags;
 }
 
 // Get track listing from torrent without starting playback
 app.post('/api/torrent-tracks', async (req, res) => {
-  const { magnetLink } = req.body;
+  const { magnetLink, albumTracks, artistName, includeMetadata = true } = req.body;
   
   console.log(`\n📋 === TORRENT TRACK LISTING ===`);
   console.log(`🧲 Magnet: ${magnetLink?.substring(0, 50)}...`);
@@ -2895,39 +3167,19 @@ app.post('/api/torrent-tracks', async (req, res) => {
     console.log(`🧲 Using magnet link: ${resolvedMagnetLink.substring(0, 50)}...`);
     
     // Check if we already have this torrent
-    let torrent = activeTorrents.get(resolvedMagnetLink);
+    let torrent = activeTorrents.get(torrentKey(resolvedMagnetLink));
     
-    if (!torrent) {
+    if (!torrent || !torrent.ready) {
       console.log(`🔄 Need to add torrent to get track listing...`);
       // Add torrent to client with shorter timeout for track listing
-      torrent = await new Promise((resolve, reject) => {
-        const addedTorrent = torrentClient.add(resolvedMagnetLink, {
-          destroyStoreOnDestroy: true
-        });
-
-        const timeout = setTimeout(() => {
-          console.log(`⏰ Track listing timeout after 30 seconds`);
-          addedTorrent.destroy();
-          reject(new Error('Timeout getting track listing - torrent may be dead'));
-        }, 30000);
-
-        addedTorrent.on('ready', () => {
-          clearTimeout(timeout);
-          console.log(`✅ Torrent ready for track listing: ${addedTorrent.name}`);
-          resolve(addedTorrent);
-        });
-
-        addedTorrent.on('error', (err) => {
-          clearTimeout(timeout);
-          reject(err);
-        });
+      torrent = await addTorrentAndWait(resolvedMagnetLink, {
+        timeoutMs: 30000,
+        timeoutMessage: 'Timeout getting track listing - torrent may be dead'
       });
-
-      // Store the torrent
-      activeTorrents.set(resolvedMagnetLink, torrent);
     } else {
       console.log(`♻️ Using existing torrent for track listing`);
     }
+    torrentLifecycle.touch(torrent.infoHash);
 
     // Find audio files
     const audioExtensions = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
@@ -2944,24 +3196,50 @@ app.post('/api/torrent-tracks', async (req, res) => {
       return res.status(404).json({ error: 'No audio files found in torrent' });
     }
 
-    // Prepare track listing
-    const trackListing = audioFiles
-      .sort((a, b) => a.name.localeCompare(b.name))
-      .map((file, index) => ({
-        index: index + 1,
-        name: file.name,
-        size: file.length,
-        duration: null // Could be extracted with metadata if needed
-      }));
+    audioFiles.sort(compareAudioFiles);
+
+    // Read embedded tags (title/artist/album/track/duration/cover); header pieces are fetched first
+    const tags = includeMetadata ? await readTorrentTags(torrent, audioFiles) : new Map();
+    if (includeMetadata) {
+      console.log(`🏷️ Read tags from ${tags.size}/${audioFiles.length} files`);
+    }
+
+    // Prepare track listing (disc-aware order); tag values win over values parsed from the path
+    const trackListing = audioFiles.map((file, index) => {
+      const listing = describeAudioFile(torrent, file, index, audioFiles.length);
+      const metadata = describeAudioMetadata(tags.get(file));
+
+      return {
+        ...listing,
+        title: metadata?.title || null,
+        artist: metadata?.artist || null,
+        album: metadata?.album || null,
+        trackNumber: metadata?.trackNumber ?? listing.trackNumber,
+        discNumber: metadata?.discNumber ?? listing.discNumber,
+        duration: metadata?.duration ?? null,
+        coverArt: metadata?.coverArt
+          ? { ...metadata.coverArt, url: `/api/torrent-tracks/${torrent.infoHash}/${listing.fileIndex}/cover` }
+          : null
+      };
+    });
 
     console.log(`📋 Track listing prepared: ${trackListing.length} tracks`);
 
+    // Align files to the MusicBrainz tracklist when the client sends one (from /api/album-details)
+    let trackMapping = null;
+    if (Array.isArray(albumTracks) && albumTracks.length > 0) {
+      trackMapping = matchAlbumTracks(torrent, albumTracks, artistName);
+      console.log(`🧩 Matched ${trackMapping.matchedCount}/${albumTracks.length} MusicBrainz tracks (avg confidence ${trackMapping.averageConfidence})`);
+    }
+
     // Return track listing
     res.json({
       success: true,
       torrentName: torrent.name,
+      infoHash: torrent.infoHash,
       trackListing: trackListing,
-      totalTracks: audioFiles.length
+      totalTracks: audioFiles.length,
+      trackMapping
     });
 
   } catch (error) {
@@ -2972,97 +3250,538 @@ app.post('/api/torrent-tracks', async (req, res) => {
   console.log(`=== END TORRENT TRACK LISTING ===\n`);
 });
 
-// Stream audio file from torrent
+// Embedded cover art for a torrent file (read by /api/torrent-tracks)
+app.get('/api/torrent-tracks/:infoHash/:fileIndex/cover', (req, res) => {
+  const { infoHash, fileIndex } = req.params;
+
+  const { torrent, file } = findTorrentFile(infoHash, fileIndex) || {};
+  if (!file) {
+    return res.status(404).json({ error: 'Torrent file not found' });
+  }
+
+  const picture = audioMetadataReader.getPicture(torrent, file);
+  if (!picture) {
+    return res.status(404).json({ error: 'No embedded cover art (tags not read yet or none present)' });
+  }
+
+  res.set({
+    'Content-Type': picture.mimeType,
+    'Content-Length': picture.data.length,
+    'Cache-Control': 'public, max-age=86400'
+  });
+  res.send(picture.data);
+});
+
+// Count an open HTTP response as a stream reading from a live torrent, so the lifecycle
+// manager doesn't pause or remove it mid-playback (cache views aren't managed)
+function holdTorrentWhileStreaming(torrent, res) {
+  if (torrent.cached) return;
+  res.once('close', torrentLifecycle.openStream(torrent.infoHash));
+}
+
+// Send a torrent file with HTTP range support (seeking); only the requested pieces are fetched.
+// Returns { stream, start } so callers can follow the read position.
+function sendTorrentFile(req, res, targetFile) {
+  const mimeType = getMimeType(targetFile.name);
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Length': targetFile.length,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'no-cache'
+  });
+
+  // Handle range requests for audio seeking
+  const range = req.headers.range;
+  if (range) {
+    const parts = range.replace(/bytes=/, "").split("-");
+    const start = parseInt(parts[0], 10);
+    const end = parts[1] ? parseInt(parts[1], 10) : targetFile.length - 1;
+    const chunksize = (end - start) + 1;
+    
+    res.status(206);
+    res.set({
+      'Content-Range': `bytes ${start}-${end}/${targetFile.length}`,
+      'Content-Length': chunksize
+    });
+    
+    console.log(`🎵 Streaming range: ${start}-${end}/${targetFile.length}`);
+    const stream = targetFile.createReadStream({ start, end });
+    stream.pipe(res);
+    return { stream, start };
+  } else {
+    console.log(`🎵 Streaming full file`);
+    const stream = targetFile.createReadStream();
+    stream.pipe(res);
+    return { stream, start: 0 };
+  }
+}
+
+// Stream audio file from torrent by info hash + file index (URLs returned by all playback APIs)
+app.get('/api/stream/:infoHash/:fileIndex', (req, res) => {
+  const { infoHash, fileIndex } = req.params;
+
+  console.log(`\n🎵 === STREAMING AUDIO FILE ===`);
+  console.log(`🧲 Info hash: ${infoHash}`);
+  console.log(`📁 File index: ${fileIndex}`);
+
+  try {
+    const found = findTorrentFile(infoHash, fileIndex);
+
+    if (!found) {
+      console.log(`❌ File not found in active torrents or the audio cache`);
+      return res.status(404).json({ error: 'Torrent file not found' });
+    }
+
+    console.log(`📁 File: ${found.file.path}${found.torrent.cached ? ' (audio cache)' : ''}`);
+    holdTorrentWhileStreaming(found.torrent, res);
+    prioritisePlayback(found.torrent, found.file);
+    const { stream, start } = sendTorrentFile(req, res, found.file);
+    playbackPrioritiser.follow(found.torrent, found.file, stream, start);
+
+  } catch (error) {
+    console.error(`❌ Error streaming file:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Warm the next track in the client's queue so it can start without a gap: the file is queued
+// after the playing track and its opening pieces are fetched now. Returns the same playback
+// fields as the other playback APIs so the client can preload the stream URL straight away.
+app.post('/api/prefetch', async (req, res) => {
+  const { infoHash, fileIndex } = req.body;
+  const { supportedFormats, maxSampleRate, transcodeFormat, hls } = req.body;
+
+  if (!infoHash || fileIndex === undefined || fileIndex === null) {
+    return res.status(400).json({ error: 'infoHash and fileIndex are required' });
+  }
+
+  try {
+    const found = findTorrentFile(infoHash, fileIndex);
+
+    if (!found) {
+      console.log(`❌ Prefetch: file ${fileIndex} of ${infoHash} not in active torrents or the audio cache`);
+      return res.status(404).json({ error: 'Torrent file not found' });
+    }
+
+    const { torrent, file } = found;
+    if (!torrent.cached) {
+      playbackPrioritiser.prefetch(torrent, file);
+    }
+
+    const playback = await resolvePlayback(torrent, file, { supportedFormats, maxSampleRate, transcodeFormat, hls });
+    console.log(`⏭️ Prefetch ready: ${file.name}${torrent.cached ? ' (audio cache)' : ''}`);
+
+    res.json({
+      success: true,
+      infoHash: torrent.infoHash,
+      fileIndex: torrent.files.indexOf(file),
+      fileName: file.name,
+      fileSize: file.length,
+      cached: Boolean(torrent.cached),
+      progress: torrent.cached ? 1 : Math.round((file.progress || 0) * 1000) / 1000,
+      ...playback
+    });
+
+  } catch (error) {
+    console.error(`❌ Error prefetching file:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Legacy stream URL (magnet link + file name), kept for clients holding old URLs
 app.get('/api/stream-file/:magnetLink/:fileName', async (req, res) => {
   const { magnetLink, fileName } = req.params;
   const decodedMagnetLink = decodeURIComponent(magnetLink);
   const decodedFileName = decodeURIComponent(fileName);
   
-  console.log(`\n🎵 === STREAMING AUDIO FILE ===`);
+  console.log(`\n🎵 === STREAMING AUDIO FILE (legacy URL) ===`);
   console.log(`🧲 Magnet: ${decodedMagnetLink.substring(0, 50)}...`);
   console.log(`📁 File: ${decodedFileName}`);
   
   try {
-    const torrent = activeTorrents.get(decodedMagnetLink);
+    const torrent = activeTorrents.get(torrentKey(decodedMagnetLink));
     
     if (!torrent) {
       console.log(`❌ Torrent not found in active torrents`);
       return res.status(404).json({ error: 'Torrent not found' });
     }
 
-    const targetFile = torrent.files.find(file => file.name === decodedFileName);
+    // Match the full path first (multi-disc albums repeat file names across discs), then the bare name
+    const targetFile = torrent.files.find(file => file.path === decodedFileName) ||
+      torrent.files.find(file => file.name === decodedFileName);
     
     if (!targetFile) {
       console.log(`❌ File not found in torrent`);
       return res.status(404).json({ error: 'File not found in torrent' });
     }
 
-    // Set headers for audio streaming
-    const mimeType = getMimeType(decodedFileName);
+    holdTorrentWhileStreaming(torrent, res);
+    prioritisePlayback(torrent, targetFile);
+    const { stream, start } = sendTorrentFile(req, res, targetFile);
+    playbackPrioritiser.follow(torrent, targetFile, stream, start);
+
+  } catch (error) {
+    console.error(`❌ Error streaming file:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Transcode a torrent file through ffmpeg (?format=opus|mp3&bitrate=kbps&start=seconds).
+// Output length isn't known up front, so byte ranges aren't supported; seek by re-requesting with ?start=.
+app.get('/api/transcode/:infoHash/:fileIndex', async (req, res) => {
+  const { infoHash, fileIndex } = req.params;
+
+  console.log(`\n🔁 === TRANSCODE REQUEST ===`);
+  console.log(`🧲 Info hash: ${infoHash}`);
+  console.log(`📁 File index: ${fileIndex}`);
+  console.log(`⚙️ Options:`, req.query);
+
+  let options;
+  try {
+    options = parseTranscodeOptions(req.query);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ error: error.message });
+  }
+
+  const { torrent, file } = findTorrentFile(infoHash, fileIndex) || {};
+  if (!file) {
+    console.log(`❌ Torrent file not found`);
+    return res.status(404).json({ error: 'Torrent file not found' });
+  }
+
+  if (!(await transcoder.isAvailable())) {
+    console.log(`❌ ffmpeg not available at ${TRANSCODE_CONFIG.ffmpegPath}`);
+    return res.status(503).json({ error: 'Transcoding unavailable: ffmpeg not found (set FFMPEG_PATH)' });
+  }
+
+  let job;
+  holdTorrentWhileStreaming(torrent, res);
+  prioritisePlayback(torrent, file);
+  // ffmpeg reads through /api/stream (which follows its read position) so -ss can range-seek
+  const inputUrl = `http://127.0.0.1:${PORT}${buildStreamUrl(torrent, file)}`;
+  try {
+    job = transcoder.transcode(inputUrl, options);
+  } catch (error) {
+    if (error instanceof TranscodeError) {
+      console.log(`❌ ${error.message}`);
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`❌ Error starting transcode:`, error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  console.log(`🎵 Transcoding ${file.name} → ${options.format} ${options.bitrate}kbps from ${options.startSeconds}s`);
+
+  const duration = audioMetadataReader.getCached(torrent, file)?.duration;
+  res.set({
+    'Content-Type': job.mimeType,
+    'Accept-Ranges': 'none',
+    'Cache-Control': 'no-cache',
+    ...(duration ? { 'X-Content-Duration': String(Math.max(0, duration - options.startSeconds)) } : {})
+  });
+
+  // Stop ffmpeg (and the torrent read) when the player goes away, e.g. on skip or seek
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      clientClosed = true;
+      job.stop();
+    }
+  });
+
+  job.output.pipe(res);
+
+  const { code, stderr } = await job.done;
+  if (code !== 0 && !clientClosed) {
+    console.error(`❌ ffmpeg exited with code ${code} for ${file.name}: ${stderr.trim()}`);
+  } else {
+    console.log(`✅ Transcode finished for ${file.name}${clientClosed ? ' (client closed)' : ''}`);
+  }
+});
+
+// Work queue job ID shared by a track's HLS encodes, so DELETE /api/jobs/hls:<infoHash>:<fileIndex> stops them
+const hlsJobId = (key) => `hls:${key}`;
+
+// Abort signal that fires when the client drops the connection (the signal is for work
+// started on the client's behalf; a response that has been sent closes it too, harmlessly)
+function clientDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort(new JobCancelledError('Client disconnected')));
+  return controller.signal;
+}
+
+// Look up a torrent file for HLS and work out its duration (tags first, then an ffmpeg probe)
+async function loadHlsTrack(infoHash, fileIndex, clientSignal) {
+  const { torrent, file } = findTorrentFile(infoHash, fileIndex) || {};
+  if (!file) {
+    throw new StreamSelectionError('Torrent file not found', 404);
+  }
+  if (!(await transcoder.isAvailable())) {
+    throw new StreamSelectionError('HLS unavailable: ffmpeg not found (set FFMPEG_PATH)', 503);
+  }
+
+  const key = `${torrent.infoHash}:${fileIndex}`;
+  // ffmpeg reads through /api/stream so it can range-request just the bytes it needs
+  const inputUrl = `http://127.0.0.1:${PORT}${buildStreamUrl(torrent, file)}`;
+
+  const metadata = audioMetadataReader.getCached(torrent, file) ||
+    await workQueue.run('metadata', () => audioMetadataReader.read(torrent, file), {
+      priority: PRIORITY.USER,
+      label: `Read tags: ${file.name}`
+    }).catch(() => null);
+
+  // The probe reads the stream through ffmpeg, so it queues in the 'hls' lane like the encodes
+  const duration = metadata?.duration || hlsPackager.hasDuration(key)
+    ? await hlsPackager.getDuration(key, inputUrl, metadata?.duration)
+    : await workQueue.run('hls', ({ signal }) => hlsPackager.getDuration(key, inputUrl, null, {
+      signal: clientSignal ? AbortSignal.any([signal, clientSignal]) : signal
+    }), {
+      priority: PRIORITY.USER,
+      jobId: hlsJobId(key),
+      label: `HLS duration probe: ${file.name}`
+    });
+  if (!duration) {
+    throw new StreamSelectionError(`Could not determine the duration of ${file.name}`, 422);
+  }
+
+  return { torrent, file, key, inputUrl, duration };
+}
+
+// Queue an HLS segment encode in the 'hls' lane; it stops when the task is cancelled or
+// clientSignal (the requesting connection, for the segment being served) aborts
+function encodeHlsSegment(track, index, priority, clientSignal = null) {
+  return workQueue.run('hls', ({ signal }) => hlsPackager.getSegment(track.key, track.inputUrl, index, track.duration, {
+    signal: clientSignal ? AbortSignal.any([signal, clientSignal]) : signal
+  }), {
+    priority,
+    jobId: hlsJobId(track.key),
+    label: `HLS segment ${index}: ${track.file.name}`
+  });
+}
+
+// HLS playlist for a torrent file
+app.get('/api/hls/:infoHash/:fileIndex/playlist.m3u8', async (req, res) => {
+  const { infoHash, fileIndex } = req.params;
+  console.log(`\n📺 === HLS PLAYLIST: ${infoHash} / ${fileIndex} ===`);
+
+  try {
+    const track = await loadHlsTrack(infoHash, fileIndex, clientDisconnectSignal(res));
+    console.log(`📺 ${track.file.name}: ${track.duration.toFixed(1)}s in ${segmentCount(track.duration, hlsPackager.segmentSeconds)} segments`);
+
+    // Start on the opening segments while the player parses the playlist
+    prioritiseTimeRange(track.torrent, track.file, track.duration, 0, hlsPackager.segmentSeconds * (HLS_CONFIG.prefetchSegments + 1));
+    encodeHlsSegment(track, 0, PRIORITY.USER).catch(error => console.log(`⚠️ HLS prefetch failed: ${error.message}`));
+
     res.set({
-      'Content-Type': mimeType,
-      'Content-Length': targetFile.length,
-      'Accept-Ranges': 'bytes',
+      'Content-Type': 'application/vnd.apple.mpegurl',
       'Cache-Control': 'no-cache'
     });
+    res.send(hlsPackager.playlist(track.duration));
+  } catch (error) {
+    if (error instanceof StreamSelectionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (isCancelledError(error)) {
+      // Client gone (nothing to answer) or the track's encodes cancelled via DELETE /api/jobs
+      console.log(`🛑 HLS playlist cancelled: ${error.message}`);
+      if (!res.destroyed) res.status(503).json({ error: error.message });
+      return;
+    }
+    console.error(`❌ Error building HLS playlist:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Handle range requests for audio seeking
-    const range = req.headers.range;
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : targetFile.length - 1;
-      const chunksize = (end - start) + 1;
-      
-      res.status(206);
-      res.set({
-        'Content-Range': `bytes ${start}-${end}/${targetFile.length}`,
-        'Content-Length': chunksize
-      });
-      
-      console.log(`🎵 Streaming range: ${start}-${end}/${targetFile.length}`);
-      const stream = targetFile.createReadStream({ start, end });
-      stream.pipe(res);
-    } else {
-      console.log(`🎵 Streaming full file`);
-      const stream = targetFile.createReadStream();
-      stream.pipe(res);
+// One HLS segment; pieces for it and the next few segments are prioritised, and the next
+// segments are encoded in the background so seeks and stalls recover segment-by-segment
+app.get('/api/hls/:infoHash/:fileIndex/:segmentIndex.ts', async (req, res) => {
+  const { infoHash, fileIndex, segmentIndex } = req.params;
+  const index = parseInt(segmentIndex, 10);
+
+  const clientSignal = clientDisconnectSignal(res);
+
+  try {
+    const track = await loadHlsTrack(infoHash, fileIndex, clientSignal);
+    const count = segmentCount(track.duration, hlsPackager.segmentSeconds);
+    if (Number.isNaN(index) || index < 0 || index >= count) {
+      return res.status(404).json({ error: `Segment ${segmentIndex} out of range (0-${count - 1})` });
     }
 
+    const segmentSeconds = hlsPackager.segmentSeconds;
+    prioritiseTimeRange(track.torrent, track.file, track.duration, index * segmentSeconds, (index + 1 + HLS_CONFIG.prefetchSegments) * segmentSeconds);
+
+    const segment = await encodeHlsSegment(track, index, PRIORITY.USER, clientSignal);
+
+    for (let next = index + 1; next <= index + HLS_CONFIG.prefetchSegments && next < count; next++) {
+      if (!hlsPackager.hasSegment(track.key, next)) {
+        encodeHlsSegment(track, next, PRIORITY.BACKGROUND)
+          .catch(error => console.log(`⚠️ HLS prefetch of segment ${next} failed: ${error.message}`));
+      }
+    }
+
+    res.set({
+      'Content-Type': 'video/mp2t',
+      'Content-Length': segment.length,
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.send(segment);
   } catch (error) {
-    console.error(`❌ Error streaming file:`, error);
+    if (error instanceof StreamSelectionError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    if (isCancelledError(error)) {
+      // Client gone (nothing to answer) or the track's encodes cancelled via DELETE /api/jobs
+      console.log(`🛑 HLS segment ${segmentIndex} cancelled: ${error.message}`);
+      if (!res.destroyed) res.status(503).json({ error: error.message });
+      return;
+    }
+    console.error(`❌ Error serving HLS segment ${segmentIndex}:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Clean up old torrents endpoint
+// Clean up torrents endpoint: removes every torrent that isn't streaming or recently accessed
 app.post('/api/cleanup-torrents', (req, res) => {
   console.log(`\n🧹 === CLEANING UP TORRENTS ===`);
   
-  const before = activeTorrents.size;
+  const removed = torrentLifecycle.sweep({ removeAllIdle: true });
   
-  // Remove torrents that haven't been accessed recently
-  for (const [magnetLink, torrent] of activeTorrents.entries()) {
-    try {
-      torrent.destroy();
-      activeTorrents.delete(magnetLink);
-    } catch (error) {
-      console.error(`❌ Error destroying torrent:`, error);
+  console.log(`🧹 Cleaned up ${removed.length} torrents, kept ${activeTorrents.size} in use`);
+  res.json({ message: `Cleaned up ${removed.length} torrents`, removed, kept: activeTorrents.size });
+});
+
+// === TORRENT ADMINISTRATION ===
+
+// Every torrent the WebTorrent client holds: activeTorrents plus any still being added
+// (user adds only enter activeTorrents once ready). Returns [{ key, torrent }].
+function listClientTorrents() {
+  const listed = [...activeTorrents.entries()].map(([key, torrent]) => ({ key, torrent }));
+  const known = new Set(listed.map(({ torrent }) => torrent));
+
+  for (const torrent of torrentClient.torrents) {
+    if (!known.has(torrent)) {
+      listed.push({ key: torrent.infoHash, torrent });
     }
   }
-  
-  console.log(`🧹 Cleaned up ${before} torrents`);
-  res.json({ message: `Cleaned up ${before} torrents` });
+  return listed;
+}
+
+function findClientTorrent(infoHash) {
+  const hash = String(infoHash || '').toLowerCase();
+  return listClientTorrents().find(({ key, torrent }) => key === hash || torrent.infoHash === hash) || null;
+}
+
+// Transfer stats + lifecycle state for one torrent; per-file progress with { includeFiles: true }
+function describeTorrentStats({ key, torrent }, { includeFiles = false } = {}) {
+  const lifecycle = torrentLifecycle.describe(key);
+  const summary = {
+    infoHash: torrent.infoHash || null,
+    name: torrent.name || null,
+    status: lifecycle?.status || (torrent.paused ? 'paused' : torrent.ready ? 'active' : 'loading'),
+    pausedBy: lifecycle?.pausedBy || null,
+    origin: lifecycle?.origin || 'untracked',
+    protected: lifecycle?.protected || false,
+    openStreams: lifecycle?.openStreams || 0,
+    addedAt: lifecycle?.addedAt || null,
+    lastAccessedAt: lifecycle?.lastAccessedAt || null,
+    progress: Math.round((torrent.progress || 0) * 1000) / 1000,
+    size: torrent.length || 0,
+    downloaded: torrent.downloaded || 0,
+    uploaded: torrent.uploaded || 0,
+    downloadSpeed: torrent.downloadSpeed || 0,
+    uploadSpeed: torrent.uploadSpeed || 0,
+    ratio: Math.round((torrent.ratio || 0) * 100) / 100,
+    numPeers: torrent.numPeers || 0,
+    timeRemaining: Number.isFinite(torrent.timeRemaining) ? torrent.timeRemaining : null,
+    fileCount: torrent.files?.length || 0,
+    playback: playbackPrioritiser.describe(torrent)
+  };
+
+  if (!includeFiles) return summary;
+
+  return {
+    ...summary,
+    files: (torrent.files || []).map((file, index) => ({
+      index,
+      name: file.name,
+      path: file.path,
+      size: file.length,
+      downloaded: file.downloaded || 0,
+      progress: Math.round((file.progress || 0) * 1000) / 1000,
+      done: Boolean(file.done),
+      cached: audioCache.has(torrent.infoHash, file.path),
+      streamUrl: AUDIO_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext)) ? buildStreamUrl(torrent, file) : null
+    }))
+  };
+}
+
+// All torrents with transfer stats and lifecycle state, most recently used first, plus totals vs caps
+app.get('/api/torrents', (req, res) => {
+  const torrents = listClientTorrents()
+    .map(entry => describeTorrentStats(entry))
+    .sort((a, b) => (b.lastAccessedAt || '').localeCompare(a.lastAccessedAt || ''));
+
+  res.json({
+    torrents,
+    downloadSpeed: torrentClient.downloadSpeed,
+    uploadSpeed: torrentClient.uploadSpeed,
+    ...torrentLifecycle.stats()
+  });
+});
+
+// One torrent, including per-file progress
+app.get('/api/torrents/:infoHash', (req, res) => {
+  const entry = findClientTorrent(req.params.infoHash);
+  if (!entry) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+  res.json(describeTorrentStats(entry, { includeFiles: true }));
+});
+
+// Remove a torrent and its downloaded data (cached audio files stay), even if it is playing
+app.delete('/api/torrents/:infoHash', (req, res) => {
+  const entry = findClientTorrent(req.params.infoHash);
+  if (!entry) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+
+  if (activeTorrents.has(entry.key)) {
+    torrentLifecycle.remove(entry.key, 'removed via API');
+  } else {
+    console.log(`🗑️ Removing torrent ${entry.torrent.name || entry.key}: removed via API`);
+    entry.torrent.destroy();
+  }
+  res.json({ success: true, infoHash: entry.torrent.infoHash, removed: true });
+});
+
+// Pause (no new peer connections; access won't resume it) or resume a torrent
+app.post('/api/torrents/:infoHash/:action(pause|resume)', (req, res) => {
+  const { action } = req.params;
+  const entry = findClientTorrent(req.params.infoHash);
+  if (!entry) {
+    return res.status(404).json({ error: 'Torrent not found' });
+  }
+
+  if (activeTorrents.has(entry.key)) {
+    torrentLifecycle[action](entry.key);
+  } else {
+    entry.torrent[action]();
+  }
+
+  console.log(`${action === 'pause' ? '⏸️' : '▶️'} Torrent ${action}d via API: ${entry.torrent.name || entry.key}`);
+  res.json(describeTorrentStats(entry));
 });
 
 // New endpoint: Play specific track from album
 app.post('/api/play-album-track', async (req, res) => {
-  const { albumMagnetLink, trackName, trackIndex, trackTitle, artistName } = req.body;
+  const { albumMagnetLink, trackName, trackIndex, trackTitle, artistName, discNumber, position } = req.body;
+  const { supportedFormats, maxSampleRate, transcodeFormat, hls } = req.body;
   
   console.log(`\n🎵 === PLAY ALBUM TRACK ===`);
   console.log(`💿 Album Magnet: ${albumMagnetLink?.substring(0, 50)}...`);
   console.log(`🎤 Track Name: ${trackName}`);
   console.log(`📊 Track Index: ${trackIndex}`);
+  console.log(`💽 Disc/Position: ${discNumber || 1}/${position || '-'}`);
   console.log(`🎵 Track Title: ${trackTitle}`);
   console.log(`👤 Artist: ${artistName}`);
   console.log(`🕐 Timestamp: ${new Date().toISOString()}`);
@@ -3078,39 +3797,18 @@ app.post('/api/play-album-track', async (req, res) => {
     console.log(`🧲 Using resolved magnet link: ${resolvedMagnetLink.substring(0, 50)}...`);
     
     // Check if we already have this torrent
-    let torrent = activeTorrents.get(resolvedMagnetLink);
+    let torrent = activeTorrents.get(torrentKey(resolvedMagnetLink));
     
-    if (!torrent) {
+    if (!torrent || !torrent.ready) {
       console.log(`🔄 Adding album torrent to get track listing...`);
       // Add torrent to client
-      torrent = await new Promise((resolve, reject) => {
-        const addedTorrent = torrentClient.add(resolvedMagnetLink, {
-          destroyStoreOnDestroy: true
-        });
-
-        const timeout = setTimeout(() => {
-          console.log(`⏰ Album torrent timeout after 45 seconds`);
-          addedTorrent.destroy();
-          reject(new Error('Timeout loading album torrent - torrent may be dead'));
-        }, 45000);
-
-        addedTorrent.on('ready', () => {
-          clearTimeout(timeout);
-          console.log(`✅ Album torrent ready: ${addedTorrent.name}`);
-          resolve(addedTorrent);
-        });
-
-        addedTorrent.on('error', (err) => {
-          clearTimeout(timeout);
-          reject(err);
-        });
+      torrent = await addTorrentAndWait(resolvedMagnetLink, {
+        timeoutMessage: 'Timeout loading album torrent - torrent may be dead'
       });
-
-      // Store the torrent
-      activeTorrents.set(resolvedMagnetLink, torrent);
     } else {
       console.log(`♻️ Using existing album torrent`);
     }
+    torrentLifecycle.touch(torrent.infoHash);
 
     // Find audio files in the album
     const audioExtensions = ['.mp3', '.flac', '.wav', '.m4a', '.aac', '.ogg', '.wma'];
@@ -3127,26 +3825,35 @@ app.post('/api/play-album-track', async (req, res) => {
       return res.status(404).json({ error: 'No audio files found in album' });
     }
 
-    // Sort files by name for consistent ordering
-    audioFiles.sort((a, b) => a.name.localeCompare(b.name));
+    // Sort files by disc, then track number, for consistent ordering across CD1/, CD2/ folders
+    audioFiles.sort(compareAudioFiles);
 
     let targetFile = null;
 
-    // Strategy 1: Find by exact track name match
+    // Strategy 1: Find by exact track name (or path) match
     if (trackName) {
-      targetFile = audioFiles.find(file => file.name === trackName);
+      targetFile = audioFiles.find(file => file.path === trackName) ||
+        audioFiles.find(file => file.name === trackName);
+      if (targetFile) {
+        console.log(`✅ Found track by exact name match: ${targetFile.path}`);
+      }
+    }
+
+    // Strategy 2: Find by disc number + position (as emitted by /api/album-details)
+    if (!targetFile && position) {
+      targetFile = findFileByDiscPosition(audioFiles, discNumber, position);
       if (targetFile) {
-        console.log(`✅ Found track by exact name match: ${targetFile.name}`);
+        console.log(`✅ Found track by disc ${discNumber || 1} position ${position}: ${targetFile.path}`);
       }
     }
 
-    // Strategy 2: Find by track index
+    // Strategy 3: Find by track index across all discs
     if (!targetFile && trackIndex !== undefined && trackIndex >= 1 && trackIndex <= audioFiles.length) {
       targetFile = audioFiles[trackIndex - 1]; // Convert to 0-based index
-      console.log(`✅ Found track by index ${trackIndex}: ${targetFile.name}`);
+      console.log(`✅ Found track by index ${trackIndex}: ${targetFile.path}`);
     }
 
-    // Strategy 3: Find by fuzzy matching track title and artist
+    // Strategy 4: Find by fuzzy matching track title and artist
     if (!targetFile && trackTitle) {
       const searchTerm = trackTitle.toLowerCase();
       
@@ -3179,7 +3886,7 @@ app.post('/api/play-album-track', async (req, res) => {
       }
     }
 
-    // Strategy 4: Default to first track if nothing else worked
+    // Strategy 5: Default to first track if nothing else worked
     if (!targetFile) {
       targetFile = audioFiles[0];
       console.log(`⚠️ No specific track match found, defaulting to first track: ${targetFile.name}`);
@@ -3190,10 +3897,11 @@ app.post('/api/play-album-track', async (req, res) => {
       return res.status(404).json({ error: 'Could not find specified track in album' });
     }
 
-    // Generate stream URL for the specific track
-    const encodedMagnetLink = encodeURIComponent(resolvedMagnetLink);
-    const encodedFileName = encodeURIComponent(targetFile.name);
-    const streamUrl = `/api/stream-file/${encodedMagnetLink}/${encodedFileName}`;
+    prioritisePlayback(torrent, targetFile);
+
+    // Generate stream URL for the specific track (a transcode URL if the client can't play the format)
+    const playback = await resolvePlayback(torrent, targetFile, { supportedFormats, maxSampleRate, transcodeFormat, hls });
+    const targetParsed = parseAudioFilePath(targetFile.path, { trackCount: audioFiles.length });
 
     console.log(`✅ Generated stream URL for track: ${targetFile.name}`);
     console.log(`📁 File size: ${formatBytes(targetFile.length)}`);
@@ -3201,17 +3909,16 @@ app.post('/api/play-album-track', async (req, res) => {
     // Return track information with stream URL
     res.json({
       success: true,
-      streamUrl: streamUrl,
+      ...playback,
       fileName: targetFile.name,
       fileSize: targetFile.length,
       albumName: torrent.name,
+      infoHash: torrent.infoHash,
       trackIndex: audioFiles.indexOf(targetFile) + 1,
+      discNumber: targetParsed.disc || 1,
+      trackNumber: targetParsed.trackNumber,
       totalTracks: audioFiles.length,
-      albumTracks: audioFiles.map((file, index) => ({
-        index: index + 1,
-        name: file.name,
-        size: file.length
-      }))
+      albumTracks: audioFiles.map((file, index) => describeAudioFile(torrent, file, index, audioFiles.length))
     });
 
   } catch (error) {
@@ -3220,6 +3927,118 @@ app.post('/api/play-album-track', async (req, res) => {
   }
 });
 
+// === PLAYLISTS ===
+
+// Send a PlaylistError as its status code, anything else as a 500
+function sendPlaylistError(res, error, action) {
+  if (error instanceof PlaylistError) {
+    console.log(`❌ ${action}: ${error.message}`);
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`❌ Error ${action.toLowerCase()}:`, error);
+  return res.status(500).json({ error: error.message });
+}
+
+app.get('/api/playlists', (req, res) => {
+  try {
+    res.json({ playlists: playlistStore.list() });
+  } catch (error) {
+    sendPlaylistError(res, error, 'Listing playlists');
+  }
+});
+
+// Body: { name, description?, entries?: [{ recordingId?, title?, artist?, album?, durationMs?, infoHash?, fileIndex? }] }
+app.post('/api/playlists', (req, res) => {
+  try {
+    const playlist = playlistStore.create(req.body || {});
+    console.log(`📝 Created playlist "${playlist.name}" (${playlist.entryCount} entries)`);
+    res.status(201).json(playlist);
+  } catch (error) {
+    sendPlaylistError(res, error, 'Creating playlist');
+  }
+});
+
+// Import an M3U8, XSPF or JSPF playlist. The file can be posted as the raw body, or as JSON
+// { content, format?, name? }; a JSPF document can also be posted as-is. ?format= overrides detection.
+app.post(PLAYLIST_IMPORT_PATH, [
+  express.json({ limit: PLAYLIST_CONFIG.maxImportBytes }),
+  express.text({ type: () => true, limit: PLAYLIST_CONFIG.maxImportBytes })
+], (req, res) => {
+  const body = req.body;
+  const isWrapped = body && typeof body === 'object' && !body.playlist;
+  const content = isWrapped ? body.content : body;
+  const format = String(req.query.format || (isWrapped && body.format) || detectPlaylistFormat(content)).toLowerCase();
+
+  try {
+    if (!content || (typeof content === 'string' && !content.trim())) {
+      throw new PlaylistError('Playlist content is required');
+    }
+
+    const parsed = parsePlaylist(content, format);
+    const name = (isWrapped && body.name) || parsed.name || `Imported playlist (${new Date().toISOString().slice(0, 10)})`;
+    const playlist = playlistStore.create({ name, description: parsed.description, entries: parsed.entries });
+
+    console.log(`📥 Imported ${format} playlist "${playlist.name}" (${playlist.entryCount} entries)`);
+    res.status(201).json(playlist);
+  } catch (error) {
+    sendPlaylistError(res, error, 'Importing playlist');
+  }
+});
+
+app.get('/api/playlists/:id', (req, res) => {
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  res.json(playlist);
+});
+
+// Body: any of { name, description, entries } (entries replace the whole list)
+app.put('/api/playlists/:id', (req, res) => {
+  try {
+    const playlist = playlistStore.update(req.params.id, req.body || {});
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    console.log(`📝 Updated playlist "${playlist.name}" (${playlist.entryCount} entries)`);
+    res.json(playlist);
+  } catch (error) {
+    sendPlaylistError(res, error, 'Updating playlist');
+  }
+});
+
+app.delete('/api/playlists/:id', (req, res) => {
+  if (!playlistStore.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+  console.log(`🗑️ Deleted playlist ${req.params.id}`);
+  res.json({ success: true, id: req.params.id });
+});
+
+// Download as m3u8 (default), xspf or jspf. Pinned entries point at this server's /api/stream URLs.
+app.get('/api/playlists/:id/export', (req, res) => {
+  const format = String(req.query.format || 'm3u8').toLowerCase();
+  if (!PLAYLIST_FORMATS[format]) {
+    return res.status(400).json({ error: `Unsupported format: ${format} (use ${Object.keys(PLAYLIST_FORMATS).join(', ')})` });
+  }
+
+  const playlist = playlistStore.get(req.params.id);
+  if (!playlist) {
+    return res.status(404).json({ error: 'Playlist not found' });
+  }
+
+  try {
+    const body = exportPlaylist(playlist, format, { baseUrl: `${req.protocol}://${req.get('host')}` });
+    const fileName = `${playlist.name.replace(/[^\w .-]+/g, '_').trim() || 'playlist'}.${PLAYLIST_FORMATS[format].extension}`;
+
+    res.setHeader('Content-Type', PLAYLIST_FORMATS[format].mimeType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(body);
+  } catch (error) {
+    sendPlaylistError(res, error, 'Exporting playlist');
+  }
+});
+
 // Helper function to get MIME type
 function getMimeType(filename) {
   const ext = filename.toLowerCase().split('.').pop();
@@ -3236,7 +4055,7 @@ function getMimeType(filename) {
 }
 
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 ================================`);
   console.log(`   LIZZEN.ORG BACKEND STARTED`);
   console.log(`🚀 ================================`);
@@ -3248,4 +4067,10 @@ app.listen(PORT, () => {
   console.log(`🔑 API Key: ${PROWLARR_CONFIG.apiKey.substring(0, 8)}...`);
   console.log(`🕐 Started at: ${new Date().toISOString()}`);
   console.log(`🚀 ================================\n`);
+  
+  asyncJobs.pruneFinished(JOB_STORE_CONFIG.finishedJobTtl);
+  recoverPendingJobs();
 });
+
+// Multiplexed WebSocket for job progress (many jobs over one connection)
+jobEvents.attachWebSocket(server);
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import Database from 'better-sqlite3';
+
+// Local library cache: completed torrent audio files are copied to disk so they
+// keep playing after the torrent is destroyed (/api/cleanup-torrents, restarts).
+// Entries are indexed by info hash + file path and, once the track matcher has
+// confirmed them, by MusicBrainz recording ID. The least recently played files
+// are evicted to stay within maxBytes.
+//
+// A cached torrent is exposed as a read-only "torrent view" ({ infoHash, name,
+// files }) whose files have the name/path/length/createReadStream subset of the
+// WebTorrent API, so file selection, /api/stream, transcoding and HLS can use it
+// in place of a live torrent.
+
+export function createAudioCache({ directory = './data/audio-cache', maxBytes = 20 * 1024 ** 3 } = {}) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const db = new Database(path.join(directory, 'index.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS torrents (
+      info_hash TEXT PRIMARY KEY,
+      name TEXT,
+      files TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS files (
+      info_hash TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      file_index INTEGER NOT NULL,
+      cache_path TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      last_accessed_at TEXT NOT NULL,
+      PRIMARY KEY (info_hash, file_path)
+    );
+    CREATE INDEX IF NOT EXISTS idx_files_last_accessed ON files (last_accessed_at);
+    CREATE TABLE IF NOT EXISTS recordings (
+      recording_id TEXT PRIMARY KEY,
+      info_hash TEXT NOT NULL,
+      file_path TEXT NOT NULL
+    );
+  `);
+
+  const statements = {
+    getTorrent: db.prepare('SELECT name, files FROM torrents WHERE info_hash = ?'),
+    upsertTorrent: db.prepare(`
+      INSERT INTO torrents (info_hash, name, files) VALUES (?, ?, ?)
+      ON CONFLICT(info_hash) DO UPDATE SET name = excluded.name, files = excluded.files
+    `),
+    deleteTorrent: db.prepare('DELETE FROM torrents WHERE info_hash = ?'),
+    getFile: db.prepare('SELECT * FROM files WHERE info_hash = ? AND file_path = ?'),
+    filesForTorrent: db.prepare('SELECT * FROM files WHERE info_hash = ?'),
+    allFiles: db.prepare('SELECT info_hash, file_path, cache_path FROM files'),
+    insertFile: db.prepare(`
+      INSERT OR REPLACE INTO files (info_hash, file_path, file_index, cache_path, size, created_at, last_accessed_at)
+      VALUES (@infoHash, @filePath, @fileIndex, @cachePath, @size, @now, @now)
+    `),
+    touchFile: db.prepare('UPDATE files SET last_accessed_at = ? WHERE info_hash = ? AND file_path = ?'),
+    deleteFile: db.prepare('DELETE FROM files WHERE info_hash = ? AND file_path = ?'),
+    leastRecentlyUsed: db.prepare('SELECT * FROM files ORDER BY last_accessed_at ASC LIMIT 1'),
+    totals: db.prepare('SELECT COUNT(*) AS count, COALESCE(SUM(size), 0) AS bytes FROM files'),
+    torrentFileCount: db.prepare('SELECT COUNT(*) AS count FROM files WHERE info_hash = ?'),
+    linkRecording: db.prepare(`
+      INSERT INTO recordings (recording_id, info_hash, file_path) VALUES (?, ?, ?)
+      ON CONFLICT(recording_id) DO UPDATE SET info_hash = excluded.info_hash, file_path = excluded.file_path
+    `),
+    getRecording: db.prepare('SELECT info_hash, file_path FROM recordings WHERE recording_id = ?')
+  };
+
+  const pending = new Map(); // `${infoHash}:${path}` -> in-flight copy
+
+  // Drop index rows whose files were removed from disk while we weren't running
+  for (const row of statements.allFiles.all()) {
+    if (!fs.existsSync(row.cache_path)) {
+      removeEntry(row);
+    }
+  }
+
+  function removeEntry(row) {
+    fs.rmSync(row.cache_path, { force: true });
+    statements.deleteFile.run(row.info_hash, row.file_path);
+    if (statements.torrentFileCount.get(row.info_hash).count === 0) {
+      statements.deleteTorrent.run(row.info_hash);
+      // Leave the folder if another file of the torrent is still being copied into it
+      const torrentDirectory = path.join(directory, row.info_hash);
+      if (fs.existsSync(torrentDirectory) && fs.readdirSync(torrentDirectory).length === 0) {
+        fs.rmdirSync(torrentDirectory);
+      }
+    }
+  }
+
+  // Evict least recently played files until `incomingBytes` more fit in the budget
+  function evict(incomingBytes) {
+    let { bytes } = statements.totals.get();
+    while (bytes + incomingBytes > maxBytes) {
+      const oldest = statements.leastRecentlyUsed.get();
+      if (!oldest) break;
+      console.log(`🗑️ Evicting cached audio file: ${oldest.file_path} (${oldest.info_hash})`);
+      removeEntry(oldest);
+      bytes -= oldest.size;
+    }
+  }
+
+  function has(infoHash, filePath) {
+    return Boolean(infoHash && statements.getFile.get(String(infoHash).toLowerCase(), filePath));
+  }
+
+  // Copy a completed torrent file into the cache. Resolves true once stored, false when skipped.
+  function store(torrent, file) {
+    const infoHash = torrent.infoHash;
+    const key = `${infoHash}:${file.path}`;
+
+    if (has(infoHash, file.path)) return Promise.resolve(true);
+    if (pending.has(key)) return pending.get(key);
+    if (file.length > maxBytes) return Promise.resolve(false);
+
+    const fileIndex = torrent.files.indexOf(file);
+    const torrentDirectory = path.join(directory, infoHash);
+    const cachePath = path.join(torrentDirectory, `${fileIndex}${path.extname(file.name).toLowerCase()}`);
+    const partialPath = `${cachePath}.partial`;
+
+    const promise = new Promise((resolve, reject) => {
+      fs.mkdirSync(torrentDirectory, { recursive: true });
+      const input = file.createReadStream();
+      const output = fs.createWriteStream(partialPath);
+
+      const fail = (error) => {
+        input.destroy();
+        output.destroy();
+        fs.rmSync(partialPath, { force: true });
+        reject(error);
+      };
+
+      input.on('error', fail);
+      output.on('error', fail);
+      output.on('finish', () => {
+        try {
+          evict(file.length);
+          fs.renameSync(partialPath, cachePath);
+          statements.upsertTorrent.run(infoHash, torrent.name, JSON.stringify(
+            torrent.files.map(({ name, path: filePath, length }) => ({ name, path: filePath, length }))
+          ));
+          statements.insertFile.run({
+            infoHash,
+            filePath: file.path,
+            fileIndex,
+            cachePath,
+            size: file.length,
+            now: new Date().toISOString()
+          });
+          resolve(true);
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      input.pipe(output);
+    }).finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    return promise;
+  }
+
+  // Read-only torrent view over a cached torrent's file list (null when nothing of it is cached).
+  // Files not on disk are listed (so indexes and track selection match the real torrent) but have cached: false.
+  function getTorrent(infoHash) {
+    if (!infoHash) return null;
+    const hash = String(infoHash).toLowerCase();
+    const row = statements.getTorrent.get(hash);
+    if (!row) return null;
+
+    const cachedFiles = new Map(statements.filesForTorrent.all(hash).map(entry => [entry.file_path, entry]));
+    const files = JSON.parse(row.files).map(({ name, path: filePath, length }) => {
+      const entry = cachedFiles.get(filePath);
+      return {
+        name,
+        path: filePath,
+        length,
+        cached: Boolean(entry),
+        createReadStream(options = {}) {
+          if (!entry) {
+            const stream = new Readable({ read() {} });
+            process.nextTick(() => stream.destroy(new Error(`${filePath} is not in the audio cache`)));
+            return stream;
+          }
+          statements.touchFile.run(new Date().toISOString(), hash, filePath);
+          return fs.createReadStream(entry.cache_path, options);
+        }
+      };
+    });
+
+    return { infoHash: hash, name: row.name, files, cached: true };
+  }
+
+  // Remember which cached (or soon to be cached) file holds a MusicBrainz recording
+  function linkRecording(recordingId, infoHash, filePath) {
+    if (!recordingId || !infoHash) return;
+    statements.linkRecording.run(recordingId, String(infoHash).toLowerCase(), filePath);
+  }
+
+  // { torrent, file } for a recording whose file is on disk, else null
+  function findRecording(recordingId) {
+    if (!recordingId) return null;
+    const link = statements.getRecording.get(recordingId);
+    if (!link) return null;
+
+    const torrent = getTorrent(link.info_hash);
+    const file = torrent?.files.find(candidate => candidate.path === link.file_path);
+    return file?.cached ? { torrent, file } : null;
+  }
+
+  function stats() {
+    const { count, bytes } = statements.totals.get();
+    return { directory, files: count, bytes, maxBytes, copying: pending.size };
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { has, store, getTorrent, linkRecording, findRecording, stats, close };
+}
@@ -0,0 +1,607 @@
+// Embedded tag reading for audio files inside a torrent: ID3v2 (MP3), FLAC
+// metadata blocks (STREAMINFO, Vorbis comments, PICTURE) and MP4/M4A atoms.
+// Stream info (codec, sample rate, bit depth) comes along for playback checks.
+// Only the byte ranges holding the tags are read; their pieces are marked
+// critical so WebTorrent fetches them ahead of everything else.
+
+const DEFAULT_HEADER_BYTES = 128 * 1024;
+const MAX_TAG_BYTES = 8 * 1024 * 1024;
+const MAX_MP4_ATOMS = 32;
+
+// MPEG audio bitrates (kbps) by [version][layer] and sample rates by version
+const MPEG_BITRATES = {
+  v1l1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  v1l2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2l1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  v2l23: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+const ID3_FRAMES = {
+  TIT2: 'title', TT2: 'title',
+  TPE1: 'artist', TP1: 'artist',
+  TPE2: 'albumArtist', TP2: 'albumArtist',
+  TALB: 'album', TAL: 'album',
+  TRCK: 'trackNumber', TRK: 'trackNumber',
+  TPOS: 'discNumber', TPA: 'discNumber',
+  TDRC: 'year', TYER: 'year', TYE: 'year',
+  TLEN: 'length', TLE: 'length'
+};
+
+const VORBIS_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUMARTIST: 'albumArtist',
+  'ALBUM ARTIST': 'albumArtist',
+  ALBUM: 'album',
+  TRACKNUMBER: 'trackNumber',
+  DISCNUMBER: 'discNumber',
+  DATE: 'year'
+};
+
+const MP4_ITEMS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  aART: 'albumArtist',
+  '©alb': 'album',
+  '©day': 'year'
+};
+
+function emptyMetadata(format) {
+  return {
+    format,
+    codec: null,
+    sampleRate: null,
+    bitDepth: null,
+    title: null,
+    artist: null,
+    albumArtist: null,
+    album: null,
+    trackNumber: null,
+    discNumber: null,
+    year: null,
+    duration: null,
+    picture: null
+  };
+}
+
+// "3/12" -> 3
+function parseNumberPair(value) {
+  const number = parseInt(String(value || ''), 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+function assignField(metadata, field, value) {
+  if (!field || value === null || value === undefined || value === '') return;
+  if (field === 'trackNumber' || field === 'discNumber') {
+    metadata[field] = metadata[field] ?? parseNumberPair(value);
+  } else if (field === 'year') {
+    metadata.year = metadata.year ?? parseNumberPair(String(value).slice(0, 4));
+  } else if (field === 'length') {
+    const ms = parseInt(value, 10);
+    if (ms > 0) metadata.duration = Math.round(ms / 100) / 10;
+  } else {
+    metadata[field] = metadata[field] ?? String(value).trim();
+  }
+}
+
+// Serves reads from the already-fetched head of the file, fetching other ranges on demand
+function createRangeSource(readRange, fileLength, head) {
+  return {
+    length: fileLength,
+    async read(start, length) {
+      const end = Math.min(start + length, fileLength);
+      if (start >= end) return Buffer.alloc(0);
+      if (end <= head.length) return head.subarray(start, end);
+      return readRange(start, end - 1);
+    }
+  };
+}
+
+// === ID3v2 ===
+
+function synchsafe(buffer, offset) {
+  return (buffer[offset] & 0x7f) << 21 | (buffer[offset + 1] & 0x7f) << 14 |
+    (buffer[offset + 2] & 0x7f) << 7 | (buffer[offset + 3] & 0x7f);
+}
+
+function id3TagSize(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + synchsafe(buffer, 6) + footer;
+}
+
+// Buffer#swap16 throws on odd lengths, so drop a trailing odd byte first
+function decodeUtf16be(buffer) {
+  return Buffer.from(buffer.subarray(0, buffer.length & ~1)).swap16().toString('utf16le');
+}
+
+function decodeText(buffer, encoding) {
+  switch (encoding) {
+    case 1: {
+      // UTF-16 with BOM
+      if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return decodeUtf16be(buffer.subarray(2));
+      }
+      const start = buffer[0] === 0xff && buffer[1] === 0xfe ? 2 : 0;
+      return buffer.toString('utf16le', start, start + ((buffer.length - start) & ~1));
+    }
+    case 2:
+      return decodeUtf16be(buffer);
+    case 3:
+      return buffer.toString('utf8');
+    default:
+      return buffer.toString('latin1');
+  }
+}
+
+function stripNulls(text) {
+  return text.split('\u0000').find(part => part.trim()) || '';
+}
+
+// Index just past the null terminator of an encoded string (2-byte terminator for UTF-16)
+function terminatorEnd(buffer, offset, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < buffer.length; i += 2) {
+      if (buffer[i] === 0 && buffer[i + 1] === 0) return i + 2;
+    }
+    return buffer.length;
+  }
+  const index = buffer.indexOf(0, offset);
+  return index === -1 ? buffer.length : index + 1;
+}
+
+function parseId3Picture(data, version) {
+  const encoding = data[0];
+  let offset;
+  let mimeType;
+
+  if (version === 2) {
+    const format = data.toString('latin1', 1, 4).toUpperCase();
+    mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const mimeEnd = terminatorEnd(data, 1, 0);
+    mimeType = data.toString('latin1', 1, mimeEnd - 1) || 'image/jpeg';
+    offset = mimeEnd;
+  }
+
+  const pictureType = data[offset];
+  offset = terminatorEnd(data, offset + 1, encoding);
+
+  return { mimeType: mimeType.includes('/') ? mimeType : `image/${mimeType.toLowerCase()}`, pictureType, data: data.subarray(offset) };
+}
+
+function parseId3v2(buffer, metadata = emptyMetadata('mp3')) {
+  const tagSize = id3TagSize(buffer);
+  if (!tagSize) return metadata;
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const end = Math.min(tagSize, buffer.length);
+  let offset = 10;
+
+  // Skip the extended header (v2.3 size excludes itself, v2.4 size is synchsafe and includes itself)
+  if (flags & 0x40 && version >= 3) {
+    offset += version === 4 ? synchsafe(buffer, 10) : buffer.readUInt32BE(10) + 4;
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  let bestPicture = null;
+
+  while (offset + headerLength <= end) {
+    const id = buffer.toString('latin1', offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+
+    let size;
+    let frameFlags = 0;
+    if (version === 2) {
+      size = buffer.readUIntBE(offset + 3, 3);
+    } else {
+      size = version === 4 ? synchsafe(buffer, offset + 4) : buffer.readUInt32BE(offset + 4);
+      frameFlags = buffer.readUInt16BE(offset + 8);
+    }
+
+    let data = buffer.subarray(offset + headerLength, Math.min(offset + headerLength + size, end));
+    offset += headerLength + size;
+
+    // Compressed or encrypted frames are skipped; v2.4 data length indicators are stepped over
+    if (version === 4 && frameFlags & 0x000c) continue;
+    if (version === 3 && frameFlags & 0x00c0) continue;
+    if (version === 4 && frameFlags & 0x0001) data = data.subarray(4);
+    if (data.length === 0) continue;
+
+    if (id === 'APIC' || id === 'PIC') {
+      const picture = parseId3Picture(data, version);
+      // Prefer the front cover (type 3) over other embedded images
+      if (!bestPicture || (picture.pictureType === 3 && bestPicture.pictureType !== 3)) {
+        bestPicture = picture;
+      }
+    } else if (ID3_FRAMES[id]) {
+      assignField(metadata, ID3_FRAMES[id], stripNulls(decodeText(data.subarray(1), data[0])));
+    }
+  }
+
+  if (bestPicture) {
+    // A copy: a slice would keep the whole tag read (up to MAX_TAG_BYTES) alive in the cache
+    metadata.picture = { mimeType: bestPicture.mimeType, data: Buffer.from(bestPicture.data) };
+  }
+  return metadata;
+}
+
+// Sample rate and duration of an MP3 from the first frame. Duration comes from the
+// Xing/Info/VBRI header, or is estimated from the frame's bitrate (CBR).
+function mp3StreamInfo(buffer, audioStart, fileLength) {
+  for (let offset = audioStart; offset + 4 <= buffer.length && offset < audioStart + 16384; offset++) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) continue;
+
+    const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+    const layer = 4 - layerBits;
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const bitrateTable = version === 1 ? MPEG_BITRATES[`v1l${layer}`] : layer === 1 ? MPEG_BITRATES.v2l1 : MPEG_BITRATES.v2l23;
+    const bitrate = bitrateTable[bitrateIndex];
+    const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+
+    const mono = (buffer[offset + 3] >> 6) === 3;
+    const sideInfo = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const xingOffset = offset + 4 + sideInfo;
+    const xingId = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    const vbriOffset = offset + 36;
+    let frames = null;
+    if ((xingId === 'Xing' || xingId === 'Info') && buffer[xingOffset + 7] & 0x01) {
+      frames = buffer.readUInt32BE(xingOffset + 8);
+    } else if (buffer.toString('latin1', vbriOffset, vbriOffset + 4) === 'VBRI') {
+      frames = buffer.readUInt32BE(vbriOffset + 14);
+    }
+
+    const duration = frames
+      ? frames * samplesPerFrame / sampleRate
+      : (fileLength - offset) * 8 / (bitrate * 1000);
+    return { sampleRate, duration: Math.round(duration * 10) / 10 };
+  }
+  return null;
+}
+
+async function parseMp3(source, head) {
+  const tagSize = id3TagSize(head);
+  const buffer = tagSize + 16384 > head.length
+    ? await source.read(0, Math.min(tagSize + 16384, MAX_TAG_BYTES))
+    : head;
+
+  const metadata = parseId3v2(buffer);
+  const streamInfo = mp3StreamInfo(buffer, tagSize, source.length);
+  metadata.codec = 'mp3';
+  metadata.sampleRate = streamInfo?.sampleRate || null;
+  metadata.duration = metadata.duration || streamInfo?.duration || null;
+  return metadata;
+}
+
+// === FLAC ===
+
+function parseVorbisComments(data, metadata) {
+  let offset = 0;
+  const vendorLength = data.readUInt32LE(offset);
+  offset += 4 + vendorLength;
+  const count = data.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= data.length; i++) {
+    const length = data.readUInt32LE(offset);
+    const comment = data.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    if (separator > 0) {
+      assignField(metadata, VORBIS_FIELDS[comment.slice(0, separator).toUpperCase()], comment.slice(separator + 1));
+    }
+  }
+}
+
+function parseFlacPicture(data) {
+  let offset = 0;
+  const pictureType = data.readUInt32BE(offset);
+  const mimeLength = data.readUInt32BE(offset + 4);
+  const mimeType = data.toString('latin1', offset + 8, offset + 8 + mimeLength);
+  offset += 8 + mimeLength;
+  const descriptionLength = data.readUInt32BE(offset);
+  offset += 4 + descriptionLength + 16; // description, width, height, depth, colors
+  const dataLength = data.readUInt32BE(offset);
+
+  return { pictureType, mimeType, data: data.subarray(offset + 4, offset + 4 + dataLength) };
+}
+
+async function parseFlac(source, head) {
+  const metadata = emptyMetadata('flac');
+  metadata.codec = 'flac';
+  // Some FLAC files carry an ID3v2 tag in front of the "fLaC" marker
+  let offset = id3TagSize(head);
+  let bestPicture = null;
+
+  const marker = await source.read(offset, 4);
+  if (marker.toString('latin1') !== 'fLaC') return metadata;
+  offset += 4;
+
+  while (offset < source.length && offset < MAX_TAG_BYTES) {
+    const header = await source.read(offset, 4);
+    if (header.length < 4) break;
+
+    const isLast = header[0] & 0x80;
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    offset += 4;
+
+    // Only fetch the block bodies we parse
+    if (type === 0 || type === 4 || type === 6) {
+      const data = await source.read(offset, length);
+
+      if (type === 0 && data.length >= 18) {
+        const sampleRate = (data[10] << 12) | (data[11] << 4) | (data[12] >> 4);
+        const totalSamples = (data[13] & 0x0f) * 2 ** 32 + data.readUInt32BE(14);
+        metadata.sampleRate = sampleRate || null;
+        metadata.bitDepth = (((data[12] & 0x01) << 4) | (data[13] >> 4)) + 1;
+        if (sampleRate && totalSamples) {
+          metadata.duration = Math.round(totalSamples / sampleRate * 10) / 10;
+        }
+      } else if (type === 4) {
+        parseVorbisComments(data, metadata);
+      } else if (type === 6) {
+        const picture = parseFlacPicture(data);
+        if (!bestPicture || (picture.pictureType === 3 && bestPicture.pictureType !== 3)) {
+          bestPicture = picture;
+        }
+      }
+    }
+
+    offset += length;
+    if (isLast) break;
+  }
+
+  if (bestPicture) {
+    // A copy: a slice would keep the whole tag read (up to MAX_TAG_BYTES) alive in the cache
+    metadata.picture = { mimeType: bestPicture.mimeType, data: Buffer.from(bestPicture.data) };
+  }
+  return metadata;
+}
+
+// === MP4 / M4A ===
+
+// Iterate child atoms of a buffer: yields { type, start (of payload), end }
+function* mp4Atoms(buffer, start = 0, end = buffer.length) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) return;
+
+    yield { type, start: offset + headerSize, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+}
+
+function findAtom(buffer, path, start = 0, end = buffer.length) {
+  const [type, ...rest] = path;
+  for (const atom of mp4Atoms(buffer, start, end)) {
+    if (atom.type !== type) continue;
+    if (rest.length === 0) return atom;
+
+    // "meta" is a full atom (4 bytes version/flags) in MP4, but not in some QuickTime files
+    const childStart = type === 'meta' && buffer.toString('latin1', atom.start + 4, atom.start + 8) !== 'hdlr'
+      ? atom.start + 4
+      : atom.start;
+    const found = findAtom(buffer, rest, childStart, atom.end);
+    if (found) return found;
+  }
+  return null;
+}
+
+function parseIlst(buffer, ilst, metadata) {
+  for (const item of mp4Atoms(buffer, ilst.start, ilst.end)) {
+    const data = findAtom(buffer, ['data'], item.start, item.end);
+    if (!data) continue;
+
+    const dataType = buffer.readUInt32BE(data.start) & 0xffffff;
+    const value = buffer.subarray(data.start + 8, data.end);
+
+    if (item.type === 'trkn' || item.type === 'disk') {
+      if (value.length >= 4) {
+        assignField(metadata, item.type === 'trkn' ? 'trackNumber' : 'discNumber', value.readUInt16BE(2) || null);
+      }
+    } else if (item.type === 'covr') {
+      if (!metadata.picture) {
+        metadata.picture = { mimeType: dataType === 14 ? 'image/png' : 'image/jpeg', data: Buffer.from(value) };
+      }
+    } else if (MP4_ITEMS[item.type] && dataType === 1) {
+      assignField(metadata, MP4_ITEMS[item.type], value.toString('utf8'));
+    }
+  }
+}
+
+async function parseMp4(source) {
+  const metadata = emptyMetadata('mp4');
+
+  // Walk top-level atoms to find moov (it sits after mdat in files that weren't "fast-started")
+  let offset = 0;
+  let moov = null;
+  for (let i = 0; i < MAX_MP4_ATOMS && offset + 8 <= source.length; i++) {
+    const header = await source.read(offset, 16);
+    const atom = mp4Atoms(header, 0, header.length).next().value;
+    if (!atom) break;
+
+    // Header reads are clamped to 16 bytes, so recover the real size from the header itself
+    const size = header.readUInt32BE(0) === 1
+      ? Number(header.readBigUInt64BE(8))
+      : header.readUInt32BE(0) || source.length - offset;
+
+    if (atom.type === 'moov') {
+      if (size > MAX_TAG_BYTES) break;
+      moov = await source.read(offset, size);
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) return metadata;
+
+  const mvhd = findAtom(moov, ['moov', 'mvhd']);
+  if (mvhd) {
+    const version = moov[mvhd.start];
+    const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+      ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+      : moov.readUInt32BE(mvhd.start + 16);
+    if (timescale) {
+      metadata.duration = Math.round(duration / timescale * 10) / 10;
+    }
+  }
+
+  // First sample entry of the first track: 'mp4a' (AAC) or 'alac', with sample size and rate.
+  // stsd is a full atom with an entry count, so its entries start 8 bytes in.
+  const stsd = findAtom(moov, ['moov', 'trak', 'mdia', 'minf', 'stbl', 'stsd']);
+  if (stsd && stsd.end - stsd.start >= 44) {
+    const entryType = moov.toString('latin1', stsd.start + 12, stsd.start + 16);
+    metadata.codec = entryType === 'alac' ? 'alac' : entryType === 'mp4a' ? 'aac' : entryType.trim();
+    metadata.bitDepth = moov.readUInt16BE(stsd.start + 34) || null;
+    metadata.sampleRate = moov.readUInt16BE(stsd.start + 40) || null;
+  }
+
+  const ilst = findAtom(moov, ['moov', 'udta', 'meta', 'ilst']) || findAtom(moov, ['moov', 'meta', 'ilst']);
+  if (ilst) {
+    parseIlst(moov, ilst, metadata);
+  }
+  return metadata;
+}
+
+// Parse tags from a random-access source ({ length, read(start, length) }) given the file's first bytes
+export async function parseAudioMetadata(source, head, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+
+  if (head.toString('latin1', 4, 8) === 'ftyp' || (['m4a', 'mp4', 'alac'].includes(extension) && head.toString('latin1', 0, 3) !== 'ID3')) {
+    return parseMp4(source);
+  }
+  if (extension === 'flac' || head.toString('latin1', 0, 4) === 'fLaC') {
+    return parseFlac(source, head);
+  }
+  if (head.toString('latin1', 0, 3) === 'ID3' || extension === 'mp3') {
+    return parseMp3(source, head);
+  }
+  return emptyMetadata(extension || null);
+}
+
+// Read [start, end] (inclusive) of a torrent file, marking its pieces critical
+function readTorrentRange(torrent, file, start, end, timeoutMs) {
+  const last = Math.min(end, file.length - 1);
+
+  if (torrent.pieceLength && typeof torrent.critical === 'function') {
+    const firstPiece = Math.floor((file.offset + start) / torrent.pieceLength);
+    const lastPiece = Math.floor((file.offset + last) / torrent.pieceLength);
+    torrent.critical(firstPiece, lastPiece);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.createReadStream({ start, end: last });
+    const timer = setTimeout(() => {
+      stream.destroy();
+      reject(new Error(`Timed out reading tags from ${file.name}`));
+    }, timeoutMs);
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      clearTimeout(timer);
+      resolve(Buffer.concat(chunks));
+    });
+    stream.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Reader with a per-file cache (by infohash + path). Cover art stays server-side;
+// listings get { mimeType, size } and fetch the bytes through getPicture().
+// The cache is bounded by entry count and by the total size of the pictures it holds
+// (album art repeats in every track, so a few albums can add up to a lot).
+export function createAudioMetadataReader({
+  headerBytes = DEFAULT_HEADER_BYTES,
+  timeoutMs = 20000,
+  cacheSize = 1000,
+  maxPictureBytes = 64 * 1024 * 1024
+} = {}) {
+  const cache = new Map(); // `${infoHash}:${path}` -> metadata (with picture buffer)
+  const pending = new Map(); // same key -> in-flight read
+  let pictureBytes = 0;
+
+  const cacheKey = (torrent, file) => `${torrent.infoHash}:${file.path}`;
+  const pictureSize = (metadata) => metadata?.picture?.data.length || 0;
+
+  function forget(key) {
+    pictureBytes -= pictureSize(cache.get(key));
+    cache.delete(key);
+  }
+
+  function remember(key, metadata) {
+    forget(key);
+    cache.set(key, metadata);
+    pictureBytes += pictureSize(metadata);
+    // Map keeps insertion order, so the first key is the least recently stored.
+    // The entry just stored is kept even if its picture alone is over the budget.
+    while (cache.size > cacheSize || (cache.size > 1 && pictureBytes > maxPictureBytes)) {
+      forget(cache.keys().next().value);
+    }
+  }
+
+  async function read(torrent, file) {
+    const key = cacheKey(torrent, file);
+    if (cache.has(key)) return cache.get(key);
+    if (pending.has(key)) return pending.get(key);
+
+    const promise = (async () => {
+      const readRange = (start, end) => readTorrentRange(torrent, file, start, end, timeoutMs);
+      const head = await readRange(0, Math.min(headerBytes, file.length) - 1);
+      const metadata = await parseAudioMetadata(createRangeSource(readRange, file.length, head), head, file.name);
+      remember(key, metadata);
+      return metadata;
+    })().finally(() => pending.delete(key));
+
+    pending.set(key, promise);
+    return promise;
+  }
+
+  function getCached(torrent, file) {
+    return cache.get(cacheKey(torrent, file)) || null;
+  }
+
+  function getPicture(torrent, file) {
+    return getCached(torrent, file)?.picture || null;
+  }
+
+  function stats() {
+    return { entries: cache.size, pictureBytes, maxPictureBytes };
+  }
+
+  return { read, getCached, getPicture, stats };
+}
+
+// Tag fields for API responses (picture bytes replaced by a small descriptor)
+export function describeAudioMetadata(metadata) {
+  if (!metadata) return null;
+  const { picture, ...fields } = metadata;
+  return {
+    ...fields,
+    coverArt: picture ? { mimeType: picture.mimeType, size: picture.data.length } : null
+  };
+}
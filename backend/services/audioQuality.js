@@ -0,0 +1,163 @@
+// Audio quality detection from release titles ("FLAC 24-96", "320kbps", "V0",
+// "WEB", "Vinyl rip", "Log+Cue") and the user quality preference check used by
+// torrent scoring and album pre-loading.
+
+const LOSSLESS_CODECS = ['FLAC', 'ALAC', 'WAV', 'APE', 'WV', 'DSD'];
+
+// First match wins; order matters where patterns overlap (ALAC before AAC)
+const CODEC_PATTERNS = [
+  ['FLAC', /\bflac\b/i],
+  ['ALAC', /\balac\b/i],
+  ['WAV', /\bwav\b/i],
+  ['APE', /[[(]ape[\])]|\bape\s*[+&]\s*cue\b|monkey'?s audio/i],
+  ['WV', /\bwavpack\b|\bwv\b/i],
+  ['DSD', /\bdsd(64|128|256)?\b|\bdsf\b|\bsacd[ -]?iso\b/i],
+  ['AAC', /\baac\b|\bm4a\b/i],
+  ['OPUS', /\bopus\b/i],
+  ['OGG', /\bogg\b|\bvorbis\b/i],
+  ['MP3', /\bmp3\b/i]
+];
+
+// LAME VBR presets mapped to their approximate average bitrate
+const VBR_PRESETS = { V0: 245, V1: 225, V2: 190, V3: 175 };
+
+const SOURCE_PATTERNS = [
+  ['Vinyl', /\bvinyl\b|\blp[ -]?rip\b|\bneedle ?drop\b/i],
+  ['SACD', /\bsacd\b/i],
+  ['Cassette', /\bcassette\b|\btape[ -]?rip\b/i],
+  ['DVD', /\bdvd(-?a)?\b/i],
+  ['Blu-ray', /\bblu-?ray\b|\bbd-?rip\b/i],
+  ['WEB', /\bweb(-?dl|-?rip)?\b|\bqobuz\b|\btidal\b|\bbandcamp\b|\bdeezer\b|\bitunes\b/i],
+  ['CD', /\bcd(-?rip)?\b|\bcdda\b/i]
+];
+
+// Parse codec, bitrate/bit depth, sample rate, source media and lossless flags from a title
+export function parseAudioQuality(title = '') {
+  const text = String(title || '');
+
+  const codecMatch = CODEC_PATTERNS.find(([, pattern]) => pattern.test(text));
+  let codec = codecMatch ? codecMatch[0] : null;
+
+  // Bit depth / sample rate: "24-96", "24bit/192kHz", "16-44.1", "24 bit", "96kHz"
+  let bitDepth = null;
+  let sampleRate = null;
+  const depthRate = text.match(/\b(16|24|32)\s*(?:bit)?\s*[-/_ ]\s*(44\.1|48|88\.2|96|176\.4|192|352\.8|384)\s*(?:khz)?\b/i);
+  if (depthRate) {
+    bitDepth = parseInt(depthRate[1], 10);
+    sampleRate = parseFloat(depthRate[2]);
+  } else {
+    const depth = text.match(/\b(16|24|32)[ -]?bits?\b/i);
+    const rate = text.match(/\b(44\.1|48|88\.2|96|176\.4|192|352\.8|384)\s*khz\b/i);
+    bitDepth = depth ? parseInt(depth[1], 10) : null;
+    sampleRate = rate ? parseFloat(rate[1]) : null;
+  }
+
+  // Lossy bitrate: "320kbps", "320 kbps", "320k", "MP3 320", "[256]"
+  let bitrate = null;
+  let vbrPreset = null;
+  const kbps = text.match(/\b(32|64|96|112|128|160|192|224|256|320)\s*(?:k|kbps|kbit\/?s?)\b/i)
+    || text.match(/\b(?:mp3|aac|ogg|opus)\W{0,3}(32|64|96|112|128|160|192|224|256|320)\b/i)
+    || text.match(/[[(](32|64|96|112|128|160|192|224|256|320)[\])]/);
+  if (kbps) {
+    bitrate = parseInt(kbps[1], 10);
+  }
+
+  const vbr = text.match(/\b(V[0-3])(?:\s*vbr)?\b/i);
+  if (vbr) {
+    vbrPreset = vbr[1].toUpperCase();
+    bitrate = bitrate || VBR_PRESETS[vbrPreset];
+    codec = codec || 'MP3';
+  } else if (/\bvbr\b/i.test(text)) {
+    vbrPreset = 'VBR';
+  }
+
+  // A bare bitrate with no codec is almost always MP3
+  if (!codec && bitrate) {
+    codec = 'MP3';
+  }
+  // "24-96"/"Hi-Res" with no codec named is almost always FLAC
+  if (!codec && (bitDepth === 24 || /\bhi-?res\b|\blossless\b/i.test(text))) {
+    codec = 'FLAC';
+  }
+
+  const sourceMatch = SOURCE_PATTERNS.find(([, pattern]) => pattern.test(text));
+
+  return {
+    codec,
+    lossless: codec ? LOSSLESS_CODECS.includes(codec) : null,
+    bitrate,
+    vbrPreset,
+    bitDepth,
+    sampleRate,
+    source: sourceMatch ? sourceMatch[0] : null,
+    hasLog: /\blog\b/i.test(text),
+    hasCue: /\bcue\b/i.test(text)
+  };
+}
+
+// Short label for logs and the UI, e.g. "FLAC 24/96 WEB" or "MP3 V0 CD log+cue"
+export function describeAudioQuality(quality) {
+  if (!quality) return 'unknown quality';
+
+  const parts = [];
+  if (quality.codec) parts.push(quality.codec);
+  if (quality.bitDepth || quality.sampleRate) {
+    parts.push(`${quality.bitDepth || '?'}/${quality.sampleRate || '?'}`);
+  }
+  if (quality.vbrPreset && quality.vbrPreset !== 'VBR') {
+    parts.push(quality.vbrPreset);
+  } else if (quality.bitrate) {
+    parts.push(`${quality.bitrate}kbps`);
+  }
+  if (quality.source) parts.push(quality.source);
+  if (quality.hasLog || quality.hasCue) {
+    parts.push([quality.hasLog && 'log', quality.hasCue && 'cue'].filter(Boolean).join('+'));
+  }
+
+  return parts.join(' ') || 'unknown quality';
+}
+
+// Normalise a preference from a request body / config:
+// { preferredFormats: ['FLAC'], acceptedFormats: ['MP3'], minBitrate: 192, allowUnknown: true }
+export function normalizeQualityPreference(preference = {}) {
+  const toCodecs = (list) => (Array.isArray(list) ? list : [])
+    .map(codec => String(codec).toUpperCase())
+    .filter(Boolean);
+
+  const minBitrate = parseInt(preference?.minBitrate, 10);
+  return {
+    preferredFormats: toCodecs(preference?.preferredFormats),
+    acceptedFormats: toCodecs(preference?.acceptedFormats),
+    minBitrate: Number.isNaN(minBitrate) ? null : minBitrate,
+    allowUnknown: preference?.allowUnknown !== false
+  };
+}
+
+// Check a parsed quality against a preference.
+// Returns { accepted, reason, rank } where rank is the index in preferredFormats (-1 if not preferred).
+export function checkQualityPreference(quality, preference) {
+  const { preferredFormats, acceptedFormats, minBitrate, allowUnknown } = preference;
+  const allowedFormats = [...preferredFormats, ...acceptedFormats];
+  const rank = quality.codec ? preferredFormats.indexOf(quality.codec) : -1;
+
+  if (!quality.codec) {
+    return allowUnknown
+      ? { accepted: true, reason: 'format unknown', rank }
+      : { accepted: false, reason: 'format unknown', rank };
+  }
+
+  if (allowedFormats.length > 0 && !allowedFormats.includes(quality.codec)) {
+    return { accepted: false, reason: `${quality.codec} not accepted`, rank };
+  }
+
+  if (minBitrate && !quality.lossless) {
+    if (!quality.bitrate && !allowUnknown) {
+      return { accepted: false, reason: 'bitrate unknown', rank };
+    }
+    if (quality.bitrate && quality.bitrate < minBitrate) {
+      return { accepted: false, reason: `${quality.bitrate}kbps below ${minBitrate}kbps`, rank };
+    }
+  }
+
+  return { accepted: true, reason: rank >= 0 ? `preferred ${quality.codec}` : `accepted ${quality.codec}`, rank };
+}
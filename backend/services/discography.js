@@ -0,0 +1,120 @@
+// Artist discography built from MusicBrainz release groups (the "album" as a
+// work) and their releases (the editions: original CD, remaster, vinyl, other
+// countries...). Release groups are sorted into the artist page's sections by
+// primary and secondary type. Each group names a default edition, so routes that
+// need one release (album details, cover art, torrent preloading) keep using a
+// release MBID as `id`. Groups whose releases weren't browsed (past the browse
+// page limit) are still listed, with `id: null` and no editions; the album page
+// loads their editions by release group.
+
+// Section of a release group: secondary types (live, compilation, remix) win over the primary type
+const SECONDARY_SECTIONS = [
+  ['Live', 'live'],
+  ['Compilation', 'compilations'],
+  ['Remix', 'remixes'],
+  ['DJ-mix', 'remixes']
+];
+const PRIMARY_SECTIONS = { Album: 'albums', EP: 'eps', Single: 'singles' };
+
+export const DISCOGRAPHY_SECTIONS = ['albums', 'eps', 'singles', 'live', 'compilations', 'remixes', 'other'];
+
+export function sectionFor(releaseGroup) {
+  const secondaryTypes = releaseGroup['secondary-types'] || [];
+  for (const [type, section] of SECONDARY_SECTIONS) {
+    if (secondaryTypes.includes(type)) return section;
+  }
+  // Soundtracks, demos, interviews etc. aren't part of the regular discography
+  if (secondaryTypes.length > 0) return 'other';
+  return PRIMARY_SECTIONS[releaseGroup['primary-type']] || 'other';
+}
+
+// "Album", "Album + Live", "Other" for the type badge
+function describeType(releaseGroup) {
+  return [releaseGroup['primary-type'] || 'Other', ...(releaseGroup['secondary-types'] || [])].join(' + ');
+}
+
+function compareDates(a, b) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a.localeCompare(b);
+}
+
+// Edition summary of a release browsed or looked up with inc=media (and labels when available)
+export function describeEdition(release) {
+  const media = release.media || [];
+  const formats = [...new Set(media.map(medium => medium.format).filter(Boolean))];
+  return {
+    id: release.id,
+    title: release.title,
+    date: release.date || null,
+    country: release.country || null,
+    status: release.status || null,
+    barcode: release.barcode || null,
+    disambiguation: release.disambiguation || null,
+    packaging: release.packaging || null,
+    formats,
+    discCount: media.length,
+    trackCount: media.reduce((total, medium) => total + (medium['track-count'] || 0), 0) || null,
+    labels: [...new Set((release['label-info'] || []).map(info => info.label?.name).filter(Boolean))],
+    catalogNumbers: [...new Set((release['label-info'] || []).map(info => info['catalog-number']).filter(Boolean))]
+  };
+}
+
+// Editions in display order: official first, then oldest first. The first one is the default edition.
+export function sortEditions(editions) {
+  return [...editions].sort((a, b) => {
+    const officialA = a.status === 'Official' ? 0 : 1;
+    const officialB = b.status === 'Official' ? 0 : 1;
+    return officialA - officialB || compareDates(a.date, b.date);
+  });
+}
+
+// { albums, eps, singles, live, compilations, remixes, other } of release groups, each with its
+// editions, from an artist's browsed release groups and releases (inc=release-groups+media).
+// withoutEditions counts the groups listed without editions.
+export function buildDiscography(releaseGroups, releases) {
+  const editionsByGroup = new Map();
+  for (const release of releases) {
+    const groupId = release['release-group']?.id;
+    if (!groupId) continue;
+    if (!editionsByGroup.has(groupId)) editionsByGroup.set(groupId, []);
+    editionsByGroup.get(groupId).push(describeEdition(release));
+  }
+
+  const sections = Object.fromEntries(DISCOGRAPHY_SECTIONS.map(section => [section, []]));
+  let withoutEditions = 0;
+
+  for (const releaseGroup of releaseGroups) {
+    const editions = sortEditions(editionsByGroup.get(releaseGroup.id) || []);
+    // Editions past the browse page limit, or credited to another artist: loaded when the album is opened
+    const [defaultEdition = null] = editions;
+    if (!defaultEdition) withoutEditions++;
+
+    const section = sectionFor(releaseGroup);
+    sections[section].push({
+      id: defaultEdition?.id || null,
+      releaseGroupId: releaseGroup.id,
+      title: releaseGroup.title,
+      date: releaseGroup['first-release-date'] || defaultEdition?.date || null,
+      disambiguation: releaseGroup.disambiguation || null,
+      primaryType: releaseGroup['primary-type'] || null,
+      secondaryTypes: releaseGroup['secondary-types'] || [],
+      releaseType: describeType(releaseGroup),
+      section,
+      // Default edition details, as shown on the release card
+      trackCount: defaultEdition?.trackCount || null,
+      country: defaultEdition?.country || null,
+      status: defaultEdition?.status || null,
+      barcode: defaultEdition?.barcode || null,
+      editionCount: defaultEdition ? editions.length : null,
+      editions: defaultEdition ? editions : null
+    });
+  }
+
+  for (const section of DISCOGRAPHY_SECTIONS) {
+    sections[section].sort((a, b) => compareDates(a.date, b.date));
+  }
+
+  return { sections, withoutEditions };
+}
@@ -0,0 +1,177 @@
+import { spawn } from 'child_process';
+
+// On-the-fly HLS for torrent-backed tracks. Each segment is cut by ffmpeg from
+// the file's /api/stream URL with -ss/-t, so ffmpeg only range-requests the
+// bytes around that segment instead of everything before it. Segments are
+// AAC in MPEG-TS with timestamps offset to their position in the track.
+
+const STDERR_TAIL_BYTES = 2048;
+
+export function segmentCount(duration, segmentSeconds) {
+  return Math.max(1, Math.ceil(duration / segmentSeconds));
+}
+
+// VOD playlist; segment URIs are relative to the playlist URL ("0.ts", "1.ts", ...)
+export function buildHlsPlaylist(duration, segmentSeconds) {
+  const count = segmentCount(duration, segmentSeconds);
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segmentSeconds)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+
+  for (let index = 0; index < count; index++) {
+    const length = Math.min(segmentSeconds, duration - index * segmentSeconds);
+    lines.push(`#EXTINF:${length.toFixed(3)},`, `${index}.ts`);
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+// Mark the pieces holding [startSeconds, endSeconds] critical. Byte offsets are estimated
+// linearly from the duration, padded so a VBR file still has its segment covered.
+export function prioritiseTimeRange(torrent, file, duration, startSeconds, endSeconds) {
+  if (!torrent.pieceLength || typeof torrent.critical !== 'function' || !duration) return;
+
+  const bytesPerSecond = file.length / duration;
+  const padding = bytesPerSecond * 5;
+  const startByte = Math.max(0, Math.floor(startSeconds * bytesPerSecond - padding));
+  const endByte = Math.min(file.length - 1, Math.ceil(endSeconds * bytesPerSecond + padding));
+
+  torrent.critical(
+    Math.floor((file.offset + startByte) / torrent.pieceLength),
+    Math.floor((file.offset + endByte) / torrent.pieceLength)
+  );
+}
+
+// Run ffmpeg to completion, collecting stdout. Killed when the signal aborts (rejecting with
+// its reason) or after timeoutMs: an input whose pieces never arrive would otherwise hold it forever.
+function runFfmpeg(ffmpegPath, args, { signal, timeoutMs } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason || new Error('ffmpeg aborted'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    let failure = null;
+
+    const kill = (error) => {
+      failure = failure || error;
+      ffmpeg.kill('SIGKILL');
+    };
+    const abort = () => kill(signal.reason || new Error('ffmpeg aborted'));
+    const timer = timeoutMs ? setTimeout(() => kill(new Error(`ffmpeg timed out after ${timeoutMs}ms`)), timeoutMs) : null;
+    signal?.addEventListener('abort', abort, { once: true });
+
+    const cleanUp = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abort);
+    };
+
+    ffmpeg.stdout.on('data', chunk => chunks.push(chunk));
+    ffmpeg.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_BYTES);
+    });
+    ffmpeg.once('error', error => {
+      cleanUp();
+      reject(failure || error);
+    });
+    ffmpeg.once('close', code => {
+      cleanUp();
+      if (failure) {
+        reject(failure);
+      } else {
+        resolve({ code, stdout: Buffer.concat(chunks), stderr });
+      }
+    });
+  });
+}
+
+export function createHlsPackager({ ffmpegPath = 'ffmpeg', segmentSeconds = 6, bitrate = 192, cacheSize = 120, timeoutMs = 60000 } = {}) {
+  const segments = new Map(); // `${key}:${index}` -> Buffer (oldest first)
+  const pending = new Map(); // same key -> in-flight encode
+  const durations = new Map(); // key -> seconds
+
+  function remember(cacheKey, segment) {
+    segments.delete(cacheKey);
+    segments.set(cacheKey, segment);
+    while (segments.size > cacheSize) {
+      segments.delete(segments.keys().next().value);
+    }
+  }
+
+  function hasDuration(key) {
+    return durations.has(key);
+  }
+
+  // Duration for a track: the known value (from tags) or an ffmpeg probe of the input
+  async function getDuration(key, inputUrl, knownDuration = null, { signal } = {}) {
+    if (knownDuration) {
+      durations.set(key, knownDuration);
+    }
+    if (durations.has(key)) return durations.get(key);
+
+    // `ffmpeg -i` with no output exits non-zero but prints "Duration: HH:MM:SS.xx"
+    const { stderr } = await runFfmpeg(ffmpegPath, ['-hide_banner', '-i', inputUrl], { signal, timeoutMs });
+    const match = stderr.match(/Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (!match) return null;
+
+    const duration = parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+    durations.set(key, duration);
+    return duration;
+  }
+
+  function playlist(duration) {
+    return buildHlsPlaylist(duration, segmentSeconds);
+  }
+
+  function hasSegment(key, index) {
+    return segments.has(`${key}:${index}`);
+  }
+
+  // Encode (or return the cached) segment `index` of the track at inputUrl. A caller joining an
+  // encode already in flight waits for it; only the signal of the caller that started it applies.
+  function getSegment(key, inputUrl, index, duration, { signal } = {}) {
+    const cacheKey = `${key}:${index}`;
+    if (segments.has(cacheKey)) return Promise.resolve(segments.get(cacheKey));
+    if (pending.has(cacheKey)) return pending.get(cacheKey);
+
+    const startSeconds = index * segmentSeconds;
+    const length = Math.min(segmentSeconds, duration - startSeconds);
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      '-ss', startSeconds.toFixed(3),
+      '-t', length.toFixed(3),
+      '-i', inputUrl,
+      '-vn', '-map', '0:a:0',
+      '-c:a', 'aac', '-b:a', `${bitrate}k`, '-ar', '48000', '-ac', '2',
+      '-output_ts_offset', startSeconds.toFixed(3),
+      '-muxdelay', '0', '-muxpreload', '0',
+      '-f', 'mpegts', 'pipe:1'
+    ];
+
+    const promise = runFfmpeg(ffmpegPath, args, { signal, timeoutMs })
+      .then(({ code, stdout, stderr }) => {
+        if (code !== 0 || stdout.length === 0) {
+          throw new Error(`ffmpeg failed on segment ${index} (code ${code}): ${stderr.trim()}`);
+        }
+        remember(cacheKey, stdout);
+        return stdout;
+      })
+      .finally(() => pending.delete(cacheKey));
+
+    pending.set(cacheKey, promise);
+    return promise;
+  }
+
+  function stats() {
+    return { segmentSeconds, bitrate, timeoutMs, cachedSegments: segments.size, encoding: pending.size };
+  }
+
+  return { segmentSeconds, hasDuration, getDuration, playlist, hasSegment, getSegment, stats };
+}
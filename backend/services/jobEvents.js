@@ -0,0 +1,189 @@
+import { WebSocketServer } from 'ws';
+
+// Push channels for async job progress (SSE per job, WebSocket for many jobs).
+// A single listener on the job store fans updates out to subscribers by job ID.
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const HEARTBEAT_INTERVAL = 15000;
+
+export function createJobEvents(jobStore) {
+  const subscribers = new Map(); // jobId -> Set of callbacks
+
+  jobStore.on('update', (jobId, job) => {
+    const callbacks = subscribers.get(jobId);
+    if (!callbacks) return;
+    for (const callback of [...callbacks]) {
+      callback(job);
+    }
+  });
+
+  // Subscribe to updates for one job; returns an unsubscribe function
+  function subscribe(jobId, callback) {
+    if (!subscribers.has(jobId)) {
+      subscribers.set(jobId, new Set());
+    }
+    subscribers.get(jobId).add(callback);
+
+    return () => {
+      const callbacks = subscribers.get(jobId);
+      if (!callbacks) return;
+      callbacks.delete(callback);
+      if (callbacks.size === 0) {
+        subscribers.delete(jobId);
+      }
+    };
+  }
+
+  // GET /api/jobs/:jobId/events - Server-Sent Events stream for a single job
+  function handleSse(req, res) {
+    const { jobId } = req.params;
+    const job = jobStore.get(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable Nginx response buffering
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const send = (jobData) => {
+      if (closed) return;
+      res.write(`event: progress\ndata: ${JSON.stringify({ jobId, ...jobData })}\n\n`);
+      if (FINISHED_STATUSES.includes(jobData.status)) {
+        res.write(`event: done\ndata: ${JSON.stringify({ jobId, status: jobData.status })}\n\n`);
+        close();
+      }
+    };
+
+    console.log(`📡 SSE client subscribed to job ${jobId}`);
+    unsubscribe = subscribe(jobId, send);
+    req.on('close', close);
+
+    // Send the current state immediately so late subscribers don't miss completion
+    send(job);
+  }
+
+  // Multiplexed WebSocket: clients send { type: 'subscribe' | 'unsubscribe', jobIds: [...] }
+  // and receive { type: 'job', jobId, job } for every update of a subscribed job.
+  function attachWebSocket(server, path = '/api/jobs/ws') {
+    const wss = new WebSocketServer({ server, path });
+
+    wss.on('connection', (socket) => {
+      const subscriptions = new Map(); // jobId -> unsubscribe
+      console.log(`🔌 Job WebSocket client connected (${wss.clients.size} total)`);
+
+      const sendJob = (jobId, job) => {
+        if (socket.readyState !== socket.OPEN) return;
+        socket.send(JSON.stringify({ type: 'job', jobId, job }));
+        if (FINISHED_STATUSES.includes(job.status)) {
+          subscriptions.get(jobId)?.();
+          subscriptions.delete(jobId);
+        }
+      };
+
+      const sendError = (error, jobId) => {
+        if (socket.readyState !== socket.OPEN) return;
+        socket.send(JSON.stringify({ type: 'error', ...(jobId ? { jobId } : {}), error }));
+      };
+
+      const handleMessage = (message) => {
+        // Only non-empty string IDs reach the job store; anything else would make it throw
+        const jobIds = (Array.isArray(message.jobIds) ? message.jobIds : [message.jobId])
+          .filter(jobId => typeof jobId === 'string' && jobId.length > 0);
+
+        if (message.type === 'subscribe') {
+          for (const jobId of jobIds) {
+            if (subscriptions.has(jobId)) continue;
+
+            const job = jobStore.get(jobId);
+            if (!job) {
+              sendError('Job not found', jobId);
+              continue;
+            }
+
+            subscriptions.set(jobId, subscribe(jobId, (jobData) => sendJob(jobId, jobData)));
+            sendJob(jobId, job);
+          }
+        } else if (message.type === 'unsubscribe') {
+          for (const jobId of jobIds) {
+            subscriptions.get(jobId)?.();
+            subscriptions.delete(jobId);
+          }
+        } else {
+          sendError(`Unknown message type: ${message.type}`);
+        }
+      };
+
+      socket.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch {
+          sendError('Invalid JSON message');
+          return;
+        }
+
+        // null, arrays and primitives are valid JSON but not messages
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+          sendError('Message must be a JSON object');
+          return;
+        }
+
+        // A throw here would be uncaught and take the whole server down
+        try {
+          handleMessage(message);
+        } catch (error) {
+          console.error('❌ Job WebSocket message failed:', error.message);
+          sendError(error.message);
+        }
+      });
+
+      socket.on('close', () => {
+        for (const unsubscribe of subscriptions.values()) {
+          unsubscribe();
+        }
+        subscriptions.clear();
+      });
+    });
+
+    // Drop dead connections so subscriptions don't leak
+    const pingInterval = setInterval(() => {
+      for (const socket of wss.clients) {
+        if (socket.isAlive === false) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, HEARTBEAT_INTERVAL * 2);
+
+    wss.on('connection', (socket) => {
+      socket.isAlive = true;
+      socket.on('pong', () => { socket.isAlive = true; });
+    });
+    wss.on('close', () => clearInterval(pingInterval));
+
+    console.log(`✅ Job WebSocket listening on ${path}`);
+    return wss;
+  }
+
+  return { subscribe, handleSse, attachWebSocket };
+}
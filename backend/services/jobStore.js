@@ -0,0 +1,170 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import path from 'path';
+import Database from 'better-sqlite3';
+
+// Job store for async operations (find-best-torrent, stream-torrent).
+// Both stores expose the same Map-like API so route handlers can keep using
+// get/set/delete, plus helpers for restart recovery and pruning.
+// Every write emits an 'update' event (jobId, job) for push channels.
+
+const RESUMABLE_STATUSES = ['pending', 'processing'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// In-memory store (used for tests or when persistence is disabled)
+class MemoryJobStore extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = new Map();
+    this.driver = 'memory';
+  }
+
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? { ...job } : undefined;
+  }
+
+  set(jobId, job) {
+    const stored = { ...job, updatedAt: new Date().toISOString() };
+    this.jobs.set(jobId, stored);
+    this.emit('update', jobId, { ...stored });
+    return this;
+  }
+
+  has(jobId) {
+    return this.jobs.has(jobId);
+  }
+
+  delete(jobId) {
+    return this.jobs.delete(jobId);
+  }
+
+  get size() {
+    return this.jobs.size;
+  }
+
+  // Jobs that were still pending/processing (e.g. when the process stopped)
+  getResumable() {
+    return [...this.jobs.entries()]
+      .filter(([, job]) => RESUMABLE_STATUSES.includes(job.status))
+      .map(([id, job]) => ({ id, ...job }));
+  }
+
+  // Remove completed/failed jobs not updated for more than maxAgeMs
+  pruneFinished(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const [id, job] of this.jobs.entries()) {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  close() {}
+}
+
+// SQLite-backed store so jobs survive backend restarts
+class SqliteJobStore extends EventEmitter {
+  constructor(filePath) {
+    super();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.driver = 'sqlite';
+    this.filePath = filePath;
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT,
+        status TEXT NOT NULL,
+        progress INTEGER DEFAULT 0,
+        payload TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status);
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT payload FROM jobs WHERE id = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO jobs (id, type, status, progress, payload, updated_at)
+        VALUES (@id, @type, @status, @progress, @payload, @updatedAt)
+        ON CONFLICT(id) DO UPDATE SET
+          type = excluded.type,
+          status = excluded.status,
+          progress = excluded.progress,
+          payload = excluded.payload,
+          updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM jobs WHERE id = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM jobs'),
+      byStatus: this.db.prepare(`SELECT id, payload FROM jobs WHERE status IN (${RESUMABLE_STATUSES.map(() => '?').join(', ')})`),
+      prune: this.db.prepare(`DELETE FROM jobs WHERE status IN (${FINISHED_STATUSES.map(() => '?').join(', ')}) AND updated_at < ?`)
+    };
+  }
+
+  get(jobId) {
+    const row = this.statements.get.get(jobId);
+    return row ? JSON.parse(row.payload) : undefined;
+  }
+
+  set(jobId, job) {
+    const updatedAt = new Date().toISOString();
+    const stored = { ...job, updatedAt };
+    this.statements.upsert.run({
+      id: jobId,
+      type: job.type || null,
+      status: job.status || 'pending',
+      progress: job.progress || 0,
+      payload: JSON.stringify(stored),
+      updatedAt
+    });
+    this.emit('update', jobId, stored);
+    return this;
+  }
+
+  has(jobId) {
+    return !!this.statements.get.get(jobId);
+  }
+
+  delete(jobId) {
+    return this.statements.delete.run(jobId).changes > 0;
+  }
+
+  get size() {
+    return this.statements.count.get().count;
+  }
+
+  getResumable() {
+    return this.statements.byStatus.all(...RESUMABLE_STATUSES)
+      .map(row => ({ id: row.id, ...JSON.parse(row.payload) }));
+  }
+
+  pruneFinished(maxAgeMs) {
+    const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+    return this.statements.prune.run(...FINISHED_STATUSES, cutoff).changes;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// Create a job store for the configured driver ('sqlite' or 'memory')
+export function createJobStore({ driver = 'sqlite', filePath } = {}) {
+  if (driver === 'memory') {
+    return new MemoryJobStore();
+  }
+
+  if (driver !== 'sqlite') {
+    throw new Error(`Unknown job store driver: ${driver}`);
+  }
+
+  return new SqliteJobStore(filePath);
+}
+
+export { MemoryJobStore, SqliteJobStore };
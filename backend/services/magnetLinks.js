@@ -0,0 +1,34 @@
+// Magnet link helpers. Torrents are keyed by info hash so the same torrent
+// reached through magnets with different trackers/names maps to one entry.
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32ToHex(value) {
+  let bits = '';
+  for (const char of value.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) return null;
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  let hex = '';
+  for (let i = 0; i + 4 <= bits.length; i += 4) {
+    hex += parseInt(bits.slice(i, i + 4), 2).toString(16);
+  }
+  return hex;
+}
+
+// Lowercase hex v1 info hash from a magnet link (hex or base32 btih), or null
+export function parseInfoHash(magnetLink) {
+  const match = String(magnetLink || '').match(/xt=urn:btih:([a-z0-9]+)/i);
+  if (!match) return null;
+
+  const hash = match[1];
+  if (/^[a-f0-9]{40}$/i.test(hash)) return hash.toLowerCase();
+  if (hash.length === 32) return base32ToHex(hash);
+  return null;
+}
+
+export function isInfoHash(value) {
+  return /^[a-f0-9]{40}$/i.test(String(value || ''));
+}
@@ -0,0 +1,331 @@
+import fs from 'fs';
+import path from 'path';
+import axios from 'axios';
+import Database from 'better-sqlite3';
+
+// The one MusicBrainz web service client every route goes through. Requests
+// wait in a single FIFO token bucket (a token every rateLimitMs, at most `burst`
+// saved up), so concurrent users share MusicBrainz's 1 request/second between
+// them. A 503 or 429 pauses the whole queue for its Retry-After (or a growing
+// backoff) and the request is retried at the head of the queue.
+//
+// Responses are cached with a TTL in memory (LRU) and in SQLite, keyed by path
+// plus sorted query parameters (`inc` values sorted too), and identical requests
+// in flight share one call. Cover Art Archive listings use the same cache but
+// skip the queue, as they don't count against the MusicBrainz limit.
+
+const COVER_ART_URL = 'https://coverartarchive.org';
+const MAX_BACKOFF_MS = 30 * 1000;
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class MusicBrainzError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'MusicBrainzError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function isMbid(value) {
+  return MBID_PATTERN.test(String(value || ''));
+}
+
+// Retry-After as milliseconds (seconds or an HTTP date), or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// "release?artist=…&inc=labels+recordings" whatever order the params / inc values came in
+function cacheKey(pathname, params) {
+  const query = Object.keys(params)
+    .filter(name => params[name] !== undefined && params[name] !== null)
+    .sort()
+    .map(name => {
+      const value = name === 'inc' ? String(params[name]).split('+').sort().join('+') : params[name];
+      return `${name}=${value}`;
+    })
+    .join('&');
+  return query ? `${pathname}?${query}` : pathname;
+}
+
+export function createMusicBrainzClient({
+  baseUrl = 'https://musicbrainz.org/ws/2',
+  userAgent,
+  rateLimitMs = 1000,
+  burst = 1,
+  maxRetries = 4,
+  timeoutMs = 15000,
+  cachePath = './data/musicbrainz-cache.db',
+  cacheTtlMs = 24 * 60 * 60 * 1000,
+  searchCacheTtlMs = 60 * 60 * 1000,
+  memoryCacheEntries = 500,
+  maxBrowsePages = 10
+} = {}) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+
+  const db = new Database(cachePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS responses (
+      cache_key TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_responses_expires ON responses (expires_at);
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT data, expires_at FROM responses WHERE cache_key = ?'),
+    put: db.prepare('INSERT OR REPLACE INTO responses (cache_key, data, expires_at) VALUES (?, ?, ?)'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM responses'),
+    prune: db.prepare('DELETE FROM responses WHERE expires_at <= ?'),
+    clear: db.prepare('DELETE FROM responses')
+  };
+
+  const memory = new Map(); // cache key -> { data, expiresAt }, least recently used first
+  const inFlight = new Map(); // cache key -> Promise
+  const counters = { requests: 0, retries: 0, rateLimited: 0, cacheHits: 0, cacheMisses: 0 };
+
+  // === Token bucket ===
+  const waiting = [];
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+
+  function refill(now) {
+    if (now <= lastRefill) return;
+    tokens = Math.min(burst, tokens + (now - lastRefill) / rateLimitMs);
+    lastRefill = now;
+  }
+
+  function schedule(delayMs) {
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, Math.ceil(delayMs));
+  }
+
+  function drain() {
+    if (timer) return;
+    while (waiting.length > 0) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        schedule(pausedUntil - now);
+        return;
+      }
+      refill(now);
+      if (tokens < 1) {
+        schedule((1 - tokens) * rateLimitMs);
+        return;
+      }
+      tokens -= 1;
+      waiting.shift()();
+    }
+  }
+
+  // Resolves when this request may be sent; retries go to the head of the queue
+  function acquire({ retry = false } = {}) {
+    return new Promise(resolve => {
+      if (retry) {
+        waiting.unshift(resolve);
+      } else {
+        waiting.push(resolve);
+      }
+      drain();
+    });
+  }
+
+  // Hold every queued request until delayMs from now; one token is ready when the pause ends
+  function pause(delayMs) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+    tokens = 0;
+    lastRefill = pausedUntil - rateLimitMs;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  async function request(pathname, params) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire({ retry: attempt > 0 });
+      counters.requests++;
+
+      try {
+        const response = await axios.get(`${baseUrl}/${pathname}`, {
+          headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+          params: { ...params, fmt: 'json' },
+          timeout: timeoutMs
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response?.status;
+        const rateLimited = status === 503 || status === 429;
+        // Other 4xx (unknown ID, bad query) won't change on a retry
+        if ((status && status < 500 && !rateLimited) || attempt >= maxRetries) {
+          throw new MusicBrainzError(`MusicBrainz ${pathname} failed: ${error.message}`, status && status < 500 ? status : 502);
+        }
+
+        const delayMs = parseRetryAfter(error.response?.headers?.['retry-after'])
+          ?? Math.min(rateLimitMs * 2 ** (attempt + 1), MAX_BACKOFF_MS);
+        counters.retries++;
+        if (rateLimited) {
+          counters.rateLimited++;
+          console.log(`⏳ MusicBrainz returned ${status}, pausing the queue for ${delayMs}ms (${pathname})`);
+          pause(delayMs);
+        } else {
+          console.log(`🔄 MusicBrainz ${pathname} failed (${error.message}), retrying in ${delayMs}ms`);
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    }
+  }
+
+  // === Cache ===
+  function readCache(key) {
+    const now = Date.now();
+    const entry = memory.get(key);
+    if (entry) {
+      memory.delete(key);
+      if (entry.expiresAt > now) {
+        memory.set(key, entry);
+        return entry.data;
+      }
+    }
+
+    const row = statements.get.get(key);
+    if (row && row.expires_at > now) {
+      const data = JSON.parse(row.data);
+      remember(key, data, row.expires_at);
+      return data;
+    }
+    return undefined;
+  }
+
+  function remember(key, data, expiresAt) {
+    memory.set(key, { data, expiresAt });
+    if (memory.size > memoryCacheEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+
+  function writeCache(key, data, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+    remember(key, data, expiresAt);
+    statements.put.run(key, JSON.stringify(data), expiresAt);
+  }
+
+  // Cached value for key, else fetch() once for every caller asking meanwhile
+  function cached(key, ttlMs, fetch) {
+    const hit = readCache(key);
+    if (hit !== undefined) {
+      counters.cacheHits++;
+      return Promise.resolve(hit);
+    }
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+
+    counters.cacheMisses++;
+    const pending = fetch()
+      .then(data => {
+        writeCache(key, data, ttlMs);
+        return data;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  // GET baseUrl/pathname (e.g. "artist/<mbid>", "release") with query params; throws MusicBrainzError
+  function get(pathname, params = {}, { ttlMs = cacheTtlMs } = {}) {
+    return cached(cacheKey(pathname, params), ttlMs, () => request(pathname, params));
+  }
+
+  function lookup(entity, id, { inc } = {}) {
+    return get(`${entity}/${id}`, inc ? { inc } : {});
+  }
+
+  function browse(entity, params) {
+    return get(entity, params);
+  }
+
+  // Every page of a browse (100 per request, up to maxPages) as one array; each page is cached on its own
+  async function browseAll(entity, params, { maxPages = maxBrowsePages } = {}) {
+    const items = [];
+    for (let page = 0; page < maxPages; page++) {
+      const data = await get(entity, { ...params, limit: 100, offset: page * 100 });
+      const pageItems = data[`${entity}s`] || [];
+      items.push(...pageItems);
+      if (pageItems.length < 100 || items.length >= (data[`${entity}-count`] || 0)) {
+        return items;
+      }
+    }
+    console.log(`⚠️ MusicBrainz ${entity} browse stopped after ${maxPages} pages (${items.length} items)`);
+    return items;
+  }
+
+  // Search results change more often than entities, so they expire sooner
+  function search(entity, query, { limit = 5, offset } = {}) {
+    return get(entity, { query, limit, offset }, { ttlMs: searchCacheTtlMs });
+  }
+
+  // Cover Art Archive images of a release; [] (cached too) when it has none
+  function coverArt(releaseId) {
+    return cached(`coverart:release/${releaseId}`, cacheTtlMs, async () => {
+      try {
+        const response = await axios.get(`${COVER_ART_URL}/release/${releaseId}`, {
+          headers: { 'User-Agent': userAgent },
+          timeout: timeoutMs
+        });
+        return response.data.images || [];
+      } catch (error) {
+        if (error.response?.status === 404) return [];
+        throw new MusicBrainzError(`Cover Art Archive release/${releaseId} failed: ${error.message}`);
+      }
+    });
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, entry] of memory) {
+      if (entry.expiresAt <= now) memory.delete(key);
+    }
+    return statements.prune.run(now).changes;
+  }
+
+  function clearCache() {
+    memory.clear();
+    return statements.clear.run().changes;
+  }
+
+  function stats() {
+    return {
+      ...counters,
+      queued: waiting.length,
+      inFlight: inFlight.size,
+      pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+      rateLimitMs,
+      burst,
+      memoryEntries: memory.size,
+      diskEntries: statements.count.get().count
+    };
+  }
+
+  const pruneTimer = setInterval(prune, 60 * 60 * 1000);
+  pruneTimer.unref();
+  prune();
+
+  function close() {
+    clearInterval(pruneTimer);
+    if (timer) clearTimeout(timer);
+    db.close();
+  }
+
+  return { get, lookup, browse, browseAll, search, coverArt, stats, prune, clearCache, close, cachePath };
+}
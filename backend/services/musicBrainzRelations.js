@@ -0,0 +1,193 @@
+// Credits, appearances and artist connections from MusicBrainz lookups made
+// with relationship includes. Artist relationships are grouped per artist
+// ({ artist, roles }) so an artist credited for guitar and backing vocals shows
+// up once; instrument and vocal credits use their attributes ("guitar", "lead
+// vocals") as the role.
+
+// Recording -> artist relationship types by credit section; anything else (engineer, mix, remixer...) is "other"
+const PERFORMER_TYPES = new Set(['performer', 'instrument', 'vocal', 'performing orchestra', 'conductor', 'chorus master', 'concertmaster']);
+const PRODUCER_TYPES = new Set(['producer']);
+
+// Artist lookups for the artist page and related artists; one inc string so they share the cache
+export const ARTIST_RELATIONS_INC = 'annotation+tags+artist-rels+url-rels';
+
+// Artist -> artist relationship types shown as collaborations besides "collaboration" itself
+const SUPPORTING_TYPES = new Set(['supporting musician', 'vocal supporting musician', 'instrumental supporting musician']);
+
+// Official links first, then reference sites; unlisted types (streaming, social network...) come after
+const LINK_ORDER = ['official homepage', 'wikipedia', 'wikidata', 'bandcamp', 'discogs', 'allmusic', 'last.fm'];
+
+function describeArtist(artist) {
+  return {
+    id: artist.id,
+    name: artist.name,
+    disambiguation: artist.disambiguation || null,
+    type: artist.type || null
+  };
+}
+
+// "guitar, lead vocals" for instrument / vocal credits, otherwise the relationship type
+function relationRole(relation) {
+  const attributes = relation.attributes || [];
+  if ((relation.type === 'instrument' || relation.type === 'vocal') && attributes.length > 0) {
+    return attributes.join(', ');
+  }
+  return attributes.length > 0 ? `${relation.type} (${attributes.join(', ')})` : relation.type;
+}
+
+// [{ artist, roles }] from artist relationships, in first-credited order
+export function groupArtistRelations(relations) {
+  const byArtist = new Map();
+  for (const relation of relations) {
+    if (relation['target-type'] !== 'artist' || !relation.artist) continue;
+    if (!byArtist.has(relation.artist.id)) {
+      byArtist.set(relation.artist.id, { artist: describeArtist(relation.artist), roles: [] });
+    }
+    const roles = byArtist.get(relation.artist.id).roles;
+    const role = relationRole(relation);
+    if (!roles.includes(role)) roles.push(role);
+  }
+  return [...byArtist.values()];
+}
+
+// "1991 – 1994", "2003 – present" or null for a relationship's dates
+function relationPeriod(relation) {
+  if (!relation.begin && !relation.end) return null;
+  const end = relation.end || (relation.ended ? '?' : 'present');
+  return `${relation.begin || '?'} – ${end}`;
+}
+
+// [{ artist, roles, periods, current }] from artist -> artist relationships, with attributes
+// ("original", "guitar") as roles and every membership period of the artist
+function groupArtistLinks(relations, roleOf = relation => relation.attributes || []) {
+  const byArtist = new Map();
+  for (const relation of relations) {
+    if (!byArtist.has(relation.artist.id)) {
+      byArtist.set(relation.artist.id, { artist: describeArtist(relation.artist), roles: [], periods: [], current: false });
+    }
+    const entry = byArtist.get(relation.artist.id);
+    for (const role of roleOf(relation)) {
+      if (!entry.roles.includes(role)) entry.roles.push(role);
+    }
+    const period = relationPeriod(relation);
+    if (period && !entry.periods.includes(period)) entry.periods.push(period);
+    if (!relation.ended && !relation.end) entry.current = true;
+  }
+  // Current members / groups before past ones, each in MusicBrainz order
+  return [...byArtist.values()].sort((a, b) => Number(b.current) - Number(a.current));
+}
+
+// { members, memberOf, collaborations, sideProjects, links } of an artist looked up with
+// inc=artist-rels+url-rels. Relationships are stored once between two artists, so direction
+// says which side this artist is on: a band sees "member of band" backward, a member forward.
+export function describeArtistRelations(artist) {
+  const relations = artist.relations || [];
+  const artistRelations = relations.filter(relation => relation['target-type'] === 'artist' && relation.artist);
+  const ofType = (types, direction) => artistRelations.filter(relation =>
+    types.includes(relation.type) && (!direction || relation.direction === direction));
+
+  const links = [];
+  for (const relation of relations) {
+    const url = relation['target-type'] === 'url' ? relation.url?.resource : null;
+    if (url && !links.some(link => link.url === url)) {
+      links.push({ type: relation.type, url });
+    }
+  }
+  const linkRank = link => (LINK_ORDER.includes(link.type) ? LINK_ORDER.indexOf(link.type) : LINK_ORDER.length);
+
+  return {
+    members: groupArtistLinks(ofType(['member of band'], 'backward')),
+    memberOf: groupArtistLinks(ofType(['member of band'], 'forward')),
+    collaborations: groupArtistLinks(
+      ofType(['collaboration', ...SUPPORTING_TYPES]),
+      relation => (SUPPORTING_TYPES.has(relation.type) ? [relation.type, ...(relation.attributes || [])] : relation.attributes || [])
+    ),
+    // A subgroup relationship points from the main group to the side project
+    sideProjects: groupArtistLinks(
+      ofType(['subgroup']),
+      relation => [relation.direction === 'backward' ? 'main group' : 'side project']
+    ),
+    links: links.sort((a, b) => linkRank(a) - linkRank(b))
+  };
+}
+
+// { artists: [{ id, name, joinPhrase }], text: "A feat. B" } from an artist-credit list
+export function formatArtistCredit(artistCredit = []) {
+  const artists = artistCredit.map(credit => ({
+    id: credit.artist?.id || null,
+    name: credit.name || credit.artist?.name,
+    joinPhrase: credit.joinphrase || ''
+  }));
+  return {
+    artists,
+    text: artists.map(artist => `${artist.name}${artist.joinPhrase}`).join('')
+  };
+}
+
+// Performers, producers and other credits of a recording looked up with inc=artist-rels
+export function describeRecordingCredits(recording) {
+  const relations = recording.relations || [];
+  const ofTypes = types => relations.filter(relation => types(relation.type));
+  return {
+    performers: groupArtistRelations(ofTypes(type => PERFORMER_TYPES.has(type))),
+    producers: groupArtistRelations(ofTypes(type => PRODUCER_TYPES.has(type))),
+    other: groupArtistRelations(ofTypes(type => !PERFORMER_TYPES.has(type) && !PRODUCER_TYPES.has(type)))
+  };
+}
+
+// Works a recording performs (inc=work-rels+work-level-rels+artist-rels), with their composers / lyricists
+export function describeRecordingWorks(recording) {
+  return (recording.relations || [])
+    .filter(relation => relation['target-type'] === 'work' && relation.work)
+    .map(relation => ({
+      id: relation.work.id,
+      title: relation.work.title,
+      type: relation.work.type || null,
+      language: relation.work.language || relation.work.languages?.[0] || null,
+      iswcs: relation.work.iswcs || [],
+      // "live", "cover", "partial"... on the performance
+      attributes: relation.attributes || [],
+      writers: groupArtistRelations(relation.work.relations || [])
+    }));
+}
+
+// Every release a recording appears on, oldest first, from the releases browsed with
+// recording=<id>&inc=release-groups+media. Browsed media carry no tracklist, so the disc
+// and track number are only filled in when a medium lists the recording's track.
+export function describeAppearances(releases, recordingId) {
+  const appearances = releases.flatMap(release => {
+    const releaseGroup = release['release-group'] || {};
+    const base = {
+      releaseId: release.id,
+      title: release.title,
+      date: release.date || null,
+      country: release.country || null,
+      status: release.status || null,
+      releaseGroupId: releaseGroup.id || null,
+      primaryType: releaseGroup['primary-type'] || null,
+      secondaryTypes: releaseGroup['secondary-types'] || []
+    };
+    const tracksOf = medium => (medium.tracks || medium.track || [])
+      .filter(track => !track.recording?.id || track.recording.id === recordingId);
+    const media = (release.media || []).filter(medium => tracksOf(medium).length > 0);
+    if (media.length === 0) {
+      const formats = [...new Set((release.media || []).map(medium => medium.format).filter(Boolean))];
+      return [{ ...base, format: formats.join(' + ') || null, discNumber: null, trackNumber: null, trackCount: null }];
+    }
+    // A recording can appear more than once on a release (e.g. a bonus disc)
+    return media.flatMap(medium => tracksOf(medium).map(track => ({
+      ...base,
+      format: medium.format || null,
+      discNumber: medium.position || null,
+      trackNumber: track.number || track.position || null,
+      trackCount: medium['track-count'] || null
+    })));
+  });
+
+  return appearances.sort((a, b) => {
+    if (!a.date && !b.date) return 0;
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return a.date.localeCompare(b.date);
+  });
+}
@@ -0,0 +1,156 @@
+// Sequential piece prioritisation for the file being played. WebTorrent starts
+// every torrent with the whole torrent selected, so the rest of an album
+// competes for bandwidth with the track that's playing. play() narrows the
+// selection to the playing file; follow() keeps a read-ahead window of critical
+// pieces in front of each open stream. Once the playing file completes, the next
+// track in album order is selected, and after that the whole torrent again (low
+// priority) so the album still finishes downloading. prefetch() queues a file
+// as the next track (gapless playback) and fetches its opening bytes right away.
+
+const PRIORITY_PLAYING = 2;
+const PRIORITY_NEXT = 1;
+
+// Only live WebTorrent torrents with metadata (not audio cache views)
+function canPrioritise(torrent) {
+  return Boolean(torrent && !torrent.destroyed && torrent.pieceLength && torrent.pieces?.length && typeof torrent.select === 'function');
+}
+
+export function createPlaybackPrioritiser({ readAheadBytes = 8 * 1024 * 1024 } = {}) {
+  const sessions = new WeakMap(); // torrent -> { file, nextFile, stage, listeners, prefetchNext }
+
+  function selectOnly(torrent, file, priority) {
+    torrent.deselect(0, torrent.pieces.length - 1);
+    file.select(priority);
+  }
+
+  // Run fn once file has completed (now, or on its 'done' event while the session lasts)
+  function whenDone(session, file, fn) {
+    if (file.done) {
+      fn();
+      return;
+    }
+    file.once('done', fn);
+    session.listeners.push(() => file.removeListener('done', fn));
+  }
+
+  function endSession(torrent) {
+    const session = sessions.get(torrent);
+    if (!session) return;
+    session.listeners.forEach(removeListener => removeListener());
+    sessions.delete(torrent);
+  }
+
+  // Mark the first readAheadBytes of a file critical so playback can start straight away
+  function fetchHead(torrent, file) {
+    torrent.critical(
+      Math.floor(file.offset / torrent.pieceLength),
+      Math.floor((file.offset + Math.min(file.length - 1, readAheadBytes)) / torrent.pieceLength)
+    );
+  }
+
+  // Focus the torrent on `file`, then `nextFile` once it completes, then everything
+  function play(torrent, file, { nextFile = null } = {}) {
+    if (!canPrioritise(torrent)) return;
+
+    const current = sessions.get(torrent);
+    if (current?.file === file) return;
+    // The client preloading the queued next track while the playing one still downloads; keep the order
+    if (current?.nextFile === file && !current.file.done) return;
+
+    endSession(torrent);
+    const session = { file, nextFile, stage: 'playing', listeners: [] };
+    sessions.set(torrent, session);
+
+    const isCurrent = () => sessions.get(torrent) === session && !torrent.destroyed;
+
+    const restoreBackground = () => {
+      if (!isCurrent()) return;
+      session.stage = 'background';
+      torrent.deselect(0, torrent.pieces.length - 1);
+      torrent.select(0, torrent.pieces.length - 1, 0);
+      console.log(`📦 ${torrent.name}: playing track${session.nextFile ? ' and next track' : ''} downloaded, resuming the rest`);
+    };
+
+    if (!file.done) {
+      selectOnly(torrent, file, PRIORITY_PLAYING);
+      console.log(`🎯 Prioritising ${file.path}${nextFile ? ` (next: ${nextFile.path})` : ''}`);
+    }
+
+    session.prefetchNext = () => {
+      const next = session.nextFile;
+      if (!isCurrent()) return;
+      if (!next || next.done) {
+        restoreBackground();
+        return;
+      }
+      session.stage = 'prefetching';
+      selectOnly(torrent, next, PRIORITY_NEXT);
+      console.log(`⏭️ ${file.path} complete, prefetching ${next.path}`);
+      // A later prefetch() may have replaced the next track meanwhile
+      whenDone(session, next, () => session.nextFile === next && restoreBackground());
+    };
+    whenDone(session, file, session.prefetchNext);
+  }
+
+  // Queue `file` as the next track: its opening bytes are fetched now, the rest right after the
+  // playing file (or straight away when nothing in the torrent is playing)
+  function prefetch(torrent, file) {
+    if (!canPrioritise(torrent) || file.done) return;
+
+    fetchHead(torrent, file);
+    const session = sessions.get(torrent);
+    if (!session) {
+      file.select(PRIORITY_NEXT);
+      console.log(`⏭️ Prefetching ${file.path}`);
+      return;
+    }
+    if (session.file === file || session.nextFile === file) return;
+
+    session.nextFile = file;
+    console.log(`⏭️ Queued ${file.path} after ${session.file.path}`);
+    if (session.stage !== 'playing') {
+      session.prefetchNext();
+    }
+  }
+
+  // Keep pieces from the stream's position to readAheadBytes past it marked critical,
+  // advancing the window as the stream is read
+  function follow(torrent, file, stream, startByte = 0) {
+    if (!canPrioritise(torrent)) return;
+
+    const { pieceLength } = torrent;
+    const lastByte = file.length - 1;
+    let position = startByte;
+    let windowStart = -Infinity;
+
+    const markWindow = () => {
+      if (torrent.destroyed || position > lastByte) return;
+      windowStart = position;
+      torrent.critical(
+        Math.floor((file.offset + position) / pieceLength),
+        Math.floor((file.offset + Math.min(lastByte, position + readAheadBytes)) / pieceLength)
+      );
+    };
+
+    markWindow();
+    stream.on('data', chunk => {
+      position += chunk.length;
+      if (position - windowStart >= pieceLength) {
+        markWindow();
+      }
+    });
+  }
+
+  function describe(torrent) {
+    const session = sessions.get(torrent);
+    if (!session) return null;
+    return {
+      stage: session.stage,
+      playing: session.file.path,
+      next: session.nextFile?.path || null,
+      readAheadBytes
+    };
+  }
+
+  return { play, prefetch, follow, describe };
+}
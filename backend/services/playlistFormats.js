@@ -0,0 +1,271 @@
+import * as cheerio from 'cheerio';
+import { PlaylistError, isRecordingId } from './playlistStore.js';
+
+// Playlist import / export as M3U8, XSPF and JSPF. Pinned entries are written
+// with their /api/stream URL as the location (playable by other players while
+// this server runs); MusicBrainz recordings as https://musicbrainz.org/recording/<id>
+// identifiers. Importing reads both back, so a Lizzen export round-trips; entries
+// from other players keep their title / artist / album for matching later, and
+// their original location, which is written back on export.
+
+const RECORDING_URL = 'https://musicbrainz.org/recording/';
+const RECORDING_URL_PATTERN = /musicbrainz\.org\/recording\/([0-9a-f-]{36})/i;
+const STREAM_URL_PATTERN = /\/api\/(?:stream|transcode)\/([a-f0-9]{40})\/(\d+)/i;
+const RECORDING_SEARCH_URL = 'https://musicbrainz.org/search?type=recording&query=';
+// M3U has a single location per entry, so the recording ID of a pinned entry goes on its own line
+const M3U_RECORDING_TAG = '#MUSICBRAINZ-RECORDING-ID:';
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { mimeType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { mimeType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  jspf: { mimeType: 'application/json; charset=utf-8', extension: 'jspf' }
+};
+
+function streamLocation(entry, baseUrl) {
+  return entry.pinned ? `${baseUrl}/api/stream/${entry.pinned.infoHash}/${entry.pinned.fileIndex}` : null;
+}
+
+function recordingIdentifier(entry) {
+  return entry.recordingId ? `${RECORDING_URL}${entry.recordingId}` : null;
+}
+
+// M3U needs a location line for every entry; one with only a title points at a MusicBrainz recording search
+function recordingSearchUrl(entry) {
+  const query = [entry.title, entry.artist].filter(Boolean).join(' ');
+  return `${RECORDING_SEARCH_URL}${encodeURIComponent(query)}`;
+}
+
+// Recording ID and pinned file referenced by a location / identifier URL
+function parseReference(url) {
+  const value = String(url || '');
+  const stream = STREAM_URL_PATTERN.exec(value);
+  if (stream) return { infoHash: stream[1].toLowerCase(), fileIndex: parseInt(stream[2], 10) };
+  const recording = RECORDING_URL_PATTERN.exec(value);
+  if (recording && isRecordingId(recording[1])) return { recordingId: recording[1].toLowerCase() };
+  return {};
+}
+
+// The first location that isn't one of ours (stream URL, recording, recording search):
+// a file path or URL from another player, kept so exports write it back
+function originalLocation(locations) {
+  return locations.find(url => url &&
+    !STREAM_URL_PATTERN.test(url) &&
+    !RECORDING_URL_PATTERN.test(url) &&
+    !url.startsWith(RECORDING_SEARCH_URL)) || null;
+}
+
+// "Some Track" from "/music/01 - Some Track.flac" for entries that only have a file path
+function titleFromPath(location) {
+  let name = String(location).split(/[\\/]/).pop() || '';
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // Not percent-encoded; keep it as written
+  }
+  return name.replace(/\.[a-z0-9]{2,4}$/i, '').replace(/^\d+\s*[-.]\s*/, '').trim() || null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function exportM3u8(playlist, baseUrl) {
+  const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+  for (const entry of playlist.entries) {
+    const location = streamLocation(entry, baseUrl) || entry.location || recordingIdentifier(entry) || recordingSearchUrl(entry);
+    const seconds = entry.durationMs ? Math.round(entry.durationMs / 1000) : -1;
+    const label = [entry.artist, entry.title].filter(Boolean).join(' - ');
+    lines.push(`#EXTINF:${seconds},${label}`);
+    if (entry.album) {
+      lines.push(`#EXTALB:${entry.album}`);
+    }
+    if (entry.recordingId && location !== recordingIdentifier(entry)) {
+      lines.push(`${M3U_RECORDING_TAG}${entry.recordingId}`);
+    }
+    lines.push(location);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function parseM3u8(content) {
+  const playlist = { name: null, entries: [] };
+  let pending = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line === '#EXTM3U') continue;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      playlist.name = line.slice('#PLAYLIST:'.length).trim();
+    } else if (line.startsWith('#EXTINF:')) {
+      const [, duration, label = ''] = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/.exec(line) || [];
+      const separator = label.indexOf(' - ');
+      pending = {
+        durationMs: duration > 0 ? Math.round(duration * 1000) : null,
+        artist: separator > 0 ? label.slice(0, separator).trim() : null,
+        title: (separator > 0 ? label.slice(separator + 3) : label).trim() || null
+      };
+    } else if (line.startsWith('#EXTALB:')) {
+      pending.album = line.slice('#EXTALB:'.length).trim() || null;
+    } else if (line.startsWith(M3U_RECORDING_TAG)) {
+      pending.recordingId = line.slice(M3U_RECORDING_TAG.length).trim();
+    } else if (!line.startsWith('#')) {
+      playlist.entries.push({
+        title: titleFromPath(line),
+        ...pending,
+        ...parseReference(line),
+        location: originalLocation([line])
+      });
+      pending = {};
+    }
+  }
+
+  return playlist;
+}
+
+function exportXspf(playlist, baseUrl) {
+  const element = (name, value) => (value === null || value === undefined ? '' : `      <${name}>${escapeXml(value)}</${name}>\n`);
+
+  const tracks = playlist.entries.map(entry => [
+    '    <track>\n',
+    element('location', streamLocation(entry, baseUrl) || entry.location),
+    element('identifier', recordingIdentifier(entry)),
+    element('title', entry.title),
+    element('creator', entry.artist),
+    element('album', entry.album),
+    element('duration', entry.durationMs),
+    '    </track>\n'
+  ].join('')).join('');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n',
+    `  <title>${escapeXml(playlist.name)}</title>\n`,
+    playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n` : '',
+    '  <trackList>\n',
+    tracks,
+    '  </trackList>\n',
+    '</playlist>\n'
+  ].join('');
+}
+
+function parseXspf(content) {
+  const $ = cheerio.load(content, { xmlMode: true });
+  if ($('playlist').length === 0) {
+    throw new PlaylistError('Not an XSPF playlist (no <playlist> element)');
+  }
+
+  const text = (parent, name) => $(parent).children(name).first().text().trim() || null;
+  const entries = $('trackList > track').map((index, track) => {
+    const references = $(track).children('location, identifier').map((i, node) => $(node).text().trim()).get();
+    const reference = Object.assign({}, ...references.map(parseReference));
+    const location = text(track, 'location');
+
+    return {
+      title: text(track, 'title') || (location ? titleFromPath(location) : null),
+      artist: text(track, 'creator'),
+      album: text(track, 'album'),
+      durationMs: parseInt(text(track, 'duration'), 10) || null,
+      ...reference,
+      location: originalLocation($(track).children('location').map((i, node) => $(node).text().trim()).get())
+    };
+  }).get();
+
+  return {
+    name: text('playlist', 'title'),
+    description: text('playlist', 'annotation'),
+    entries
+  };
+}
+
+function exportJspf(playlist, baseUrl) {
+  return `${JSON.stringify({
+    playlist: {
+      title: playlist.name,
+      ...(playlist.description ? { annotation: playlist.description } : {}),
+      track: playlist.entries.map(entry => {
+        const location = streamLocation(entry, baseUrl) || entry.location;
+        const identifier = recordingIdentifier(entry);
+        return {
+          ...(entry.title ? { title: entry.title } : {}),
+          ...(entry.artist ? { creator: entry.artist } : {}),
+          ...(entry.album ? { album: entry.album } : {}),
+          ...(entry.durationMs ? { duration: entry.durationMs } : {}),
+          ...(identifier ? { identifier: [identifier] } : {}),
+          ...(location ? { location: [location] } : {})
+        };
+      })
+    }
+  }, null, 2)}\n`;
+}
+
+// JSPF as text or already-parsed JSON ({ playlist: { title, track: [...] } })
+function parseJspf(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new PlaylistError(`Invalid JSPF: ${error.message}`);
+    }
+  }
+  if (!data?.playlist || typeof data.playlist !== 'object') {
+    throw new PlaylistError('Not a JSPF playlist (no "playlist" object)');
+  }
+
+  // identifier / location may be a string or an array of strings
+  const urls = value => (Array.isArray(value) ? value : value ? [value] : []);
+  const tracks = Array.isArray(data.playlist.track) ? data.playlist.track : [];
+
+  return {
+    name: data.playlist.title || null,
+    description: data.playlist.annotation || null,
+    entries: tracks.map(track => {
+      const locations = urls(track.location);
+      return {
+        title: track.title || (locations[0] ? titleFromPath(locations[0]) : null),
+        artist: track.creator || null,
+        album: track.album || null,
+        durationMs: parseInt(track.duration, 10) || null,
+        ...Object.assign({}, ...[...urls(track.identifier), ...locations].map(parseReference)),
+        location: originalLocation(locations)
+      };
+    })
+  };
+}
+
+// Guess the format of an uploaded playlist
+export function detectPlaylistFormat(content) {
+  if (content && typeof content === 'object') return 'jspf';
+  const start = String(content || '').trimStart();
+  if (start.startsWith('{')) return 'jspf';
+  if (start.startsWith('<')) return 'xspf';
+  return 'm3u8';
+}
+
+// Serialise a playlist (as returned by the playlist store); baseUrl prefixes stream locations
+export function exportPlaylist(playlist, format, { baseUrl = '' } = {}) {
+  switch (format) {
+    case 'm3u8': return exportM3u8(playlist, baseUrl);
+    case 'xspf': return exportXspf(playlist, baseUrl);
+    case 'jspf': return exportJspf(playlist, baseUrl);
+    default: throw new PlaylistError(`Unsupported playlist format: ${format}`);
+  }
+}
+
+// { name, description, entries } from an uploaded playlist (entries still need normalizeEntry)
+export function parsePlaylist(content, format = detectPlaylistFormat(content)) {
+  switch (format) {
+    case 'm3u8':
+    case 'm3u': return parseM3u8(String(content));
+    case 'xspf': return parseXspf(String(content));
+    case 'jspf': return parseJspf(content);
+    default: throw new PlaylistError(`Unsupported playlist format: ${format}`);
+  }
+}
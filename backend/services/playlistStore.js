@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import Database from 'better-sqlite3';
+import { isInfoHash } from './magnetLinks.js';
+
+// User playlists, stored in SQLite. Entries reference a MusicBrainz recording ID
+// (how the track is found again through search / the audio cache) and may pin
+// the torrent file they were played from ({ infoHash, fileIndex }), plus the
+// title / artist / album / duration shown in lists and written to exports.
+// Entries imported from other players keep their original location (a file path
+// or URL) so exporting them writes it back.
+
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export class PlaylistError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PlaylistError';
+    this.statusCode = statusCode;
+  }
+}
+
+export function isRecordingId(value) {
+  return MBID_PATTERN.test(String(value || ''));
+}
+
+// Validate an entry from a request or an import; throws PlaylistError
+export function normalizeEntry(entry, position = 0) {
+  if (!entry || typeof entry !== 'object') {
+    throw new PlaylistError(`Entry ${position + 1} is not an object`);
+  }
+
+  const recordingId = entry.recordingId ? String(entry.recordingId).toLowerCase() : null;
+  if (recordingId && !isRecordingId(recordingId)) {
+    throw new PlaylistError(`Entry ${position + 1}: recordingId must be a MusicBrainz recording ID`);
+  }
+
+  // Pinned file as flat infoHash / fileIndex, or as the { pinned: { infoHash, fileIndex } } playlists are returned with
+  const pin = entry.pinned && typeof entry.pinned === 'object' ? entry.pinned : entry;
+  let pinned = null;
+  if (pin.infoHash !== undefined && pin.infoHash !== null) {
+    const fileIndex = Number(pin.fileIndex);
+    if (!isInfoHash(pin.infoHash) || !Number.isInteger(fileIndex) || fileIndex < 0) {
+      throw new PlaylistError(`Entry ${position + 1}: a pinned file needs a 40-character infoHash and a fileIndex`);
+    }
+    pinned = { infoHash: String(pin.infoHash).toLowerCase(), fileIndex };
+  }
+
+  const title = entry.title ? String(entry.title).trim() : null;
+  if (!recordingId && !pinned && !title) {
+    throw new PlaylistError(`Entry ${position + 1} needs a recordingId, a pinned file or a title`);
+  }
+
+  const durationMs = parseInt(entry.durationMs, 10);
+  return {
+    recordingId,
+    title,
+    artist: entry.artist ? String(entry.artist).trim() : null,
+    album: entry.album ? String(entry.album).trim() : null,
+    durationMs: durationMs > 0 ? durationMs : null,
+    location: entry.location ? String(entry.location).trim() : null,
+    infoHash: pinned?.infoHash || null,
+    fileIndex: pinned ? pinned.fileIndex : null
+  };
+}
+
+export function createPlaylistStore({ filePath = './data/playlists.db' } = {}) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS playlists (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS playlist_entries (
+      playlist_id TEXT NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      recording_id TEXT,
+      title TEXT,
+      artist TEXT,
+      album TEXT,
+      duration_ms INTEGER,
+      info_hash TEXT,
+      file_index INTEGER,
+      location TEXT,
+      PRIMARY KEY (playlist_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS idx_playlist_entries_recording ON playlist_entries (recording_id);
+  `);
+
+  // Databases created before entries kept their imported location
+  if (!db.prepare('PRAGMA table_info(playlist_entries)').all().some(column => column.name === 'location')) {
+    db.exec('ALTER TABLE playlist_entries ADD COLUMN location TEXT');
+  }
+
+  const statements = {
+    list: db.prepare(`
+      SELECT p.*, COUNT(e.position) AS entry_count
+      FROM playlists p LEFT JOIN playlist_entries e ON e.playlist_id = p.id
+      GROUP BY p.id ORDER BY p.updated_at DESC
+    `),
+    get: db.prepare('SELECT * FROM playlists WHERE id = ?'),
+    entries: db.prepare('SELECT * FROM playlist_entries WHERE playlist_id = ? ORDER BY position'),
+    insert: db.prepare(`
+      INSERT INTO playlists (id, name, description, created_at, updated_at)
+      VALUES (@id, @name, @description, @now, @now)
+    `),
+    update: db.prepare('UPDATE playlists SET name = @name, description = @description, updated_at = @now WHERE id = @id'),
+    delete: db.prepare('DELETE FROM playlists WHERE id = ?'),
+    clearEntries: db.prepare('DELETE FROM playlist_entries WHERE playlist_id = ?'),
+    insertEntry: db.prepare(`
+      INSERT INTO playlist_entries (playlist_id, position, recording_id, title, artist, album, duration_ms, info_hash, file_index, location)
+      VALUES (@playlistId, @position, @recordingId, @title, @artist, @album, @durationMs, @infoHash, @fileIndex, @location)
+    `)
+  };
+
+  const replaceEntries = (playlistId, entries) => {
+    statements.clearEntries.run(playlistId);
+    entries.forEach((entry, position) => statements.insertEntry.run({ playlistId, position, ...entry }));
+  };
+
+  function describeEntry(row) {
+    return {
+      position: row.position,
+      recordingId: row.recording_id,
+      title: row.title,
+      artist: row.artist,
+      album: row.album,
+      durationMs: row.duration_ms,
+      pinned: row.info_hash ? { infoHash: row.info_hash, fileIndex: row.file_index } : null,
+      location: row.location
+    };
+  }
+
+  function describePlaylist(row, entries = null) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      entryCount: entries ? entries.length : row.entry_count,
+      ...(entries ? { entries: entries.map(describeEntry) } : {})
+    };
+  }
+
+  function validateName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new PlaylistError('name is required');
+    return trimmed;
+  }
+
+  function validateEntries(entries) {
+    if (!Array.isArray(entries)) throw new PlaylistError('entries must be an array');
+    return entries.map(normalizeEntry);
+  }
+
+  function list() {
+    return statements.list.all().map(row => describePlaylist(row));
+  }
+
+  // Playlist with its entries, or null
+  function get(id) {
+    const row = statements.get.get(id);
+    return row ? describePlaylist(row, statements.entries.all(id)) : null;
+  }
+
+  const create = db.transaction(({ name, description = null, entries = [] }) => {
+    const id = randomUUID();
+    const normalized = validateEntries(entries);
+    statements.insert.run({ id, name: validateName(name), description: description || null, now: new Date().toISOString() });
+    replaceEntries(id, normalized);
+    return get(id);
+  });
+
+  // Rename / describe and, when `entries` is given, replace the entries. Returns null for unknown IDs.
+  const update = db.transaction((id, { name, description, entries } = {}) => {
+    const row = statements.get.get(id);
+    if (!row) return null;
+
+    statements.update.run({
+      id,
+      name: name === undefined ? row.name : validateName(name),
+      description: description === undefined ? row.description : description || null,
+      now: new Date().toISOString()
+    });
+    if (entries !== undefined) {
+      replaceEntries(id, validateEntries(entries));
+    }
+    return get(id);
+  });
+
+  function remove(id) {
+    return statements.delete.run(id).changes > 0;
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { list, get, create, update, remove, close, filePath };
+}
@@ -0,0 +1,101 @@
+import { ARTIST_RELATIONS_INC, describeArtistRelations } from './musicBrainzRelations.js';
+
+// "Related artists" for the artist page, scored from MusicBrainz relationships
+// and tags. Collaborations and side projects count directly; members and groups
+// are already on the page, so they aren't suggested but are looked up for their
+// own connections (a member's other bands, bandmates' other groups). Artists
+// sharing the artist's top tags fill in the rest. Every lookup goes through the
+// shared MusicBrainz client, so cached artists cost nothing and the rest queue
+// behind the rate limit.
+
+const DIRECT_SCORE = 4;
+const SECOND_HOP_SCORE = 3;
+const TAG_SEARCH_TAGS = 2;
+const TAG_SEARCH_LIMIT = 25;
+
+// Lucene phrase for a tag search: tag:"hip hop"
+function tagClause(tag) {
+  return `tag:"${tag.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+export async function findRelatedArtists(musicBrainz, artist, { maxLookups = 6, limit = 12 } = {}) {
+  const relationships = describeArtistRelations(artist);
+  const excluded = new Set([
+    artist.id,
+    ...relationships.members.map(entry => entry.artist.id),
+    ...relationships.memberOf.map(entry => entry.artist.id)
+  ]);
+  const candidates = new Map(); // artist id -> { id, name, type, disambiguation, score, reasons }
+
+  const add = (related, score, reason) => {
+    if (!related?.id || excluded.has(related.id)) return;
+    if (!candidates.has(related.id)) {
+      candidates.set(related.id, {
+        id: related.id,
+        name: related.name,
+        type: related.type || null,
+        disambiguation: related.disambiguation || null,
+        score: 0,
+        reasons: []
+      });
+    }
+    const candidate = candidates.get(related.id);
+    candidate.score += score;
+    if (!candidate.reasons.includes(reason)) candidate.reasons.push(reason);
+  };
+
+  relationships.collaborations.forEach(entry => add(entry.artist, DIRECT_SCORE, 'Collaboration'));
+  relationships.sideProjects.forEach(entry => add(entry.artist, DIRECT_SCORE, entry.roles[0] === 'main group' ? 'Main group' : 'Side project'));
+
+  // Second hop: which connections of the artist's members / groups / collaborators to follow
+  const hops = [
+    ...relationships.members.map(entry => ({
+      via: entry.artist,
+      reason: `Shared member: ${entry.artist.name}`,
+      next: related => related.memberOf
+    })),
+    ...relationships.memberOf.map(entry => ({
+      via: entry.artist,
+      reason: `Bandmate in ${entry.artist.name}`,
+      next: related => [...related.members, ...related.memberOf]
+    })),
+    ...relationships.collaborations.map(entry => ({
+      via: entry.artist,
+      reason: `Collaborator of ${entry.artist.name}`,
+      next: related => [...related.collaborations, ...related.memberOf]
+    }))
+  ].slice(0, maxLookups);
+
+  const tags = [...(artist.tags || [])]
+    .sort((a, b) => (b.count || 0) - (a.count || 0))
+    .map(tag => tag.name);
+  const topTags = new Set(tags.slice(0, 10));
+
+  await Promise.all([
+    ...hops.map(async hop => {
+      try {
+        const related = describeArtistRelations(await musicBrainz.lookup('artist', hop.via.id, { inc: ARTIST_RELATIONS_INC }));
+        hop.next(related).forEach(entry => add(entry.artist, SECOND_HOP_SCORE, hop.reason));
+      } catch (error) {
+        console.log(`⚠️ Related artists: lookup of ${hop.via.name} failed: ${error.message}`);
+      }
+    }),
+    (async () => {
+      if (tags.length === 0) return;
+      try {
+        const query = tags.slice(0, TAG_SEARCH_TAGS).map(tagClause).join(' AND ');
+        const results = await musicBrainz.search('artist', query, { limit: TAG_SEARCH_LIMIT });
+        for (const result of results.artists || []) {
+          const shared = (result.tags || []).map(tag => tag.name).filter(name => topTags.has(name));
+          if (shared.length > 0) add(result, shared.length, `Tags: ${shared.join(', ')}`);
+        }
+      } catch (error) {
+        console.log(`⚠️ Related artists: tag search failed: ${error.message}`);
+      }
+    })()
+  ]);
+
+  return [...candidates.values()]
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
@@ -0,0 +1,196 @@
+// Torrent lifecycle manager. Tracks the last access of every active torrent
+// (stream reads, track listings, playback requests), pauses torrents left idle
+// and removes them after longer, and enforces caps on active torrents, peer
+// connections and downloaded bytes by removing the least recently used ones.
+// Torrents with an open stream, or accessed within protectMs, are never paused
+// or removed. Torrents paused through pause() stay paused until resume().
+
+export function createTorrentLifecycle({
+  torrents, // Map of key -> WebTorrent torrent (the server's activeTorrents)
+  maxActiveTorrents = 20,
+  maxConnections = 300,
+  maxDiskBytes = 10 * 1024 ** 3,
+  pauseAfterMs = 10 * 60 * 1000,
+  removeAfterMs = 30 * 60 * 1000,
+  protectMs = 2 * 60 * 1000,
+  onRemove = () => {}
+}) {
+  const states = new Map(); // key -> { torrent, origin, addedAt, lastAccessedAt, openStreams, holdPaused }
+
+  // Lifecycle state for a torrent; torrents added without register() count as accessed now
+  function stateFor(key) {
+    const torrent = torrents.get(key);
+    let state = states.get(key);
+    if (!state || state.torrent !== torrent) {
+      const now = Date.now();
+      state = { torrent, origin: state?.origin || 'user', addedAt: now, lastAccessedAt: now, openStreams: 0, holdPaused: false };
+      states.set(key, state);
+    }
+    return state;
+  }
+
+  // Start tracking a torrent just put in the map. origin: 'preload' (artist page) or 'user' (playback request)
+  function register(key, torrent, { origin = 'user' } = {}) {
+    const state = states.get(key);
+    if (state?.torrent === torrent) {
+      state.lastAccessedAt = Date.now();
+      return;
+    }
+    const now = Date.now();
+    states.set(key, { torrent, origin, addedAt: now, lastAccessedAt: now, openStreams: 0, holdPaused: false });
+  }
+
+  // Record an access; resumes the torrent if it was paused for being idle
+  function touch(key) {
+    if (!torrents.has(key)) return;
+    const state = stateFor(key);
+    state.lastAccessedAt = Date.now();
+
+    if (state.torrent.paused && !state.holdPaused && typeof state.torrent.resume === 'function') {
+      console.log(`▶️ Resuming idle torrent: ${state.torrent.name || key}`);
+      state.torrent.resume();
+    }
+  }
+
+  // Mark a stream as reading from the torrent; call the returned function when it closes
+  function openStream(key) {
+    if (!torrents.has(key)) return () => {};
+    touch(key);
+    const state = stateFor(key);
+    state.openStreams++;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      state.openStreams--;
+      state.lastAccessedAt = Date.now();
+    };
+  }
+
+  // Pause on request (admin API); unlike idle pauses, access doesn't resume it
+  function pause(key) {
+    if (!torrents.has(key)) return false;
+    const state = stateFor(key);
+    state.holdPaused = true;
+    if (!state.torrent.paused) state.torrent.pause();
+    return true;
+  }
+
+  function resume(key) {
+    if (!torrents.has(key)) return false;
+    const state = stateFor(key);
+    state.holdPaused = false;
+    state.lastAccessedAt = Date.now();
+    if (state.torrent.paused) state.torrent.resume();
+    return true;
+  }
+
+  function isProtected(state, now = Date.now()) {
+    return state.openStreams > 0 || now - state.lastAccessedAt < protectMs;
+  }
+
+  function remove(key, reason) {
+    const torrent = torrents.get(key);
+    if (!torrent) return false;
+
+    console.log(`🗑️ Removing torrent ${torrent.name || key}: ${reason}`);
+    try {
+      torrent.destroy();
+    } catch (error) {
+      console.error(`❌ Error destroying torrent:`, error);
+    }
+    torrents.delete(key);
+    states.delete(key);
+    onRemove(key, torrent, reason);
+    return true;
+  }
+
+  function totals() {
+    let connections = 0;
+    let diskBytes = 0;
+    for (const torrent of torrents.values()) {
+      connections += torrent.numPeers || 0;
+      diskBytes += torrent.downloaded || 0;
+    }
+    return { torrents: torrents.size, connections, diskBytes };
+  }
+
+  // Apply the idle rules, then remove least recently used torrents while a cap is exceeded.
+  // With { removeAllIdle: true } every unprotected torrent is removed. Returns the removed keys.
+  function sweep({ removeAllIdle = false } = {}) {
+    const now = Date.now();
+    const removed = [];
+
+    for (const key of states.keys()) {
+      if (!torrents.has(key)) states.delete(key);
+    }
+
+    for (const key of [...torrents.keys()]) {
+      const state = stateFor(key);
+      if (isProtected(state, now)) continue;
+
+      const idleMs = now - state.lastAccessedAt;
+      if (removeAllIdle || idleMs >= removeAfterMs) {
+        if (remove(key, `idle for ${Math.round(idleMs / 60000)} min`)) removed.push(key);
+      } else if (idleMs >= pauseAfterMs && !state.torrent.paused && typeof state.torrent.pause === 'function') {
+        console.log(`⏸️ Pausing idle torrent: ${state.torrent.name || key}`);
+        state.torrent.pause();
+      }
+    }
+
+    const overCap = () => {
+      const current = totals();
+      if (current.torrents > maxActiveTorrents) return `over ${maxActiveTorrents} active torrents`;
+      if (current.connections > maxConnections) return `over ${maxConnections} peer connections`;
+      if (current.diskBytes > maxDiskBytes) return `over ${Math.round(maxDiskBytes / 1024 ** 2)} MB downloaded`;
+      return null;
+    };
+
+    const leastRecentlyUsed = [...torrents.keys()]
+      .map(key => [key, stateFor(key)])
+      .filter(([, state]) => !isProtected(state, now))
+      .sort(([, a], [, b]) => a.lastAccessedAt - b.lastAccessedAt);
+
+    for (const [key] of leastRecentlyUsed) {
+      const reason = overCap();
+      if (!reason) break;
+      if (remove(key, reason)) removed.push(key);
+    }
+
+    return removed;
+  }
+
+  function describe(key) {
+    if (!torrents.has(key)) return null;
+    const state = stateFor(key);
+    const now = Date.now();
+    const torrent = state.torrent;
+
+    return {
+      key,
+      infoHash: torrent.infoHash || null,
+      name: torrent.name || null,
+      origin: state.origin,
+      status: torrent.paused ? 'paused' : torrent.ready ? 'active' : 'loading',
+      pausedBy: torrent.paused ? (state.holdPaused ? 'request' : 'idle') : null,
+      protected: isProtected(state, now),
+      openStreams: state.openStreams,
+      addedAt: new Date(state.addedAt).toISOString(),
+      lastAccessedAt: new Date(state.lastAccessedAt).toISOString(),
+      idleSeconds: Math.round((now - state.lastAccessedAt) / 1000),
+      numPeers: torrent.numPeers || 0,
+      downloaded: torrent.downloaded || 0,
+      progress: Math.round((torrent.progress || 0) * 1000) / 1000
+    };
+  }
+
+  function stats() {
+    return {
+      ...totals(),
+      limits: { maxActiveTorrents, maxConnections, maxDiskBytes, pauseAfterMs, removeAfterMs, protectMs }
+    };
+  }
+
+  return { register, touch, openStream, pause, resume, remove, sweep, describe, stats };
+}
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseAudioQuality, describeAudioQuality, normalizeQualityPreference, checkQualityPreference } from './audioQuality.js';
+
+// Torrent scoring engine shared by find-best-torrent (sync + async) and the
+// artist album pre-loader. Each named rule returns points plus a short reason;
+// weights, thresholds and per-profile overrides come from a JSON config file
+// (config/torrentScoring.json) that is re-read when it changes on disk.
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'torrentScoring.json');
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowercase and collapse punctuation so "Artist - Album [FLAC]" matches word by word
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function ageInDays(torrent, now) {
+  if (!torrent.publishDate) return null;
+  const published = new Date(torrent.publishDate).getTime();
+  return Number.isNaN(published) ? null : (now - published) / DAY_MS;
+}
+
+// Rules: (torrent, context, settings) => { points, detail }
+const RULES = {
+  seeders(torrent, context, settings) {
+    const seeders = parseInt(torrent.seeders) || 0;
+    const leechers = parseInt(torrent.leechers) || 0;
+    const tier = (settings.tiers || []).find(t => seeders >= t.min);
+    let points = tier ? tier.points : 0;
+    let detail = `${seeders} seeders`;
+
+    const bonus = settings.ratioBonus;
+    if (bonus && seeders > 0 && leechers > 0 && seeders / leechers > bonus.minRatio) {
+      points += bonus.points;
+      detail += `, seed/leech ratio ${(seeders / leechers).toFixed(1)}`;
+    }
+
+    return { points, detail };
+  },
+
+  titleSimilarity(torrent, context, settings) {
+    const title = normalize(torrent.title);
+    let points = 0;
+    const matched = [];
+
+    for (const [field, fieldPoints] of Object.entries(settings.fields || {})) {
+      const value = normalize(context[field]);
+      if (!value) continue;
+
+      const words = value.split(' ').filter(word => word.length > 2);
+      if (words.length === 0) continue;
+
+      const hits = words.filter(word => title.includes(word)).length;
+      points += fieldPoints * (hits / words.length);
+      if (title.includes(value)) {
+        points += settings.exactPhrasePoints || 0;
+      }
+      matched.push(`${field} ${hits}/${words.length} words`);
+    }
+
+    return { points, detail: matched.join(', ') || 'nothing to compare' };
+  },
+
+  sizeWindow(torrent, context, settings) {
+    const sizeMB = (parseFloat(torrent.size) || 0) / MB;
+    if (sizeMB <= 0) {
+      return { points: 0, detail: 'unknown size' };
+    }
+
+    const window = (settings.windows || []).find(w => sizeMB >= w.minMB && sizeMB <= w.maxMB);
+    return {
+      points: window ? window.points : (settings.outsidePoints || 0),
+      detail: `${Math.round(sizeMB)} MB${window ? ` (${window.minMB}-${window.maxMB} MB)` : ''}`
+    };
+  },
+
+  age(torrent, context, settings) {
+    const days = ageInDays(torrent, context.now);
+    if (days === null) {
+      return { points: 0, detail: 'unknown age' };
+    }
+
+    const tier = (settings.tiers || []).find(t =>
+      (t.minDays === undefined || days >= t.minDays) && (t.maxDays === undefined || days < t.maxDays)
+    );
+    return { points: tier ? tier.points : 0, detail: `${Math.round(days)} days old` };
+  },
+
+  // Uses the quality parsed from the title (codec, bitrate, bit depth, source, log/cue)
+  format(torrent, context, settings) {
+    const { quality } = torrent;
+    let points = settings.codecs?.[quality.codec] || 0;
+
+    if (quality.bitrate && !quality.lossless) {
+      const tier = (settings.bitrateTiers || []).find(t => quality.bitrate >= t.min);
+      points += tier ? tier.points : 0;
+    }
+    if (quality.bitDepth >= 24) {
+      points += settings.hiResPoints || 0;
+    }
+    points += settings.sources?.[quality.source] || 0;
+    if (quality.hasLog || quality.hasCue) {
+      points += settings.logCuePoints || 0;
+    }
+
+    return { points, detail: describeAudioQuality(quality) };
+  },
+
+  // Bonus by position in the user's preferredFormats list
+  qualityPreference(torrent, context, settings) {
+    const { rank, reason } = checkQualityPreference(torrent.quality, context.qualityPreference);
+    const points = rank >= 0 ? (settings.rankPoints?.[rank] ?? 0) : 0;
+    return { points, detail: reason };
+  },
+
+  indexerTrust(torrent, context, settings) {
+    const indexer = (torrent.indexer || '').toLowerCase();
+    const match = Object.entries(settings.indexers || {}).find(([name]) => name.toLowerCase() === indexer);
+    return {
+      points: match ? match[1] : (settings.defaultPoints || 0),
+      detail: torrent.indexer || 'unknown indexer'
+    };
+  }
+};
+
+// Deep merge for plain objects; arrays and scalars from the override win
+function mergeConfig(base, override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return override === undefined ? base : override;
+  }
+
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const current = base?.[key];
+    merged[key] = current && typeof current === 'object' && !Array.isArray(current)
+      ? mergeConfig(current, value)
+      : value;
+  }
+  return merged;
+}
+
+class TorrentScorer {
+  constructor(configPath) {
+    this.configPath = configPath || DEFAULT_CONFIG_PATH;
+    this.config = null;
+    this.loadedMtime = 0;
+  }
+
+  // Re-read the config when the file changes so weights can be tuned without a restart
+  getConfig() {
+    let stats;
+    try {
+      stats = fs.statSync(this.configPath);
+    } catch (error) {
+      if (this.config) return this.config;
+      throw new Error(`Torrent scoring config not found: ${this.configPath}`);
+    }
+
+    if (!this.config || stats.mtimeMs !== this.loadedMtime) {
+      try {
+        this.config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        this.loadedMtime = stats.mtimeMs;
+        console.log(`⚖️ Loaded torrent scoring config from ${this.configPath}`);
+      } catch (error) {
+        if (!this.config) throw error;
+        // Remember the broken version too, so it is reported once rather than on every score()
+        this.loadedMtime = stats.mtimeMs;
+        console.warn(`⚠️ Invalid torrent scoring config, keeping previous rules: ${error.message}`);
+      }
+    }
+
+    return this.config;
+  }
+
+  // Base filters/rules with the named profile's overrides applied
+  getProfile(profileName) {
+    const config = this.getConfig();
+    return mergeConfig(
+      { filters: config.filters, rules: config.rules },
+      config.profiles?.[profileName] || {}
+    );
+  }
+
+  // Score, filter and sort torrents (best first). context: { artist, track, album }
+  // options.qualityPreference overrides the config's default preference for this call.
+  score(torrents, context = {}, profileName = 'track', { qualityPreference } = {}) {
+    if (!Array.isArray(torrents)) return [];
+
+    const { filters = {}, rules = {} } = this.getProfile(profileName);
+    const preference = normalizeQualityPreference(qualityPreference || this.getConfig().qualityPreference);
+    const now = Date.now();
+    const ruleContext = { ...context, now, qualityPreference: preference };
+    let skippedSeeders = 0;
+    let skippedAge = 0;
+    let skippedQuality = 0;
+
+    const scored = torrents
+      .map(torrent => ({ ...torrent, quality: torrent.quality || parseAudioQuality(torrent.title) }))
+      .filter(torrent => {
+        if ((parseInt(torrent.seeders) || 0) < (filters.minSeeders || 0)) {
+          skippedSeeders++;
+          return false;
+        }
+        const days = ageInDays(torrent, now);
+        if (filters.minAgeDays && days !== null && days < filters.minAgeDays) {
+          skippedAge++;
+          return false;
+        }
+        if (!checkQualityPreference(torrent.quality, preference).accepted) {
+          skippedQuality++;
+          return false;
+        }
+        return true;
+      })
+      .map(torrent => {
+        const scoreBreakdown = [];
+
+        for (const [name, settings] of Object.entries(rules)) {
+          const rule = RULES[name];
+          if (!rule || settings.enabled === false || !settings.weight) continue;
+
+          const { points, detail } = rule(torrent, ruleContext, settings);
+          const weighted = Math.round(points * settings.weight);
+          scoreBreakdown.push({ rule: name, points: weighted, weight: settings.weight, detail });
+        }
+
+        const days = ageInDays(torrent, now);
+        return {
+          ...torrent,
+          seeders: parseInt(torrent.seeders) || 0,
+          score: scoreBreakdown.reduce((sum, entry) => sum + entry.points, 0),
+          scoreBreakdown,
+          ageInDays: days === null ? null : Math.round(days)
+        };
+      })
+      .filter(torrent => filters.minScore === null || filters.minScore === undefined || torrent.score >= filters.minScore)
+      .sort((a, b) => b.score - a.score);
+
+    if (skippedSeeders || skippedAge || skippedQuality) {
+      console.log(`🚫 Scoring (${profileName}) skipped ${skippedSeeders} dead, ${skippedAge} too-new and ${skippedQuality} below-preference torrents`);
+    }
+
+    return scored;
+  }
+}
+
+// One-line summary of a breakdown for logs, e.g. "seeders +80, titleSimilarity +150"
+export function describeScoreBreakdown(scoreBreakdown = []) {
+  return scoreBreakdown
+    .filter(entry => entry.points !== 0)
+    .map(entry => `${entry.rule} ${entry.points > 0 ? '+' : ''}${entry.points}`)
+    .join(', ');
+}
+
+export function createTorrentScorer({ configPath } = {}) {
+  return new TorrentScorer(configPath);
+}
+
+export { RULES as SCORING_RULES };
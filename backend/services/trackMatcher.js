@@ -0,0 +1,253 @@
+// Aligns audio files in a torrent to a MusicBrainz tracklist (as returned by
+// /api/album-details). Each (track, file) pair is scored on title similarity,
+// track number, disc folder and duration (when known), then pairs are assigned
+// greedily best-first so bonus tracks and split discs don't shift the mapping.
+
+const SIGNAL_WEIGHTS = { title: 0.55, trackNumber: 0.25, disc: 0.1, duration: 0.1 };
+const MIN_CONFIDENCE = 0.35;
+const DISC_MISMATCH_PENALTY = 0.3;
+
+const DISC_FOLDER_PATTERN = /^(?:cd|disc|disk|dvd|side)\s*[-_.]?\s*(\d{1,2})\b/i;
+
+function normalizeWords(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+// Parse "CD2/03 - Title.flac", "Disc 1/1-03 Title.mp3", "Album/07. Title.flac" into disc/track/title.
+// "101 - Title.flac" is disc 1, track 01 when 101 is past the album's trackCount (the MusicBrainz
+// tracklist, or the torrent's audio file count); without a trackCount it stays track 101.
+export function parseAudioFilePath(filePath, { trackCount = null } = {}) {
+  const segments = (filePath || '').split(/[\\/]/).filter(Boolean);
+  const fileName = segments.pop() || '';
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  let disc = null;
+  for (const segment of segments) {
+    const match = segment.match(DISC_FOLDER_PATTERN) || segment.match(/\b(?:cd|disc|disk)\s*[-_.]?\s*(\d{1,2})\b/i);
+    if (match) {
+      disc = parseInt(match[1], 10);
+    }
+  }
+
+  let trackNumber = null;
+  let title = baseName;
+
+  // "1-03 Title", "1.03 - Title", "d1t03 Title"
+  const discTrack = baseName.match(/^\s*(?:d(\d{1,2})t(\d{1,3})|(\d{1,2})[-.](\d{1,3}))(?=[\s._-])/i);
+  const trackOnly = baseName.match(/^\s*(?:track\s*)?(\d{1,4})(?=[\s._-]|$)/i);
+
+  if (discTrack) {
+    disc = disc || parseInt(discTrack[1] || discTrack[3], 10);
+    trackNumber = parseInt(discTrack[2] || discTrack[4], 10);
+    title = baseName.slice(discTrack[0].length);
+  } else if (trackOnly) {
+    const number = parseInt(trackOnly[1], 10);
+    const combinedTrack = number % 100;
+    const isDiscTrack = trackOnly[1].length >= 3 && trackCount && number > trackCount &&
+      combinedTrack >= 1 && combinedTrack <= trackCount;
+
+    if (isDiscTrack) {
+      disc = disc || Math.floor(number / 100);
+      trackNumber = combinedTrack;
+      title = baseName.slice(trackOnly[0].length);
+    } else if (trackOnly[1].length <= 3) {
+      // Four digits that aren't disc + track are more likely a year ("1999 - Title") than a track
+      trackNumber = number;
+      title = baseName.slice(trackOnly[0].length);
+    }
+  }
+
+  title = title.replace(/^[\s._-]+/, '').replace(/_/g, ' ').trim();
+
+  return { disc, trackNumber, title, fileName };
+}
+
+// Token overlap between an MB title and a filename title (artist words ignored)
+function titleSimilarity(trackTitle, fileTitle, artistWords) {
+  const trackWords = normalizeWords(trackTitle);
+  const fileWords = normalizeWords(fileTitle).filter(word => !artistWords.has(word) || trackWords.includes(word));
+
+  if (trackWords.length === 0 || fileWords.length === 0) return 0;
+  if (trackWords.join(' ') === fileWords.join(' ')) return 1;
+
+  const fileSet = new Set(fileWords);
+  const trackSet = new Set(trackWords);
+  const trackCoverage = trackWords.filter(word => fileSet.has(word)).length / trackWords.length;
+  const fileCoverage = fileWords.filter(word => trackSet.has(word)).length / fileWords.length;
+
+  return 0.7 * trackCoverage + 0.3 * fileCoverage;
+}
+
+// MB lengths arrive as ms (recording.length) or "M:SS" (formatted track length)
+function trackLengthSeconds(track) {
+  if (track.recording?.length) return track.recording.length / 1000;
+  if (typeof track.length === 'number') return track.length / 1000;
+  if (typeof track.length === 'string') {
+    const [minutes, seconds] = track.length.split(':').map(Number);
+    if (!Number.isNaN(minutes) && !Number.isNaN(seconds)) return minutes * 60 + seconds;
+  }
+  return null;
+}
+
+function durationSimilarity(expectedSeconds, actualSeconds) {
+  const diff = Math.abs(expectedSeconds - actualSeconds);
+  if (diff <= 2) return 1;
+  if (diff <= 5) return 0.8;
+  if (diff <= 15) return 0.4;
+  return 0;
+}
+
+function scorePair(track, file, { artistWords, multiDisc }) {
+  const signals = {};
+  const trackDisc = track.discNumber || 1;
+
+  signals.title = titleSimilarity(track.title, file.parsed.title || file.parsed.fileName, artistWords);
+
+  if (file.parsed.trackNumber !== null) {
+    const position = parseInt(track.position, 10);
+    signals.trackNumber = file.parsed.trackNumber === position ||
+      (!file.parsed.disc && file.parsed.trackNumber === track.absolutePosition) ? 1 : 0;
+  }
+
+  if (file.parsed.disc !== null) {
+    signals.disc = file.parsed.disc === trackDisc ? 1 : 0;
+  } else if (!multiDisc) {
+    signals.disc = 1;
+  }
+
+  const expectedSeconds = trackLengthSeconds(track);
+  if (expectedSeconds && file.duration) {
+    signals.duration = durationSimilarity(expectedSeconds, file.duration);
+  }
+
+  // Weighted average over the signals we actually have
+  let total = 0;
+  let weightSum = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    total += value * SIGNAL_WEIGHTS[signal];
+    weightSum += SIGNAL_WEIGHTS[signal];
+  }
+
+  let confidence = weightSum > 0 ? total / weightSum : 0;
+  if (signals.disc === 0) {
+    confidence *= DISC_MISMATCH_PENALTY;
+  }
+
+  return { confidence, signals };
+}
+
+// tracks: [{ id, title, position, discNumber, length?, recording? }]
+// files:  [{ index, name, path, length?, duration? }] (index = position in torrent.files)
+// Returns { mapping, unmatchedFiles, matchedCount, averageConfidence }
+export function matchTracksToFiles(tracks, files, { artistName = '' } = {}) {
+  const artistWords = new Set(normalizeWords(artistName));
+  const multiDisc = new Set(tracks.map(track => track.discNumber || 1)).size > 1;
+
+  const orderedTracks = [...tracks]
+    .sort((a, b) => (a.discNumber || 1) - (b.discNumber || 1) || parseInt(a.position, 10) - parseInt(b.position, 10))
+    .map((track, index) => ({ ...track, absolutePosition: index + 1 }));
+
+  const parsedFiles = files.map(file => ({ ...file, parsed: parseAudioFilePath(file.path || file.name, { trackCount: tracks.length }) }));
+
+  // Score every pair, then assign best-first so each track and file is used once
+  const pairs = [];
+  orderedTracks.forEach((track, trackIndex) => {
+    parsedFiles.forEach((file, fileIndex) => {
+      const { confidence, signals } = scorePair(track, file, { artistWords, multiDisc });
+      if (confidence >= MIN_CONFIDENCE) {
+        pairs.push({ trackIndex, fileIndex, confidence, signals });
+      }
+    });
+  });
+  pairs.sort((a, b) => b.confidence - a.confidence);
+
+  const assignedTracks = new Map();
+  const usedFiles = new Set();
+  for (const pair of pairs) {
+    if (assignedTracks.has(pair.trackIndex) || usedFiles.has(pair.fileIndex)) continue;
+    assignedTracks.set(pair.trackIndex, pair);
+    usedFiles.add(pair.fileIndex);
+  }
+
+  const mapping = orderedTracks.map((track, trackIndex) => {
+    const pair = assignedTracks.get(trackIndex);
+    const file = pair ? parsedFiles[pair.fileIndex] : null;
+
+    return {
+      trackId: track.id,
+      title: track.title,
+      discNumber: track.discNumber || 1,
+      position: parseInt(track.position, 10),
+      fileIndex: file ? file.index : null,
+      fileName: file ? file.name : null,
+      filePath: file ? file.path : null,
+      confidence: pair ? Math.round(pair.confidence * 100) / 100 : 0,
+      signals: pair
+        ? Object.fromEntries(Object.entries(pair.signals).map(([signal, value]) => [signal, Math.round(value * 100) / 100]))
+        : null
+    };
+  });
+
+  const unmatchedFiles = parsedFiles
+    .filter((file, fileIndex) => !usedFiles.has(fileIndex))
+    .map(file => ({
+      fileIndex: file.index,
+      fileName: file.name,
+      filePath: file.path,
+      disc: file.parsed.disc,
+      trackNumber: file.parsed.trackNumber
+    }));
+
+  const matched = mapping.filter(entry => entry.fileIndex !== null);
+  return {
+    mapping,
+    unmatchedFiles,
+    matchedCount: matched.length,
+    averageConfidence: matched.length > 0
+      ? Math.round(matched.reduce((sum, entry) => sum + entry.confidence, 0) / matched.length * 100) / 100
+      : 0
+  };
+}
+
+// Find the mapping entry for one MB track (by id, or by disc + position)
+export function findTrackMatch(match, { trackId, discNumber, position }) {
+  return match.mapping.find(entry =>
+    (trackId && entry.trackId === trackId) ||
+    (!trackId && position && entry.position === parseInt(position, 10) && entry.discNumber === (parseInt(discNumber, 10) || 1))
+  ) || null;
+}
+
+// Sort order for audio files: disc, then track number, then path ("CD1/10" after "CD1/02", before "CD2/01")
+export function compareAudioFiles(a, b) {
+  const parsedA = parseAudioFilePath(a.path || a.name);
+  const parsedB = parseAudioFilePath(b.path || b.name);
+
+  return (parsedA.disc || 1) - (parsedB.disc || 1) ||
+    (parsedA.trackNumber ?? Infinity) - (parsedB.trackNumber ?? Infinity) ||
+    (a.path || a.name).localeCompare(b.path || b.name, undefined, { numeric: true });
+}
+
+// Find the file for a disc/position pair (as emitted per track by /api/album-details).
+// Uses parsed track numbers first, then the position within the disc's sorted files.
+export function findFileByDiscPosition(files, discNumber, position) {
+  const disc = parseInt(discNumber, 10) || 1;
+  const trackNumber = parseInt(position, 10);
+  if (!trackNumber) return null;
+
+  const parse = file => parseAudioFilePath(file.path || file.name, { trackCount: files.length });
+  const discFiles = files
+    .filter(file => (parse(file).disc || 1) === disc)
+    .sort(compareAudioFiles);
+
+  return discFiles.find(file => parse(file).trackNumber === trackNumber) ||
+    discFiles[trackNumber - 1] ||
+    null;
+}
@@ -0,0 +1,167 @@
+import { spawn } from 'child_process';
+
+// Server-side transcoding for files the browser can't play natively (WMA,
+// ALAC in .m4a, high-res FLAC). A local ffmpeg process reads the file's
+// /api/stream URL; seeking restarts ffmpeg at a time offset, and since that URL
+// takes byte ranges, ffmpeg jumps close to it instead of reading from byte 0.
+
+export const TRANSCODE_FORMATS = {
+  opus: {
+    mimeType: 'audio/ogg',
+    defaultBitrate: 128,
+    args: (bitrate) => ['-c:a', 'libopus', '-b:a', `${bitrate}k`, '-f', 'ogg']
+  },
+  mp3: {
+    mimeType: 'audio/mpeg',
+    defaultBitrate: 192,
+    args: (bitrate) => ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`, '-f', 'mp3']
+  }
+};
+
+const MIN_BITRATE = 32;
+const MAX_BITRATE = 320;
+const STDERR_TAIL_BYTES = 2048;
+
+// Codec names shared with the client's supportedFormats list
+const EXTENSION_CODECS = {
+  mp3: 'mp3',
+  flac: 'flac',
+  wav: 'wav',
+  m4a: 'aac',
+  mp4: 'aac',
+  aac: 'aac',
+  ogg: 'ogg',
+  opus: 'opus',
+  wma: 'wma'
+};
+
+export class TranscodeError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'TranscodeError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Native codec of a file: from embedded tags when read (ALAC vs AAC in .m4a), else the extension
+export function detectSourceCodec(fileName, metadata = null) {
+  if (metadata?.codec) return metadata.codec;
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  return EXTENSION_CODECS[extension] || extension || null;
+}
+
+// Whether a client can play a file as-is.
+// capabilities: { formats: ['mp3', 'flac', 'aac', ...], maxSampleRate?: 48000 } — no formats means "can play anything"
+export function checkPlayback(fileName, metadata, { formats, maxSampleRate } = {}) {
+  const codec = detectSourceCodec(fileName, metadata);
+
+  if (!Array.isArray(formats) || formats.length === 0) {
+    return { playable: true, codec, reason: null };
+  }
+  if (!formats.map(format => String(format).toLowerCase()).includes(codec)) {
+    return { playable: false, codec, reason: `${codec} not supported by client` };
+  }
+  if (maxSampleRate && metadata?.sampleRate > maxSampleRate) {
+    return { playable: false, codec, reason: `${metadata.sampleRate}Hz above client maximum ${maxSampleRate}Hz` };
+  }
+  return { playable: true, codec, reason: null };
+}
+
+// Whether checkPlayback needs embedded tags to decide (.m4a may hold ALAC, FLAC may be hi-res)
+export function playbackNeedsTags(fileName, { formats, maxSampleRate } = {}) {
+  if (!Array.isArray(formats) || formats.length === 0) return false;
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  if (['m4a', 'mp4'].includes(extension)) return !formats.includes('alac');
+  return extension === 'flac' && Boolean(maxSampleRate);
+}
+
+// Validate ?format=&bitrate=&start= query values
+export function parseTranscodeOptions({ format = 'opus', bitrate, start } = {}) {
+  const profile = TRANSCODE_FORMATS[String(format).toLowerCase()];
+  if (!profile) {
+    throw new TranscodeError(`Unsupported transcode format: ${format} (use ${Object.keys(TRANSCODE_FORMATS).join(' or ')})`, 400);
+  }
+
+  const requestedBitrate = bitrate === undefined ? profile.defaultBitrate : parseInt(bitrate, 10);
+  if (Number.isNaN(requestedBitrate) || requestedBitrate < MIN_BITRATE || requestedBitrate > MAX_BITRATE) {
+    throw new TranscodeError(`Bitrate must be between ${MIN_BITRATE} and ${MAX_BITRATE} kbps`, 400);
+  }
+
+  const startSeconds = start === undefined ? 0 : parseFloat(start);
+  if (Number.isNaN(startSeconds) || startSeconds < 0) {
+    throw new TranscodeError('start must be a non-negative number of seconds', 400);
+  }
+
+  return { format: String(format).toLowerCase(), bitrate: requestedBitrate, startSeconds };
+}
+
+export function createTranscoder({ ffmpegPath = 'ffmpeg', maxProcesses = 2 } = {}) {
+  let running = 0;
+  let availability = null;
+
+  // Probe `ffmpeg -version` once; resolves true/false
+  function isAvailable() {
+    if (!availability) {
+      availability = new Promise(resolve => {
+        const probe = spawn(ffmpegPath, ['-version'], { stdio: 'ignore' });
+        probe.once('error', () => resolve(false));
+        probe.once('close', code => resolve(code === 0));
+      });
+    }
+    return availability;
+  }
+
+  // Transcode the file at inputUrl. Returns { output, mimeType, stop, done } where done
+  // resolves with { code, stderr } once ffmpeg exits.
+  function transcode(inputUrl, { format, bitrate, startSeconds }) {
+    if (running >= maxProcesses) {
+      throw new TranscodeError(`Too many transcodes running (${running}/${maxProcesses})`, 503);
+    }
+
+    const profile = TRANSCODE_FORMATS[format];
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      ...(startSeconds > 0 ? ['-ss', String(startSeconds)] : []),
+      '-i', inputUrl,
+      '-vn', '-map', '0:a:0',
+      ...profile.args(bitrate),
+      'pipe:1'
+    ];
+
+    const ffmpeg = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    running++;
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-STDERR_TAIL_BYTES);
+    });
+
+    const done = new Promise(resolve => {
+      let released = false;
+      const finish = (code) => {
+        if (released) return;
+        released = true;
+        running--;
+        resolve({ code, stderr });
+      };
+      ffmpeg.once('error', error => {
+        stderr += error.message;
+        finish(-1);
+      });
+      ffmpeg.once('close', finish);
+    });
+
+    return {
+      output: ffmpeg.stdout,
+      mimeType: profile.mimeType,
+      stop: () => ffmpeg.kill('SIGKILL'),
+      done
+    };
+  }
+
+  function stats() {
+    return { running, maxProcesses };
+  }
+
+  return { isAvailable, transcode, stats };
+}
@@ -0,0 +1,161 @@
+// Bounded work queue for background work (Prowlarr searches, magnet resolution,
+// WebTorrent adds, async jobs). Each lane has its own concurrency cap; queued
+// tasks run highest priority first (FIFO within a priority) and can be
+// cancelled by the job ID they belong to.
+
+export const PRIORITY = {
+  USER: 10, // User-initiated (clicked track, stream request)
+  BACKGROUND: 0 // Pre-loading and other speculative work
+};
+
+export class JobCancelledError extends Error {
+  constructor(message = 'Job cancelled') {
+    super(message);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Throw if the task/job owning this signal has been cancelled
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new JobCancelledError();
+  }
+}
+
+export function isCancelledError(error) {
+  return error?.name === 'JobCancelledError' || error?.name === 'CanceledError';
+}
+
+let taskCounter = 0;
+
+class WorkQueue {
+  constructor(laneConcurrency) {
+    this.lanes = new Map();
+    for (const [name, concurrency] of Object.entries(laneConcurrency)) {
+      this.lanes.set(name, { name, concurrency, running: new Set(), queued: [] });
+    }
+  }
+
+  // Queue fn in a lane; fn receives { signal } and may be aborted on cancel
+  run(laneName, fn, { priority = PRIORITY.USER, jobId = null, label = laneName } = {}) {
+    const lane = this.lanes.get(laneName);
+    if (!lane) {
+      return Promise.reject(new Error(`Unknown work queue lane: ${laneName}`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: `task_${++taskCounter}`,
+        lane: laneName,
+        label,
+        jobId,
+        priority,
+        fn,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        queuedAt: new Date().toISOString(),
+        startedAt: null
+      };
+
+      // Keep the queue sorted by priority, FIFO within the same priority
+      const insertAt = lane.queued.findIndex(queued => queued.priority < priority);
+      if (insertAt === -1) {
+        lane.queued.push(task);
+      } else {
+        lane.queued.splice(insertAt, 0, task);
+      }
+
+      this.drain(lane);
+    });
+  }
+
+  drain(lane) {
+    while (lane.running.size < lane.concurrency && lane.queued.length > 0) {
+      const task = lane.queued.shift();
+      task.startedAt = new Date().toISOString();
+      lane.running.add(task);
+
+      Promise.resolve()
+        .then(() => task.fn({ signal: task.controller.signal }))
+        .then(task.resolve, task.reject)
+        .finally(() => {
+          lane.running.delete(task);
+          this.drain(lane);
+        });
+    }
+  }
+
+  // Cancel all queued and running tasks belonging to a job; returns the number affected
+  cancel(jobId) {
+    let cancelled = 0;
+
+    for (const lane of this.lanes.values()) {
+      lane.queued = lane.queued.filter(task => {
+        if (task.jobId !== jobId) return true;
+        task.reject(new JobCancelledError());
+        cancelled++;
+        return false;
+      });
+
+      for (const task of lane.running) {
+        if (task.jobId === jobId && !task.controller.signal.aborted) {
+          task.controller.abort(new JobCancelledError());
+          cancelled++;
+        }
+      }
+    }
+
+    return cancelled;
+  }
+
+  // Whether any queued/running task belongs to this job
+  hasJob(jobId) {
+    return this.list().some(task => task.jobId === jobId);
+  }
+
+  // Snapshot of queued and running tasks
+  list() {
+    const tasks = [];
+    for (const lane of this.lanes.values()) {
+      for (const task of lane.running) {
+        tasks.push(describeTask(task, 'running'));
+      }
+      for (const task of lane.queued) {
+        tasks.push(describeTask(task, 'queued'));
+      }
+    }
+    return tasks;
+  }
+
+  // Per-lane counters
+  stats() {
+    const lanes = {};
+    for (const lane of this.lanes.values()) {
+      lanes[lane.name] = {
+        concurrency: lane.concurrency,
+        running: lane.running.size,
+        queued: lane.queued.length
+      };
+    }
+    return lanes;
+  }
+}
+
+function describeTask(task, state) {
+  return {
+    id: task.id,
+    lane: task.lane,
+    label: task.label,
+    jobId: task.jobId,
+    priority: task.priority,
+    state,
+    cancelling: task.controller.signal.aborted,
+    queuedAt: task.queuedAt,
+    startedAt: task.startedAt
+  };
+}
+
+export function createWorkQueue(laneConcurrency) {
+  return new WorkQueue(laneConcurrency);
+}
@@ -2,9 +2,27 @@
 import { useState } from 'react';
 import { AudioProvider, useAudio } from './contexts/AudioContext';
 import AudioPlayer from './components/AudioPlayer';
-import torrentAudioService from './services/TorrentAudioService';
+import torrentAudioService, { QUALITY_PRESETS } from './services/TorrentAudioService';
 import './App.css';
 
+// Edition picker label: "1999-03-01 · US · 2×12" Vinyl · 11 tracks · Label · barcode"
+function formatEditionLabel(edition) {
+  const format = edition.formats?.length
+    ? `${edition.discCount > 1 ? `${edition.discCount}×` : ''}${edition.formats.join(' + ')}`
+    : null;
+
+  return [
+    edition.date || 'Unknown date',
+    edition.country,
+    format,
+    edition.trackCount ? `${edition.trackCount} tracks` : null,
+    edition.labels?.[0],
+    edition.barcode,
+    edition.status && edition.status !== 'Official' ? edition.status : null,
+    edition.disambiguation
+  ].filter(Boolean).join(' · ');
+}
+
 function App() {
   return (
     <AudioProvider>
@@ -15,10 +33,10 @@ function App() {
 }
 
 function AppContent() {
-  const { playTrack } = useAudio();
+  const { playTrack, addTracksToQueue, playNext } = useAudio();
   
   // Play audio from torrent
-  const playTorrentAudio = async (torrent, item, expectedFileCount = null, trackName = null) => {
+  const playTorrentAudio = async (torrent, item, expectedFileCount = null, trackName = null, trackTarget = null) => {
     try {
       console.log('🏴‍☠️ Playing torrent:', torrent.title);
       console.log('🔍 Torrent object:', torrent); // Debug log to see the structure
@@ -184,7 +202,9 @@ function AppContent() {
       const audioUrl = await torrentAudioService.getAudioStreamUrl(
         resolvedMagnetLink, // Use the resolved magnet link instead of the original URL
         trackName || item.title || item.name, // Use specific track name if provided
-        expectedFileCount
+        expectedFileCount,
+        false,
+        trackTarget // MusicBrainz tracklist context for album torrents
       );
       
       if (audioUrl) {
@@ -233,6 +253,41 @@ function AppContent() {
     }
   };
 
+  // Queue entry for an album track. It streams from the album's best pre-loaded torrent once it
+  // comes up (the player requests it by disc + position); null while no torrent has been found.
+  const buildAlbumQueueTrack = (track, index) => {
+    const torrent = selectedAlbum?.torrents?.[0];
+    const magnetLink = torrent && (torrent.magnetUrl || torrent.url || torrent.magnet || torrent.downloadUrl || torrent.link);
+    if (!magnetLink) return null;
+
+    return {
+      id: track.id,
+      title: track.title,
+      artist: selectedArtist?.name,
+      album: selectedAlbum?.title,
+      albumMagnetLink: magnetLink,
+      isAlbumTrack: true,
+      trackIndex: index + 1,
+      discNumber: track.discNumber,
+      trackNumber: track.position,
+      totalTracks: albumDetails?.tracks?.length,
+      audioUrl: null
+    };
+  };
+
+  // MusicBrainz tracklist context so the backend can align album torrent files to tracks
+  const buildAlbumTrackTarget = (track) => {
+    if (!albumDetails?.tracks?.length || !track?.id) return null;
+    return {
+      trackId: track.id,
+      recordingId: track.recording?.id,
+      discNumber: track.discNumber,
+      position: track.position,
+      artistName: selectedArtist?.name,
+      albumTracks: albumDetails.tracks.map(({ id, title, position, discNumber, length }) => ({ id, title, position, discNumber, length }))
+    };
+  };
+
   // Play track from album (use pre-loaded torrents if available, otherwise find best torrent)
   const playTrackFromAlbum = async (track) => {
     console.log('🎵 Playing track from album:', track.title);
@@ -247,6 +302,18 @@ function AppContent() {
       // Check if we have pre-loaded torrents for this album
       const preLoadedTorrents = selectedAlbum?.torrents;
       
+      // Create track object for the audio player
+      const trackSearchItem = {
+        id: trackId,
+        title: track.title,
+        artist: selectedArtist?.name,
+        albumArtist: selectedArtist?.name,
+        album: selectedAlbum?.title
+      };
+      
+      // Determine expected file count (album track count for album torrents)
+      const expectedFileCount = albumDetails?.tracks?.length || selectedAlbum?.trackCount || null;
+      
       if (preLoadedTorrents && preLoadedTorrents.length > 0) {
         console.log('🚀 Using pre-loaded album torrents:', preLoadedTorrents.length);
         
@@ -255,24 +322,12 @@ function AppContent() {
         console.log('✅ Using pre-loaded best torrent:', bestTorrent.title);
         console.log('� Score:', bestTorrent.score, 'Seeders:', bestTorrent.seeders);
         
-        // Create track object for the audio player
-        const trackSearchItem = {
-          id: trackId,
-          title: track.title,
-          artist: selectedArtist?.name,
-          albumArtist: selectedArtist?.name,
-          album: selectedAlbum?.title
-        };
-        
         // For album torrents, pass the track title as fileName to help select the right track
         console.log(`🎯 Playing track "${track.title}" from album torrent`);
-        
-        // Determine expected file count (album track count for album torrents)
-        const expectedFileCount = albumDetails?.tracks?.length || selectedAlbum?.trackCount || null;
         console.log('🎯 Expected file count for album torrent:', expectedFileCount);
         
         // Pass track title as fileName to help backend select the right track
-        await playTorrentAudio(bestTorrent, trackSearchItem, expectedFileCount, track.title);
+        await playTorrentAudio(bestTorrent, trackSearchItem, expectedFileCount, track.title, buildAlbumTrackTarget(track));
         
         // Store all pre-loaded torrents for display
         setTorrents(prev => ({ ...prev, [trackId]: preLoadedTorrents }));
@@ -297,6 +352,7 @@ function AppContent() {
             trackTitle: track.title,
             artistName: selectedArtist?.name,
             albumTitle: selectedAlbum?.title,
+            qualityPreference: torrentAudioService.getQualityPreference(),
             async: true, // Enable async mode
             debug: {
               originalTrackId: track.id,
@@ -319,15 +375,15 @@ function AppContent() {
           // Show progress indicator and poll for results
           setTorrents(prev => ({ ...prev, [trackId]: 'searching' }));
           
-          // Poll for results
-          pollForTorrentSearchResults(data.jobId, trackId, track, trackSearchItem, expectedFileCount);
+          // Wait for pushed results
+          waitForTorrentSearchResults(data.jobId, trackId, track, trackSearchItem, expectedFileCount);
           
         } else {
           // Fallback to synchronous response
           if (data.success && data.bestTorrent) {
             console.log('✅ Found best torrent:', data.bestTorrent.title);
             
-            await playTorrentAudio(data.bestTorrent, trackSearchItem, expectedFileCount);
+            await playTorrentAudio(data.bestTorrent, trackSearchItem, expectedFileCount, null, buildAlbumTrackTarget(track));
             const allTorrents = [data.bestTorrent, ...(data.alternativeTorrents || [])];
             setTorrents(prev => ({ ...prev, [trackId]: allTorrents }));
           } else {
@@ -371,18 +427,50 @@ function AppContent() {
   const [loadingImages, setLoadingImages] = useState({});
   
   // Artist page state
-  const [currentView, setCurrentView] = useState('search'); // 'search', 'artist', or 'album'
+  const [currentView, setCurrentView] = useState('search'); // 'search', 'artist', 'album' or 'recording'
   const [selectedArtist, setSelectedArtist] = useState(null);
   const [artistDetails, setArtistDetails] = useState(null);
   const [loadingArtistDetails, setLoadingArtistDetails] = useState(false);
+  const [relatedArtists, setRelatedArtists] = useState(null); // { artistId, artists }
   const [previousSearchState, setPreviousSearchState] = useState(null);
   
   // Album page state
   const [selectedAlbum, setSelectedAlbum] = useState(null);
   const [albumDetails, setAlbumDetails] = useState(null);
   const [loadingAlbumDetails, setLoadingAlbumDetails] = useState(false);
+  const [albumEditions, setAlbumEditions] = useState([]);
   const [previousArtistState, setPreviousArtistState] = useState(null);
 
+  // Recording page state
+  const [selectedRecording, setSelectedRecording] = useState(null);
+  const [recordingDetails, setRecordingDetails] = useState(null);
+  const [loadingRecordingDetails, setLoadingRecordingDetails] = useState(false);
+  const [recordingReturnView, setRecordingReturnView] = useState('search');
+
+  // Audio quality preference (sent with torrent searches and artist pre-loading)
+  const [qualitySettings, setQualitySettings] = useState(() => torrentAudioService.getQualitySettings());
+
+  const updateQualitySettings = (changes) => {
+    const next = { ...qualitySettings, ...changes };
+    torrentAudioService.setQualitySettings(next);
+    setQualitySettings(next);
+  };
+
+  // HLS streaming opt-in (asks the backend for HLS playlists for tracks started from now on)
+  const [hlsStreaming, setHlsStreaming] = useState(() => torrentAudioService.getHlsStreaming());
+  const updateHlsStreaming = (enabled) => {
+    torrentAudioService.setHlsStreaming(enabled);
+    setHlsStreaming(enabled);
+  };
+
+  // Short label for parsed torrent quality, e.g. "FLAC 24/96 WEB" or "MP3 320kbps"
+  const formatAudioQuality = (quality) => [
+    quality.codec,
+    (quality.bitDepth || quality.sampleRate) && `${quality.bitDepth || '?'}/${quality.sampleRate || '?'}`,
+    quality.vbrPreset && quality.vbrPreset !== 'VBR' ? quality.vbrPreset : quality.bitrate && `${quality.bitrate}kbps`,
+    quality.source
+  ].filter(Boolean).join(' ');
+
   const getApiBaseUrl = () => {
     return window.location.hostname === 'localhost' 
       ? 'http://localhost:3001' 
@@ -448,19 +536,25 @@ function AppContent() {
     setSelectedArtist(artist);
     setCurrentView('artist');
     setLoadingArtistDetails(true);
+    setRelatedArtists(null);
     
     try {
       // Fetch detailed artist information
       const response = await fetch(`${getApiBaseUrl()}/api/artist-details`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ artistId: artist.id, artistName: artist.name })
+        body: JSON.stringify({
+          artistId: artist.id,
+          artistName: artist.name,
+          qualityPreference: torrentAudioService.getQualityPreference()
+        })
       });
       
       if (!response.ok) throw new Error('Failed to fetch artist details');
       const data = await response.json();
       
       setArtistDetails(data);
+      loadRelatedArtists(artist.id);
       
       // If torrent pre-loading is in progress, check for pre-loaded torrents periodically
       if (data.torrentPreloadingInProgress) {
@@ -475,6 +569,20 @@ function AppContent() {
     }
   };
 
+  // Related artists rail: loaded separately, as it may take a few more MusicBrainz lookups.
+  // Keyed by artist so a slow answer for the previous artist isn't shown on the next one.
+  const loadRelatedArtists = async (artistId) => {
+    try {
+      const response = await fetch(`${getApiBaseUrl()}/api/related-artists/${artistId}`);
+      if (!response.ok) throw new Error('Failed to fetch related artists');
+      const data = await response.json();
+      setRelatedArtists({ artistId, artists: data.related || [] });
+    } catch (err) {
+      console.error('Error fetching related artists:', err);
+      setRelatedArtists({ artistId, artists: [] });
+    }
+  };
+
   // Check for pre-loaded torrents periodically
   const checkForPreloadedTorrents = async (artistId) => {
     let attempts = 0;
@@ -501,7 +609,8 @@ function AppContent() {
           
           // Update artist details with pre-loaded torrents
           setArtistDetails(prev => {
-            if (!prev) return prev;
+            // The user may have moved on to another artist's page meanwhile
+            if (!prev || prev.id !== artistId) return prev;
             
             return {
               ...prev,
@@ -523,7 +632,7 @@ function AppContent() {
           
           // Update to indicate pre-loading is no longer in progress
           setArtistDetails(prev => {
-            if (!prev) return prev;
+            if (!prev || prev.id !== artistId) return prev;
             return {
               ...prev,
               torrentPreloadingInProgress: false,
@@ -537,7 +646,7 @@ function AppContent() {
         if (attempts >= maxAttempts) {
           clearInterval(checkInterval);
           setArtistDetails(prev => {
-            if (!prev) return prev;
+            if (!prev || prev.id !== artistId) return prev;
             return {
               ...prev,
               torrentPreloadingInProgress: false,
@@ -549,81 +658,47 @@ function AppContent() {
     }, 10000); // Check every 10 seconds
   };
 
-  // Poll for async torrent search results
-  const pollForTorrentSearchResults = async (jobId, trackId, track, trackSearchItem, expectedFileCount) => {
-    let attempts = 0;
-    const maxAttempts = 18; // Check for 3 minutes (every 10 seconds)
-    
-    const checkInterval = setInterval(async () => {
-      attempts++;
-      
-      try {
-        console.log(`🔍 Checking torrent search job ${jobId} (attempt ${attempts}/${maxAttempts})...`);
-        
-        const response = await fetch(`${getApiBaseUrl()}/api/job-status/${jobId}`);
-        
-        if (!response.ok) {
-          console.warn('Failed to check job status');
-          return;
-        }
-        
-        const jobData = await response.json();
-        
-        if (jobData.status === 'completed' && jobData.result) {
-          console.log('✅ Async torrent search completed!');
-          clearInterval(checkInterval);
-          
-          const result = jobData.result;
-          
-          if (result.success && result.bestTorrent) {
-            console.log('🏆 Found best torrent:', result.bestTorrent.title);
-            console.log('🏆 Score:', result.bestTorrent.score, 'Seeders:', result.bestTorrent.seeders);
-            
-            // Play the torrent
-            await playTorrentAudio(result.bestTorrent, trackSearchItem, expectedFileCount, track.title);
-            
-            // Store all torrents for display
-            const allTorrents = [result.bestTorrent, ...(result.alternativeTorrents || [])];
-            setTorrents(prev => ({ ...prev, [trackId]: allTorrents }));
-          } else {
-            console.log('❌ No suitable torrent found');
-            alert(`No suitable torrents found for "${track.title}".\n\nReason: ${result.message || 'Unknown error'}`);
-            setTorrents(prev => ({ ...prev, [trackId]: [] }));
-          }
-          
-          setLoadingTorrents(prev => ({ ...prev, [trackId]: false }));
-          
-        } else if (jobData.status === 'failed') {
-          console.error('❌ Async torrent search failed:', jobData.error);
-          clearInterval(checkInterval);
-          
-          alert(`Torrent search failed for "${track.title}": ${jobData.error}`);
-          setTorrents(prev => ({ ...prev, [trackId]: [] }));
-          setLoadingTorrents(prev => ({ ...prev, [trackId]: false }));
-          
-        } else if (attempts >= maxAttempts) {
-          console.log('⏰ Stopped checking for torrent search results after maximum attempts');
-          clearInterval(checkInterval);
-          
-          alert(`Torrent search for "${track.title}" is taking too long. Please try again.`);
-          setTorrents(prev => ({ ...prev, [trackId]: [] }));
-          setLoadingTorrents(prev => ({ ...prev, [trackId]: false }));
-        } else {
-          // Update progress if available
-          if (jobData.progress) {
-            console.log(`📊 Torrent search progress: ${jobData.progress}%`);
+  // Wait for async torrent search results (pushed over the job channel, polling as fallback)
+  const waitForTorrentSearchResults = async (jobId, trackId, track, trackSearchItem, expectedFileCount) => {
+    try {
+      const jobData = await torrentAudioService.waitForJob(jobId, {
+        onProgress: (job) => {
+          if (job.progress) {
+            console.log(`📊 Torrent search progress: ${job.progress}%`);
           }
         }
-      } catch (error) {
-        console.error('Error checking torrent search job:', error);
-        
-        if (attempts >= maxAttempts) {
-          clearInterval(checkInterval);
-          setTorrents(prev => ({ ...prev, [trackId]: [] }));
-          setLoadingTorrents(prev => ({ ...prev, [trackId]: false }));
-        }
+      });
+
+      console.log('✅ Async torrent search completed!');
+      const result = jobData.result;
+
+      if (result?.success && result.bestTorrent) {
+        console.log('🏆 Found best torrent:', result.bestTorrent.title);
+        console.log('🏆 Score:', result.bestTorrent.score, 'Seeders:', result.bestTorrent.seeders);
+
+        // Play the torrent
+        await playTorrentAudio(result.bestTorrent, trackSearchItem, expectedFileCount, track.title, buildAlbumTrackTarget(track));
+
+        // Store all torrents for display
+        const allTorrents = [result.bestTorrent, ...(result.alternativeTorrents || [])];
+        setTorrents(prev => ({ ...prev, [trackId]: allTorrents }));
+      } else {
+        console.log('❌ No suitable torrent found');
+        alert(`No suitable torrents found for "${track.title}".\n\nReason: ${result?.message || 'Unknown error'}`);
+        setTorrents(prev => ({ ...prev, [trackId]: [] }));
       }
-    }, 10000); // Check every 10 seconds
+    } catch (error) {
+      console.error('❌ Async torrent search failed:', error);
+
+      if (error.message === 'Job timed out') {
+        alert(`Torrent search for "${track.title}" is taking too long. Please try again.`);
+      } else {
+        alert(`Torrent search failed for "${track.title}": ${error.message}`);
+      }
+      setTorrents(prev => ({ ...prev, [trackId]: [] }));
+    } finally {
+      setLoadingTorrents(prev => ({ ...prev, [trackId]: false }));
+    }
   };
 
   // Go back to search results
@@ -631,6 +706,7 @@ function AppContent() {
     setCurrentView('search');
     setSelectedArtist(null);
     setArtistDetails(null);
+    setRelatedArtists(null);
     
     // Restore previous search state
     if (previousSearchState) {
@@ -645,32 +721,43 @@ function AppContent() {
   const viewAlbumDetails = async (album, artist) => {
     console.log('Viewing album details for:', album);
     
-    // Save current artist state
+    // Save current artist state (and the page to return to: the artist page, or a recording page)
     setPreviousArtistState({
       selectedArtist,
-      artistDetails
+      artistDetails,
+      view: currentView
     });
     
     setSelectedAlbum(album);
+    setAlbumEditions(album.editions || []);
     setCurrentView('album');
     setLoadingAlbumDetails(true);
     
     try {
-      // Fetch detailed album information
-      const response = await fetch(`${getApiBaseUrl()}/api/album-details`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          albumId: album.id, 
-          albumTitle: album.title,
-          artistName: artist?.name || selectedArtist?.name 
-        })
-      });
-      
-      if (!response.ok) throw new Error('Failed to fetch album details');
-      const data = await response.json();
-      
+      let albumId = album.id;
+
+      // Release groups listed without editions (past the artist browse's page limit): open the default edition
+      if (!albumId && album.releaseGroupId) {
+        const [defaultEdition] = await loadAlbumEditions(album.releaseGroupId);
+        if (!defaultEdition) throw new Error('No editions found for this release group');
+        albumId = defaultEdition.id;
+        setSelectedAlbum(prev => ({
+          ...prev,
+          id: defaultEdition.id,
+          trackCount: defaultEdition.trackCount,
+          country: defaultEdition.country,
+          barcode: defaultEdition.barcode,
+          status: defaultEdition.status
+        }));
+      }
+
+      const data = await fetchAlbumDetails(albumId, album.title, artist?.name || selectedArtist?.name);
       setAlbumDetails(data);
+
+      // Albums opened from elsewhere than the artist page don't carry their editions
+      if (!album.editions && album.id && data.releaseGroupId) {
+        loadAlbumEditions(data.releaseGroupId);
+      }
     } catch (err) {
       console.error('Error fetching album details:', err);
       setError('Failed to load album details');
@@ -679,11 +766,65 @@ function AppContent() {
     }
   };
 
+  // Fetch detailed album information (tracklist, cover art, labels) of one release
+  const fetchAlbumDetails = async (albumId, albumTitle, artistName) => {
+    const response = await fetch(`${getApiBaseUrl()}/api/album-details`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ albumId, albumTitle, artistName })
+    });
+    
+    if (!response.ok) throw new Error('Failed to fetch album details');
+    return response.json();
+  };
+
+  // Editions of a release group for the edition picker, default edition first ([] on failure)
+  const loadAlbumEditions = async (releaseGroupId) => {
+    try {
+      const response = await fetch(`${getApiBaseUrl()}/api/release-groups/${releaseGroupId}/editions`);
+      if (!response.ok) throw new Error('Failed to fetch editions');
+      const data = await response.json();
+      setAlbumEditions(data.editions || []);
+      return data.editions || [];
+    } catch (err) {
+      console.warn('Could not load album editions:', err);
+      return [];
+    }
+  };
+
+  // Switch the album page to another edition; its tracklist then drives the expected file
+  // count and the track-to-file matching of album torrents
+  const selectAlbumEdition = async (editionId) => {
+    const edition = albumEditions.find(candidate => candidate.id === editionId);
+    if (!edition || edition.id === selectedAlbum?.id) return;
+
+    console.log('💿 Switching to edition:', formatEditionLabel(edition));
+    setSelectedAlbum(prev => ({
+      ...prev,
+      id: edition.id,
+      trackCount: edition.trackCount,
+      country: edition.country,
+      barcode: edition.barcode,
+      status: edition.status
+    }));
+    setLoadingAlbumDetails(true);
+
+    try {
+      setAlbumDetails(await fetchAlbumDetails(edition.id, selectedAlbum.title, selectedArtist?.name));
+    } catch (err) {
+      console.error('Error fetching edition details:', err);
+      setError('Failed to load edition details');
+    } finally {
+      setLoadingAlbumDetails(false);
+    }
+  };
+
   // Go back to artist page
   const goBackToArtist = () => {
-    setCurrentView('artist');
+    setCurrentView(previousArtistState?.view === 'recording' ? 'recording' : 'artist');
     setSelectedAlbum(null);
     setAlbumDetails(null);
+    setAlbumEditions([]);
     
     // Restore previous artist state
     if (previousArtistState) {
@@ -692,6 +833,51 @@ function AppContent() {
     }
   };
 
+  // Navigate to recording page (from a song in the search results or an album track)
+  const viewRecordingDetails = async (recording) => {
+    console.log('Viewing recording details for:', recording);
+
+    setRecordingReturnView(currentView);
+    setSelectedRecording(recording);
+    setRecordingDetails(null);
+    setCurrentView('recording');
+    setLoadingRecordingDetails(true);
+
+    try {
+      const response = await fetch(`${getApiBaseUrl()}/api/recording-details`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ recordingId: recording.id })
+      });
+
+      if (!response.ok) throw new Error('Failed to fetch recording details');
+      const data = await response.json();
+
+      setRecordingDetails(data);
+    } catch (err) {
+      console.error('Error fetching recording details:', err);
+      setError('Failed to load recording details');
+    } finally {
+      setLoadingRecordingDetails(false);
+    }
+  };
+
+  // Go back to wherever the recording was opened from
+  const goBackFromRecording = () => {
+    setCurrentView(recordingReturnView);
+    setSelectedRecording(null);
+    setRecordingDetails(null);
+  };
+
+  // Open a release the recording appears on, credited to the recording's first artist
+  const viewRecordingAppearance = (appearance) => {
+    const credit = recordingDetails?.artistCredit?.find(artist => artist.id);
+    const artist = credit ? { id: credit.id, name: credit.name } : selectedArtist;
+
+    setSelectedArtist(artist);
+    viewAlbumDetails({ id: appearance.releaseId, title: appearance.title, date: appearance.date }, artist);
+  };
+
   // Handle track click (for future implementation)
   const handleTrackClick = (track) => {
     console.log('Track clicked:', track);
@@ -953,6 +1139,21 @@ function AppContent() {
                 by {item['artist-credit']?.[0]?.name || 'Unknown Artist'}
                 {item.length && ` • ${Math.round(item.length / 1000)}s`}
               </div>
+              <button
+                onClick={() => viewRecordingDetails(item)}
+                style={{
+                  background: 'none',
+                  border: '1px solid #646cff',
+                  color: '#646cff',
+                  padding: '4px 10px',
+                  borderRadius: 4,
+                  cursor: 'pointer',
+                  fontSize: 'clamp(10px, 2.5vw, 12px)',
+                  marginBottom: 8
+                }}
+              >
+                ℹ️ Credits &amp; appearances
+              </button>
             </>
           )}
           
@@ -1054,6 +1255,9 @@ function AppContent() {
                         <div><strong>Seeders:</strong> {torrent.seeders}</div>
                         <div><strong>Leechers:</strong> {torrent.leechers}</div>
                         <div><strong>Indexer:</strong> {torrent.indexer}</div>
+                        {torrent.quality?.codec && (
+                          <div><strong>Quality:</strong> {formatAudioQuality(torrent.quality)}</div>
+                        )}
                       </div>
                       
                       {/* URL Debug Section */}
@@ -1319,6 +1523,7 @@ function AppContent() {
                     margin: '4px 0 0 0'
                   }}>
                     {release.trackCount} tracks
+                    {release.editionCount > 1 && ` • ${release.editionCount} editions`}
                   </p>
                 )}
                 <div style={{
@@ -1342,6 +1547,88 @@ function AppContent() {
     );
   };
 
+  // Chips for members / groups / collaborations that open the related artist's page
+  const renderRelationshipSection = (entries, title, emoji) => {
+    if (!entries || entries.length === 0) return null;
+
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        <h3 style={{ fontSize: '16px', color: '#ccc', margin: '0 0 10px 0' }}>
+          {emoji} {title} ({entries.length})
+        </h3>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+          {entries.map(({ artist, roles, periods, current }) => (
+            <div
+              key={artist.id}
+              onClick={() => viewArtistDetails({ id: artist.id, name: artist.name, type: artist.type })}
+              title={artist.disambiguation || artist.name}
+              style={{
+                background: 'rgba(255,255,255,0.1)',
+                borderRadius: '8px',
+                padding: '8px 12px',
+                cursor: 'pointer',
+                opacity: current ? 1 : 0.75
+              }}
+            >
+              <div style={{ fontSize: '14px', fontWeight: '500' }}>{artist.name}</div>
+              {(roles.length > 0 || periods.length > 0) && (
+                <div style={{ fontSize: '12px', color: '#999', marginTop: '2px' }}>
+                  {[roles.join(', '), periods.join(', ')].filter(Boolean).join(' • ')}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Horizontal rail of related artists with the reasons they were suggested
+  const renderRelatedArtists = () => {
+    const loaded = relatedArtists?.artistId === artistDetails.id;
+    if (loaded && relatedArtists.artists.length === 0) return null;
+
+    return (
+      <div style={{ marginBottom: '40px' }}>
+        <h2 style={{ 
+          fontSize: 'clamp(20px, 4vw, 28px)',
+          marginBottom: '20px',
+          color: '#646cff'
+        }}>
+          🧭 Related Artists
+        </h2>
+        {!loaded ? (
+          <p style={{ color: '#999', fontSize: '14px' }}>Finding related artists...</p>
+        ) : (
+          <div style={{ display: 'flex', gap: '16px', overflowX: 'auto', paddingBottom: '8px' }}>
+            {relatedArtists.artists.map((artist) => (
+              <div
+                key={artist.id}
+                onClick={() => viewArtistDetails({ id: artist.id, name: artist.name, type: artist.type })}
+                style={{
+                  flex: '0 0 180px',
+                  background: 'rgba(255,255,255,0.1)',
+                  borderRadius: '12px',
+                  padding: '16px',
+                  cursor: 'pointer'
+                }}
+              >
+                <div style={{ fontSize: '16px', fontWeight: 'bold', marginBottom: '4px' }}>{artist.name}</div>
+                <div style={{ fontSize: '12px', color: '#999', marginBottom: '8px' }}>
+                  {artist.type || 'Artist'}
+                  {artist.disambiguation && ` • ${artist.disambiguation}`}
+                </div>
+                {artist.reasons.slice(0, 3).map(reason => (
+                  <div key={reason} style={{ fontSize: '12px', color: '#ccc' }}>{reason}</div>
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Render artist details page
   const renderArtistDetailsPage = () => {
     if (!selectedArtist) return null;
@@ -1453,6 +1740,43 @@ function AppContent() {
                 </div>
               )}
 
+              {/* Links */}
+              {artistDetails.relationships?.links.length > 0 && (
+                <div style={{ marginBottom: '30px', display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                  {artistDetails.relationships.links.map((link) => (
+                    <a
+                      key={link.url}
+                      href={link.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      style={{
+                        background: 'rgba(100, 108, 255, 0.15)',
+                        border: '1px solid rgba(100, 108, 255, 0.3)',
+                        borderRadius: '16px',
+                        padding: '4px 12px',
+                        fontSize: '13px',
+                        color: '#c7caff',
+                        textDecoration: 'none'
+                      }}
+                    >
+                      🔗 {link.type.charAt(0).toUpperCase() + link.type.slice(1)}
+                    </a>
+                  ))}
+                </div>
+              )}
+
+              {/* Relationships */}
+              {artistDetails.relationships && (
+                <>
+                  {renderRelationshipSection(artistDetails.relationships.members, 'Members', '👥')}
+                  {renderRelationshipSection(artistDetails.relationships.memberOf, 'Member of', '🎸')}
+                  {renderRelationshipSection(artistDetails.relationships.collaborations, 'Collaborations', '🤝')}
+                  {renderRelationshipSection(artistDetails.relationships.sideProjects, 'Side projects', '🌱')}
+                </>
+              )}
+
+              {renderRelatedArtists()}
+
               {/* Torrent Pre-loading Status */}
               {artistDetails.torrentPreloadingInProgress && (
                 <div style={{ 
@@ -1521,6 +1845,9 @@ function AppContent() {
                   {renderReleaseSection(artistDetails.releases.albums, 'Albums', '💿')}
                   {renderReleaseSection(artistDetails.releases.eps, 'EPs', '🎵')}
                   {renderReleaseSection(artistDetails.releases.singles, 'Singles', '💎')}
+                  {renderReleaseSection(artistDetails.releases.live, 'Live', '🎤')}
+                  {renderReleaseSection(artistDetails.releases.compilations, 'Compilations', '📚')}
+                  {renderReleaseSection(artistDetails.releases.remixes, 'Remixes', '🎛️')}
                   {renderReleaseSection(artistDetails.releases.other, 'Other Releases', '📻')}
                 </>
               )}
@@ -1536,10 +1863,257 @@ function AppContent() {
     );
   };
 
+  // Artist name that opens the artist page (plain text for credits without an MBID)
+  const renderArtistLink = (artist) => (
+    artist.id ? (
+      <span
+        onClick={() => viewArtistDetails({ id: artist.id, name: artist.name })}
+        style={{ cursor: 'pointer', textDecoration: 'underline', textDecorationColor: 'rgba(255,255,255,0.4)' }}
+      >
+        {artist.name}
+      </span>
+    ) : artist.name
+  );
+
+  // "Name — guitar, lead vocals" rows of one credit section
+  const renderCreditSection = (entries, title) => {
+    if (!entries || entries.length === 0) return null;
+
+    return (
+      <div style={{ marginBottom: '20px' }}>
+        <h3 style={{ fontSize: '16px', color: '#ccc', margin: '0 0 8px 0' }}>{title}</h3>
+        {entries.map(({ artist, roles }) => (
+          <p key={artist.id} style={{ margin: '4px 0', fontSize: '14px', color: '#fff' }}>
+            {renderArtistLink(artist)}
+            <span style={{ color: '#999' }}> — {roles.join(', ')}</span>
+          </p>
+        ))}
+      </div>
+    );
+  };
+
+  // Render recording details page
+  const renderRecordingDetailsPage = () => {
+    if (!selectedRecording) return null;
+
+    const sectionTitleStyle = {
+      fontSize: 'clamp(18px, 4vw, 24px)',
+      marginBottom: '15px',
+      color: '#646cff'
+    };
+    const credits = recordingDetails?.credits;
+    const hasCredits = credits && (credits.performers.length > 0 || credits.producers.length > 0 || credits.other.length > 0);
+
+    return (
+      <div style={{ 
+        width: '100%', 
+        minHeight: '100vh',
+        background: 'linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%)',
+        color: '#fff'
+      }}>
+        {/* Back Arrow */}
+        <div style={{ 
+          position: 'absolute',
+          top: 20,
+          left: 20,
+          zIndex: 1000,
+          cursor: 'pointer',
+          padding: 10,
+          borderRadius: '50%',
+          background: 'rgba(0,0,0,0.7)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          width: 50,
+          height: 50,
+          transition: 'background 0.2s ease'
+        }}
+        onClick={goBackFromRecording}
+        onMouseEnter={(e) => e.target.style.background = 'rgba(0,0,0,0.9)'}
+        onMouseLeave={(e) => e.target.style.background = 'rgba(0,0,0,0.7)'}
+        >
+          <span style={{ fontSize: 24, color: '#fff' }}>←</span>
+        </div>
+
+        {/* Recording Header */}
+        <div style={{
+          width: '100%',
+          height: '200px',
+          position: 'relative',
+          backgroundImage: recordingDetails?.coverArt ? 
+            `linear-gradient(rgba(0,0,0,0.4), rgba(0,0,0,0.7)), url('${recordingDetails.coverArt}')` :
+            'linear-gradient(135deg, #646cff 0%, #8b5cf6 100%)',
+          backgroundSize: 'cover',
+          backgroundPosition: 'center',
+          display: 'flex',
+          alignItems: 'flex-end',
+          padding: '40px'
+        }}>
+          <div>
+            <h1 style={{ 
+              fontSize: 'clamp(20px, 5vw, 36px)',
+              fontWeight: 'bold',
+              margin: 0,
+              textShadow: '2px 2px 4px rgba(0,0,0,0.8)'
+            }}>
+              🎵 {recordingDetails?.title || selectedRecording.title}
+            </h1>
+            <p style={{ 
+              fontSize: 'clamp(14px, 3vw, 18px)',
+              margin: '8px 0 0 0',
+              opacity: 0.9,
+              textShadow: '1px 1px 2px rgba(0,0,0,0.8)'
+            }}>
+              by {recordingDetails ? (
+                recordingDetails.artistCredit.map((artist, index) => (
+                  <span key={`${artist.id}-${index}`}>
+                    {renderArtistLink(artist)}
+                    {artist.joinPhrase}
+                  </span>
+                ))
+              ) : (selectedRecording['artist-credit']?.[0]?.name || 'Unknown Artist')}
+              {recordingDetails?.lengthFormatted && ` • ${recordingDetails.lengthFormatted}`}
+            </p>
+          </div>
+        </div>
+
+        {/* Content Container */}
+        <div style={{ 
+          padding: '40px',
+          maxWidth: '1000px',
+          margin: '0 auto'
+        }}>
+          {loadingRecordingDetails && (
+            <div style={{ 
+              textAlign: 'center', 
+              padding: '40px',
+              fontSize: '18px' 
+            }}>
+              Loading recording details...
+            </div>
+          )}
+
+          {recordingDetails && !loadingRecordingDetails && (
+            <>
+              {/* Recording Info */}
+              <div style={{ marginBottom: '30px' }}>
+                <h2 style={sectionTitleStyle}>Recording Information</h2>
+                <div style={{ color: '#ccc', fontSize: '14px' }}>
+                  {recordingDetails.disambiguation && <p>{recordingDetails.disambiguation}</p>}
+                  {recordingDetails.firstReleaseDate && <p>First released: {recordingDetails.firstReleaseDate}</p>}
+                  {recordingDetails.lengthFormatted && <p>Length: {recordingDetails.lengthFormatted}</p>}
+                  {recordingDetails.isrcs.length > 0 && <p>ISRC: {recordingDetails.isrcs.join(', ')}</p>}
+                  <p>MusicBrainz ID: {recordingDetails.id}</p>
+                </div>
+              </div>
+
+              {/* Works and their writers */}
+              {recordingDetails.works.length > 0 && (
+                <div style={{ marginBottom: '30px' }}>
+                  <h2 style={sectionTitleStyle}>Work</h2>
+                  {recordingDetails.works.map(work => (
+                    <div key={work.id} style={{ marginBottom: '16px' }}>
+                      <p style={{ margin: '0 0 8px 0', fontSize: '16px', fontWeight: '500' }}>
+                        📝 {work.title}
+                        {work.attributes.length > 0 && (
+                          <span style={{ color: '#999', fontSize: '14px' }}> ({work.attributes.join(', ')})</span>
+                        )}
+                      </p>
+                      {renderCreditSection(work.writers, 'Written by')}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {/* Performer / producer / other credits */}
+              {hasCredits && (
+                <div style={{ marginBottom: '30px' }}>
+                  <h2 style={sectionTitleStyle}>Credits</h2>
+                  {renderCreditSection(credits.performers, 'Performers')}
+                  {renderCreditSection(credits.producers, 'Producers')}
+                  {renderCreditSection(credits.other, 'Engineering & other')}
+                </div>
+              )}
+
+              {/* Releases it appears on */}
+              <div>
+                <h2 style={sectionTitleStyle}>
+                  Appears On ({recordingDetails.appearances.length} releases, {recordingDetails.releaseGroupCount} albums)
+                </h2>
+                <div style={{ 
+                  background: 'rgba(255,255,255,0.05)',
+                  borderRadius: '12px',
+                  padding: '20px'
+                }}>
+                  {recordingDetails.appearances.map((appearance, index) => (
+                    <div
+                      key={`${appearance.releaseId}-${index}`}
+                      onClick={() => viewRecordingAppearance(appearance)}
+                      title="Open album"
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'space-between',
+                        flexWrap: 'wrap',
+                        gap: '8px',
+                        padding: '12px 16px',
+                        borderRadius: '8px',
+                        margin: '4px 0',
+                        cursor: 'pointer',
+                        transition: 'background 0.2s ease'
+                      }}
+                      onMouseEnter={(e) => { e.currentTarget.style.background = 'rgba(255,255,255,0.1)'; }}
+                      onMouseLeave={(e) => { e.currentTarget.style.background = 'transparent'; }}
+                    >
+                      <div>
+                        <div style={{ fontSize: '16px', fontWeight: '500' }}>💿 {appearance.title}</div>
+                        <div style={{ fontSize: '12px', color: '#999', marginTop: '2px' }}>
+                          {[
+                            appearance.date || 'Unknown date',
+                            appearance.country,
+                            appearance.format,
+                            appearance.status !== 'Official' ? appearance.status : null
+                          ].filter(Boolean).join(' • ')}
+                        </div>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', fontSize: '12px', color: '#999' }}>
+                        {appearance.trackNumber && (
+                          <span>
+                            {appearance.discNumber > 1 ? `Disc ${appearance.discNumber} • ` : ''}
+                            Track {appearance.trackNumber}{appearance.trackCount ? ` of ${appearance.trackCount}` : ''}
+                          </span>
+                        )}
+                        {appearance.primaryType && (
+                          <span style={{
+                            fontSize: '10px',
+                            textTransform: 'uppercase',
+                            fontWeight: 'bold',
+                            padding: '2px 6px',
+                            background: 'rgba(100, 108, 255, 0.2)',
+                            borderRadius: '4px'
+                          }}>
+                            {[appearance.primaryType, ...appearance.secondaryTypes].join(' + ')}
+                          </span>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
   // Render album details page
   const renderAlbumDetailsPage = () => {
     if (!selectedAlbum) return null;
 
+    // Album tracks can be queued once a torrent for the album has been found
+    const canQueueAlbum = Boolean(albumDetails?.tracks?.length && buildAlbumQueueTrack(albumDetails.tracks[0], 0));
+
     return (
       <div style={{ 
         width: '100%', 
@@ -1613,6 +2187,39 @@ function AppContent() {
           maxWidth: '1000px',
           margin: '0 auto'
         }}>
+
+          {/* Edition picker (kept visible while the chosen edition loads) */}
+          {albumEditions.length > 1 && (
+            <div style={{ marginBottom: '30px' }}>
+              <label
+                htmlFor="album-edition"
+                style={{ display: 'block', color: '#646cff', fontSize: '14px', fontWeight: 'bold', marginBottom: '8px' }}
+              >
+                Edition ({albumEditions.length} available)
+              </label>
+              <select
+                id="album-edition"
+                value={selectedAlbum.id}
+                onChange={(e) => selectAlbumEdition(e.target.value)}
+                disabled={loadingAlbumDetails}
+                style={{
+                  width: '100%',
+                  background: 'rgba(255,255,255,0.1)',
+                  color: '#fff',
+                  border: '1px solid rgba(255,255,255,0.2)',
+                  borderRadius: '8px',
+                  padding: '8px 12px',
+                  fontSize: '14px'
+                }}
+              >
+                {albumEditions.map(edition => (
+                  <option key={edition.id} value={edition.id} style={{ color: '#000' }}>
+                    {formatEditionLabel(edition)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           
           {loadingAlbumDetails && (
             <div style={{ 
@@ -1627,7 +2234,7 @@ function AppContent() {
           {albumDetails && !loadingAlbumDetails && (
             <>
               {/* Album Info */}
-              {(albumDetails.barcode || albumDetails.status) && (
+              {(albumDetails.barcode || albumDetails.status || albumDetails.labels?.length > 0) && (
                 <div style={{ marginBottom: '30px' }}>
                   <h2 style={{ 
                     fontSize: 'clamp(18px, 4vw, 24px)',
@@ -1638,6 +2245,8 @@ function AppContent() {
                   </h2>
                   <div style={{ color: '#ccc', fontSize: '14px' }}>
                     {albumDetails.status && <p>Status: {albumDetails.status}</p>}
+                    {albumDetails.country && <p>Country: {albumDetails.country}</p>}
+                    {albumDetails.labels?.length > 0 && <p>Label: {albumDetails.labels.join(', ')}</p>}
                     {albumDetails.barcode && <p>Barcode: {albumDetails.barcode}</p>}
                   </div>
                 </div>
@@ -1646,13 +2255,39 @@ function AppContent() {
               {/* Track List */}
               {albumDetails.tracks && albumDetails.tracks.length > 0 && (
                 <div>
-                  <h2 style={{ 
-                    fontSize: 'clamp(18px, 4vw, 24px)',
-                    marginBottom: '20px',
-                    color: '#646cff'
+                  <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    flexWrap: 'wrap',
+                    gap: '12px',
+                    marginBottom: '20px'
                   }}>
-                    Track List ({albumDetails.tracks.length} tracks)
-                  </h2>
+                    <h2 style={{ 
+                      fontSize: 'clamp(18px, 4vw, 24px)',
+                      margin: 0,
+                      color: '#646cff'
+                    }}>
+                      Track List ({albumDetails.tracks.length} tracks)
+                    </h2>
+                    <button
+                      onClick={() => addTracksToQueue(albumDetails.tracks.map(buildAlbumQueueTrack))}
+                      disabled={!canQueueAlbum}
+                      title={canQueueAlbum ? 'Add every track to the player queue' : 'No album torrent found yet'}
+                      style={{
+                        background: '#646cff',
+                        color: '#fff',
+                        border: 'none',
+                        padding: '8px 16px',
+                        borderRadius: '16px',
+                        cursor: canQueueAlbum ? 'pointer' : 'not-allowed',
+                        opacity: canQueueAlbum ? 1 : 0.5,
+                        fontSize: '13px'
+                      }}
+                    >
+                      ➕ Add album to queue
+                    </button>
+                  </div>
                   
                   <div style={{ 
                     background: 'rgba(255,255,255,0.05)',
@@ -1717,6 +2352,52 @@ function AppContent() {
                               </div>
                             )}
                             
+                            {/* Recording Details Button */}
+                            {track.recording?.id && (
+                              <button
+                                onClick={() => viewRecordingDetails(track.recording)}
+                                title="Credits and appearances"
+                                style={{
+                                  background: '#444',
+                                  color: '#fff',
+                                  border: 'none',
+                                  padding: '6px 12px',
+                                  borderRadius: '16px',
+                                  cursor: 'pointer',
+                                  fontSize: '11px',
+                                  marginLeft: '16px',
+                                  transition: 'background 0.2s ease'
+                                }}
+                                onMouseEnter={(e) => { e.target.style.background = '#555'; }}
+                                onMouseLeave={(e) => { e.target.style.background = '#444'; }}
+                              >
+                                ℹ️
+                              </button>
+                            )}
+                            
+                            {/* Play Next Button (from the album torrent) */}
+                            {canQueueAlbum && (
+                              <button
+                                onClick={() => playNext(buildAlbumQueueTrack(track, index))}
+                                title="Play next"
+                                style={{
+                                  background: '#444',
+                                  color: '#fff',
+                                  border: 'none',
+                                  padding: '6px 12px',
+                                  borderRadius: '16px',
+                                  cursor: 'pointer',
+                                  fontSize: '11px',
+                                  marginLeft: '16px',
+                                  transition: 'background 0.2s ease'
+                                }}
+                                onMouseEnter={(e) => { e.target.style.background = '#555'; }}
+                                onMouseLeave={(e) => { e.target.style.background = '#444'; }}
+                              >
+                                ⏭️
+                              </button>
+                            )}
+                            
                             {/* Find Torrents Button */}
                             <button
                               onClick={async () => {
@@ -1834,8 +2515,26 @@ function AppContent() {
                                           marginBottom: 6
                                         }}>
                                           <span>{torrent.size}</span>
+                                          {torrent.quality?.codec && <span>{formatAudioQuality(torrent.quality)}</span>}
                                           <span>S:{torrent.seeders} L:{torrent.leechers}</span>
                                         </div>
+                                        {torrent.scoreBreakdown?.length > 0 && (
+                                          <details style={{ marginBottom: 6, color: '#999', fontSize: '10px' }}>
+                                            <summary style={{ cursor: 'pointer', color: '#646cff' }}>
+                                              ⚖️ Score {torrent.score}
+                                            </summary>
+                                            <div style={{ marginTop: 4, padding: 4, background: '#1a1a1a', borderRadius: 4 }}>
+                                              {torrent.scoreBreakdown.map(entry => (
+                                                <div key={entry.rule} style={{ display: 'flex', justifyContent: 'space-between', gap: 8 }}>
+                                                  <span>{entry.rule}: {entry.detail}</span>
+                                                  <span style={{ color: entry.points > 0 ? '#4ade80' : entry.points < 0 ? '#f87171' : '#666' }}>
+                                                    {entry.points > 0 ? '+' : ''}{entry.points}
+                                                  </span>
+                                                </div>
+                                              ))}
+                                            </div>
+                                          </details>
+                                        )}
                                         <div style={{ 
                                           display: 'flex', 
                                           gap: 6, 
@@ -1852,7 +2551,7 @@ function AppContent() {
                                               };
                                               // Use album track count for expected file count
                                               const expectedFileCount = albumDetails?.tracks?.length || selectedAlbum?.trackCount || 1;
-                                              playTorrentAudio(torrent, trackSearchItem, expectedFileCount);
+                                              playTorrentAudio(torrent, trackSearchItem, expectedFileCount, null, buildAlbumTrackTarget(track));
                                             }}
                                             style={{
                                               background: '#1db954',
@@ -1947,7 +2646,8 @@ function AppContent() {
       }} />
       
       <div className="app-container">
-        {currentView === 'album' ? renderAlbumDetailsPage() : 
+        {currentView === 'recording' ? renderRecordingDetailsPage() :
+         currentView === 'album' ? renderAlbumDetailsPage() : 
          currentView === 'artist' ? renderArtistDetailsPage() : (
           <>
             <h1 style={{ 
@@ -2008,6 +2708,51 @@ function AppContent() {
           {loading ? '⟳' : '🔍'}
         </button>
       </form>
+
+      <div style={{
+        marginBottom: 16,
+        display: 'flex',
+        gap: 8,
+        alignItems: 'center',
+        justifyContent: 'center',
+        flexWrap: 'wrap',
+        fontSize: 13,
+        color: '#aaa'
+      }}>
+        <span>🎚️ Quality:</span>
+        <select
+          value={qualitySettings.preset}
+          onChange={e => updateQualitySettings({ preset: e.target.value })}
+          style={{ padding: '4px 8px', borderRadius: 4, border: '1px solid #555', background: '#2a2a2a', color: '#fff' }}
+        >
+          {Object.entries(QUALITY_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.label}</option>
+          ))}
+        </select>
+        <select
+          value={qualitySettings.minBitrate || ''}
+          onChange={e => updateQualitySettings({ minBitrate: e.target.value ? parseInt(e.target.value, 10) : null })}
+          style={{ padding: '4px 8px', borderRadius: 4, border: '1px solid #555', background: '#2a2a2a', color: '#fff' }}
+        >
+          <option value="">No bitrate floor</option>
+          {[128, 192, 256, 320].map(kbps => (
+            <option key={kbps} value={kbps}>Never below {kbps} kbps</option>
+          ))}
+        </select>
+        {torrentAudioService.canStreamHls() && (
+          <label
+            title="Stream tracks as HLS segments, so long mixes can be seeked before they have downloaded"
+            style={{ display: 'flex', alignItems: 'center', gap: 4, cursor: 'pointer' }}
+          >
+            <input
+              type="checkbox"
+              checked={hlsStreaming}
+              onChange={e => updateHlsStreaming(e.target.checked)}
+            />
+            📺 HLS streaming
+          </label>
+        )}
+      </div>
       
       {error && <div style={{ 
         color: 'red', 
@@ -1,16 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useAudio } from '../contexts/AudioContext';
+import QueuePanel from './QueuePanel';
 import './AudioPlayer.css';
 
 function AudioPlayer() {
   const {
     currentTrack,
+    queue,
     state,
     progress,
     duration,
     volume,
-    isRepeat,
+    repeatMode,
     isShuffle,
+    hasNext,
+    hasPrevious,
     pause,
     resume,
     stop,
@@ -18,10 +22,12 @@ function AudioPlayer() {
     previous,
     setVolume,
     seek,
-    toggleRepeat,
+    cycleRepeat,
     toggleShuffle,
-    AUDIO_STATES
+    AUDIO_STATES,
+    REPEAT_MODES
   } = useAudio();
+  const [showQueue, setShowQueue] = useState(false);
 
   console.log('🎵 AudioPlayer render - currentTrack:', currentTrack, 'state:', state);
 
@@ -64,6 +70,8 @@ function AudioPlayer() {
 
   return (
     <div className="audio-player">
+      {showQueue && <QueuePanel onClose={() => setShowQueue(false)} />}
+
       <div className="audio-player-content">
         {/* Track Info */}
         <div className="track-info">
@@ -78,7 +86,7 @@ function AudioPlayer() {
           <button 
             className="control-btn"
             onClick={previous}
-            disabled={!previous}
+            disabled={!hasPrevious}
           >
             ⏮️
           </button>
@@ -100,24 +108,34 @@ function AudioPlayer() {
           <button 
             className="control-btn"
             onClick={next}
-            disabled={!next}
+            disabled={!hasNext}
           >
             ⏭️
           </button>
           
           <button 
-            className={`control-btn ${isRepeat ? 'active' : ''}`}
-            onClick={toggleRepeat}
+            className={`control-btn ${repeatMode !== REPEAT_MODES.OFF ? 'active' : ''}`}
+            onClick={cycleRepeat}
+            title={repeatMode === REPEAT_MODES.ONE ? 'Repeat one' : repeatMode === REPEAT_MODES.ALL ? 'Repeat all' : 'Repeat off'}
           >
-            🔁
+            {repeatMode === REPEAT_MODES.ONE ? '🔂' : '🔁'}
           </button>
           
           <button 
             className={`control-btn ${isShuffle ? 'active' : ''}`}
             onClick={toggleShuffle}
+            title={isShuffle ? 'Shuffle on' : 'Shuffle off'}
           >
             🔀
           </button>
+          
+          <button 
+            className={`control-btn ${showQueue ? 'active' : ''}`}
+            onClick={() => setShowQueue(!showQueue)}
+            title={`Queue (${queue.length})`}
+          >
+            ☰
+          </button>
         </div>
 
         {/* Progress Bar */}
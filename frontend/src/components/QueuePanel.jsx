@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useAudio } from '../contexts/AudioContext';
+import './QueuePanel.css';
+
+// Queue panel opened from the player: the queue in play order (drag to reorder), and recently played tracks
+function QueuePanel({ onClose }) {
+  const {
+    queue,
+    currentIndex,
+    playOrder,
+    history,
+    isShuffle,
+    playNext,
+    moveInQueue,
+    removeFromQueue,
+    playQueueIndex,
+    clearQueue
+  } = useAudio();
+  const [dragPosition, setDragPosition] = useState(null);
+  const [dropPosition, setDropPosition] = useState(null);
+
+  const currentPosition = playOrder.indexOf(currentIndex);
+
+  const handleDrop = (position) => {
+    if (dragPosition !== null) {
+      moveInQueue(dragPosition, position);
+    }
+    setDragPosition(null);
+    setDropPosition(null);
+  };
+
+  // "Play next" for a track already in the queue moves it right after the playing track
+  const moveToNext = (position) => {
+    moveInQueue(position, position > currentPosition ? currentPosition + 1 : currentPosition);
+  };
+
+  const describeTrack = (track) => (
+    <div className="queue-track-info">
+      <div className="queue-track-title">{track.title || track.name || track.fileName}</div>
+      <div className="queue-track-artist">
+        {track.artist || track.albumArtist || 'Unknown Artist'}
+        {track.album ? ` — ${track.album}` : ''}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="queue-panel">
+      <div className="queue-panel-header">
+        <h3>Queue ({queue.length}){isShuffle ? ' · shuffled' : ''}</h3>
+        <div className="queue-panel-actions">
+          {queue.length > 0 && (
+            <button className="queue-btn" onClick={clearQueue}>
+              Clear
+            </button>
+          )}
+          <button className="queue-btn" onClick={onClose} title="Close queue">
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {queue.length === 0 ? (
+        <div className="queue-empty">The queue is empty. Add an album from its details page.</div>
+      ) : (
+        <ol className="queue-list">
+          {playOrder.map((index, position) => {
+            const track = queue[index];
+            const isCurrent = index === currentIndex;
+
+            return (
+              <li
+                key={`${index}-${track.title}`}
+                className={[
+                  'queue-item',
+                  isCurrent ? 'current' : '',
+                  position < currentPosition ? 'played' : '',
+                  dropPosition === position ? 'drop-target' : ''
+                ].join(' ')}
+                draggable
+                onDragStart={() => setDragPosition(position)}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDropPosition(position);
+                }}
+                onDragEnd={() => {
+                  setDragPosition(null);
+                  setDropPosition(null);
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(position);
+                }}
+              >
+                <span className="queue-handle" title="Drag to reorder">⋮⋮</span>
+                <button
+                  className="queue-track-button"
+                  onClick={() => playQueueIndex(index)}
+                  title="Play now"
+                >
+                  <span className="queue-marker">{isCurrent ? '▶️' : position + 1}</span>
+                  {describeTrack(track)}
+                </button>
+                {!isCurrent && (
+                  <>
+                    {position !== currentPosition + 1 && (
+                      <button className="queue-btn" onClick={() => moveToNext(position)} title="Play next">
+                        ⏭️
+                      </button>
+                    )}
+                    <button className="queue-btn" onClick={() => removeFromQueue(index)} title="Remove from queue">
+                      ✕
+                    </button>
+                  </>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {history.length > 0 && (
+        <>
+          <h4 className="queue-history-title">Recently played</h4>
+          <ol className="queue-list queue-history">
+            {history.map((track, index) => (
+              <li key={`${index}-${track.title}`} className="queue-item">
+                {describeTrack(track)}
+                <button className="queue-btn" onClick={() => playNext(track)} title="Play next">
+                  ⏭️
+                </button>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default QueuePanel;
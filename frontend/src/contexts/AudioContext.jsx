@@ -1,9 +1,21 @@
-import React, { createContext, useContext, useReducer, useRef } from 'react';
+import React, { createContext, useContext, useEffect, useReducer, useRef } from 'react';
 import { Howl } from 'howler';
-import torrentAudioService from '../services/TorrentAudioService';
+import torrentAudioService, { getStreamFormat, parseStreamUrl, parseTranscodeUrl, setTranscodeStart } from '../services/TorrentAudioService';
+import { createHlsHowl, isHlsUrl } from '../services/HlsAudio';
 
 const AudioContext = createContext();
 
+// Seconds before the end of a track at which the next queue entry is warmed and preloaded
+const PREFETCH_THRESHOLD_SECONDS = 30;
+
+// Played tracks kept in the queue panel's history
+const HISTORY_LIMIT = 50;
+
+const SESSION_STORAGE_KEY = 'lizzen.playbackSession';
+// The playback position changes every second, so it is stored on its own and at most this often
+const POSITION_STORAGE_KEY = 'lizzen.playbackPosition';
+const POSITION_SAVE_INTERVAL_MS = 5000;
+
 // Audio player states
 const AUDIO_STATES = {
   IDLE: 'idle',
@@ -13,6 +25,13 @@ const AUDIO_STATES = {
   ERROR: 'error'
 };
 
+// Repeat modes, in the order the repeat button cycles through them
+const REPEAT_MODES = {
+  OFF: 'off',
+  ALL: 'all',
+  ONE: 'one'
+};
+
 // Initial state
 const initialState = {
   currentTrack: null,
@@ -22,8 +41,12 @@ const initialState = {
   volume: 0.8,
   progress: 0,
   duration: 0,
-  isRepeat: false,
-  isShuffle: false
+  repeatMode: REPEAT_MODES.OFF,
+  isShuffle: false,
+  // Play order (queue indices) while shuffle is on; walking it backwards is the shuffle history
+  shuffleOrder: [],
+  // Previously played tracks, most recent first
+  history: []
 };
 
 // Action types
@@ -32,19 +55,162 @@ const ACTIONS = {
   PAUSE: 'PAUSE',
   RESUME: 'RESUME',
   STOP: 'STOP',
-  NEXT: 'NEXT',
-  PREVIOUS: 'PREVIOUS',
   SET_VOLUME: 'SET_VOLUME',
   SET_PROGRESS: 'SET_PROGRESS',
   SET_DURATION: 'SET_DURATION',
   SET_STATE: 'SET_STATE',
   ADD_TO_QUEUE: 'ADD_TO_QUEUE',
+  MOVE: 'MOVE',
+  REMOVE: 'REMOVE',
+  INSERT_NEXT: 'INSERT_NEXT',
   CLEAR_QUEUE: 'CLEAR_QUEUE',
-  TOGGLE_REPEAT: 'TOGGLE_REPEAT',
+  CYCLE_REPEAT: 'CYCLE_REPEAT',
   TOGGLE_SHUFFLE: 'TOGGLE_SHUFFLE',
   SET_QUEUE: 'SET_QUEUE'
 };
 
+// Fisher–Yates shuffle of a copy of `items`
+function shuffleItems(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Shuffled play order for a queue of `length` tracks, starting with `firstIndex` (the playing track)
+function buildShuffleOrder(length, firstIndex) {
+  const rest = shuffleItems([...Array(length).keys()].filter(index => index !== firstIndex));
+  return firstIndex >= 0 && firstIndex < length ? [firstIndex, ...rest] : rest;
+}
+
+// Queue indices in the order they play
+function getPlayOrder(state) {
+  if (state.isShuffle && state.shuffleOrder.length === state.queue.length) {
+    return state.shuffleOrder;
+  }
+  return [...state.queue.keys()];
+}
+
+// Where next (direction 1) or previous (-1) goes from the current track: { index, shuffleOrder },
+// or null at either end of the queue unless repeating all. In shuffle mode a repeat-all wrap
+// past the last track starts a fresh shuffle order.
+function getQueueStep(state, direction) {
+  const order = getPlayOrder(state);
+  const target = order.indexOf(state.currentIndex) + direction;
+
+  if (target >= 0 && target < order.length) {
+    return { index: order[target], shuffleOrder: state.shuffleOrder };
+  }
+  if (state.repeatMode !== REPEAT_MODES.ALL || order.length === 0) {
+    return null;
+  }
+  if (direction < 0 || !state.isShuffle) {
+    return { index: order[direction < 0 ? order.length - 1 : 0], shuffleOrder: state.shuffleOrder };
+  }
+
+  // Don't replay the track that just finished first
+  const shuffleOrder = shuffleItems(order);
+  if (shuffleOrder.length > 1 && shuffleOrder[0] === state.currentIndex) {
+    [shuffleOrder[0], shuffleOrder[shuffleOrder.length - 1]] = [shuffleOrder[shuffleOrder.length - 1], shuffleOrder[0]];
+  }
+  return { index: shuffleOrder[0], shuffleOrder };
+}
+
+// Whether next / previous has anywhere to go (without building a new shuffle order)
+function hasQueueStep(state, direction) {
+  const order = getPlayOrder(state);
+  const target = order.indexOf(state.currentIndex) + direction;
+  return order.length > 0 && (state.repeatMode === REPEAT_MODES.ALL || (target >= 0 && target < order.length));
+}
+
+// Copy of `items` with the entry at `from` moved to `to`
+function moveItem(items, from, to) {
+  const moved = [...items];
+  moved.splice(to, 0, ...moved.splice(from, 1));
+  return moved;
+}
+
+// State for a rebuilt queue. oldIndices[i] is the previous queue index of the new queue's entry i
+// (-1 for an inserted track); the current index and shuffle order follow their tracks.
+function reindexQueue(state, queue, oldIndices) {
+  const newIndexes = new Map(oldIndices.map((oldIndex, index) => [oldIndex, index]));
+  return {
+    ...state,
+    queue,
+    currentIndex: newIndexes.has(state.currentIndex) ? newIndexes.get(state.currentIndex) : state.currentIndex,
+    shuffleOrder: state.shuffleOrder.filter(index => newIndexes.has(index)).map(index => newIndexes.get(index))
+  };
+}
+
+// Session copy of a track. Torrent stream URLs are dropped (the torrent may be gone after a reload);
+// the info hash + file index they pointed at are kept so the stream can be resolved again.
+function toSessionTrack(track) {
+  if (!track) return null;
+  const reference = parseStreamUrl(track.audioUrl || track.streamUrl);
+  return reference ? { ...track, ...reference, audioUrl: null, streamUrl: null } : track;
+}
+
+function saveSession(state) {
+  const session = {
+    queue: state.queue.map(toSessionTrack),
+    currentIndex: state.currentIndex,
+    // Closing the player ends the session, but the queue is kept
+    currentTrack: state.state === AUDIO_STATES.IDLE ? null : toSessionTrack(state.currentTrack),
+    currentInQueue: Boolean(state.currentTrack) && state.queue[state.currentIndex] === state.currentTrack,
+    volume: state.volume,
+    repeatMode: state.repeatMode,
+    isShuffle: state.isShuffle,
+    shuffleOrder: state.shuffleOrder,
+    history: state.history.map(toSessionTrack)
+  };
+
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+  } catch (error) {
+    console.warn('⚠️ Could not save playback session:', error);
+  }
+}
+
+function savePosition(position) {
+  try {
+    localStorage.setItem(POSITION_STORAGE_KEY, String(position || 0));
+  } catch (error) {
+    console.warn('⚠️ Could not save playback position:', error);
+  }
+}
+
+// Initial state with the saved session applied; the provider then reloads its current track
+function loadSession(state) {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    if (!session) return state;
+
+    const queue = Array.isArray(session.queue) ? session.queue : [];
+    const currentIndex = session.currentIndex < queue.length ? session.currentIndex : 0;
+    const currentTrack = session.currentTrack && session.currentInQueue ? queue[currentIndex] : session.currentTrack;
+
+    return {
+      ...state,
+      queue,
+      currentIndex,
+      currentTrack: currentTrack || null,
+      // Sessions saved before the position got its own key still carry it
+      progress: parseFloat(localStorage.getItem(POSITION_STORAGE_KEY)) || session.position || 0,
+      volume: typeof session.volume === 'number' ? session.volume : state.volume,
+      repeatMode: Object.values(REPEAT_MODES).includes(session.repeatMode) ? session.repeatMode : state.repeatMode,
+      isShuffle: Boolean(session.isShuffle),
+      shuffleOrder: Array.isArray(session.shuffleOrder) ? session.shuffleOrder : [],
+      history: Array.isArray(session.history) ? session.history : [],
+      state: currentTrack ? AUDIO_STATES.LOADING : AUDIO_STATES.IDLE
+    };
+  } catch (error) {
+    console.warn('⚠️ Could not restore playback session:', error);
+    return state;
+  }
+}
+
 // Reducer function
 function audioReducer(state, action) {
   switch (action.type) {
@@ -54,6 +220,12 @@ function audioReducer(state, action) {
         currentTrack: action.payload.track,
         queue: action.payload.queue || state.queue,
         currentIndex: action.payload.index !== undefined ? action.payload.index : state.currentIndex,
+        // A new queue comes with its own shuffle order (or none when shuffle is off)
+        shuffleOrder: action.payload.shuffleOrder || (action.payload.queue ? [] : state.shuffleOrder),
+        history: state.currentTrack && state.currentTrack !== action.payload.track
+          ? [state.currentTrack, ...state.history].slice(0, HISTORY_LIMIT)
+          : state.history,
+        progress: 0,
         state: AUDIO_STATES.LOADING
       };
     
@@ -78,40 +250,59 @@ function audioReducer(state, action) {
     case ACTIONS.SET_DURATION:
       return { ...state, duration: action.payload };
     
-    case ACTIONS.NEXT:
-      const nextIndex = state.currentIndex + 1;
-      if (nextIndex < state.queue.length) {
-        return {
-          ...state,
-          currentIndex: nextIndex,
-          currentTrack: state.queue[nextIndex],
-          state: AUDIO_STATES.LOADING
-        };
-      }
-      return state;
-    
-    case ACTIONS.PREVIOUS:
-      const prevIndex = state.currentIndex - 1;
-      if (prevIndex >= 0) {
-        return {
-          ...state,
-          currentIndex: prevIndex,
-          currentTrack: state.queue[prevIndex],
-          state: AUDIO_STATES.LOADING
-        };
-      }
-      return state;
-    
     case ACTIONS.ADD_TO_QUEUE:
       return {
         ...state,
-        queue: [...state.queue, action.payload]
+        queue: [...state.queue, action.payload],
+        // Added tracks play after the rest of the shuffle order
+        shuffleOrder: state.isShuffle ? [...state.shuffleOrder, state.queue.length] : state.shuffleOrder
       };
     
+    // Move the entry at play-order position `from` to position `to`. In shuffle mode only the
+    // shuffle order changes; otherwise the queue itself is reordered.
+    case ACTIONS.MOVE: {
+      const { from, to } = action.payload;
+      const order = getPlayOrder(state);
+      if (from === to || from < 0 || to < 0 || from >= order.length || to >= order.length) {
+        return state;
+      }
+      if (state.isShuffle) {
+        return { ...state, shuffleOrder: moveItem(state.shuffleOrder, from, to) };
+      }
+      const oldIndices = moveItem([...state.queue.keys()], from, to);
+      return reindexQueue(state, oldIndices.map(index => state.queue[index]), oldIndices);
+    }
+    
+    // Remove the queue entry at `payload` (the playing track stays)
+    case ACTIONS.REMOVE: {
+      const removed = action.payload;
+      if (removed === state.currentIndex || removed < 0 || removed >= state.queue.length) {
+        return state;
+      }
+      const oldIndices = [...state.queue.keys()].filter(index => index !== removed);
+      return reindexQueue(state, oldIndices.map(index => state.queue[index]), oldIndices);
+    }
+    
+    // Insert a track to play right after the current one
+    case ACTIONS.INSERT_NEXT: {
+      const position = state.queue.length > 0 ? state.currentIndex + 1 : 0;
+      const oldIndices = [...state.queue.keys()];
+      oldIndices.splice(position, 0, -1);
+      const queue = [...state.queue];
+      queue.splice(position, 0, action.payload);
+
+      const next = reindexQueue(state, queue, oldIndices);
+      if (state.isShuffle) {
+        next.shuffleOrder.splice(next.shuffleOrder.indexOf(next.currentIndex) + 1, 0, position);
+      }
+      return next;
+    }
+    
     case ACTIONS.SET_QUEUE:
       return {
         ...state,
-        queue: action.payload,
+        queue: action.payload.queue,
+        shuffleOrder: action.payload.shuffleOrder || [],
         currentIndex: 0
       };
     
@@ -119,16 +310,24 @@ function audioReducer(state, action) {
       return {
         ...state,
         queue: [],
+        shuffleOrder: [],
         currentIndex: 0,
         currentTrack: null,
         state: AUDIO_STATES.IDLE
       };
     
-    case ACTIONS.TOGGLE_REPEAT:
-      return { ...state, isRepeat: !state.isRepeat };
+    case ACTIONS.CYCLE_REPEAT: {
+      const modes = Object.values(REPEAT_MODES);
+      return { ...state, repeatMode: modes[(modes.indexOf(state.repeatMode) + 1) % modes.length] };
+    }
     
+    // Turning shuffle on takes the new play order as payload (the reducer stays deterministic)
     case ACTIONS.TOGGLE_SHUFFLE:
-      return { ...state, isShuffle: !state.isShuffle };
+      return {
+        ...state,
+        isShuffle: !state.isShuffle,
+        shuffleOrder: state.isShuffle ? [] : action.payload
+      };
     
     default:
       return state;
@@ -137,26 +336,174 @@ function audioReducer(state, action) {
 
 // AudioProvider component
 export function AudioProvider({ children }) {
-  const [state, dispatch] = useReducer(audioReducer, initialState);
+  const [state, dispatch] = useReducer(audioReducer, initialState, loadSession);
   const howlRef = useRef(null);
   const progressIntervalRef = useRef(null);
+  // Latest state for Howl callbacks and timers, which outlive the render that created them
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  // Next queue entry being preloaded: { track, from (current index), step, howl }
+  const prefetchRef = useRef(null);
+  // Transcoded streams start where they were requested (&start=) and have no length of their own:
+  // where the current one starts in the track, and the track's duration from its URL (or null)
+  const streamOffsetRef = useRef({ start: 0, duration: null });
+
+  const stopCurrentHowl = () => {
+    if (howlRef.current) {
+      howlRef.current.stop();
+      howlRef.current.unload();
+    }
+  };
+
+  // Drop a preloaded Howl that won't be played
+  const discardPrefetch = () => {
+    if (prefetchRef.current?.howl) {
+      prefetchRef.current.howl.unload();
+    }
+    prefetchRef.current = null;
+  };
+
+  // Preloaded Howl for a queue entry, if the prefetch for it has finished
+  const takePrefetchedHowl = (track) => {
+    const prefetched = prefetchRef.current;
+    if (!prefetched?.howl || prefetched.track !== track) return null;
+    prefetchRef.current = null;
+    return prefetched.howl;
+  };
+
+  // Position in the track of the current Howl's playhead
+  const getTrackPosition = (howl) => howl.seek() + streamOffsetRef.current.start;
+
+  const getTrackDuration = (howl) => {
+    const { start, duration } = streamOffsetRef.current;
+    const streamDuration = howl.duration();
+    return duration || start + (Number.isFinite(streamDuration) ? streamDuration : 0);
+  };
+
+  // Wire a Howl up to the player state, make it current and start playing it. With autoplay: false
+  // it is only loaded (paused); startAt seeks into the track first.
+  const startHowl = (howl, label, { autoplay = true, startAt = 0 } = {}) => {
+    howlRef.current = howl;
+    const transcode = parseTranscodeUrl(howl.streamUrl);
+    streamOffsetRef.current = { start: transcode?.start || 0, duration: transcode?.duration || null };
+
+    howl.on('load', () => {
+      console.log(`🎵 ${label} loaded successfully`);
+      dispatch({ type: ACTIONS.SET_DURATION, payload: getTrackDuration(howl) });
+      dispatch({ type: ACTIONS.SET_STATE, payload: autoplay ? AUDIO_STATES.PLAYING : AUDIO_STATES.PAUSED });
+      if (autoplay) {
+        startProgressTracking();
+      }
+    });
+    howl.on('play', () => {
+      console.log(`🎵 ${label} started playing`);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PLAYING });
+      startProgressTracking();
+    });
+    howl.on('pause', () => {
+      console.log(`🎵 ${label} paused`);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PAUSED });
+      stopProgressTracking();
+    });
+    howl.on('stop', () => {
+      console.log(`🎵 ${label} stopped`);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.IDLE });
+      dispatch({ type: ACTIONS.SET_PROGRESS, payload: 0 });
+      stopProgressTracking();
+    });
+    howl.on('end', () => {
+      console.log(`🎵 ${label} ended`);
+      // Auto play next track if available
+      if (stateRef.current.repeatMode === REPEAT_MODES.ONE) {
+        if (streamOffsetRef.current.start > 0) {
+          restartTranscode(0, true);
+        } else {
+          howl.play();
+        }
+      } else {
+        next();
+      }
+    });
+    howl.on('loaderror', (id, error) => {
+      console.error(`❌ ${label} load error:`, error);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
+    });
+    howl.on('playerror', (id, error) => {
+      console.error(`❌ ${label} play error:`, error);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
+    });
 
-  // Play a track
-  const playTrack = async (track, queue = null, index = 0) => {
+    // A preloaded Howl has already fired its load event, and the volume may have changed since
+    howl.volume(stateRef.current.volume);
+    if (howl.state() === 'loaded') {
+      dispatch({ type: ACTIONS.SET_DURATION, payload: getTrackDuration(howl) });
+    }
+
+    // Howler holds the seek until the audio has loaded
+    if (startAt > 0) {
+      howl.seek(startAt);
+      dispatch({ type: ACTIONS.SET_PROGRESS, payload: startAt });
+    }
+
+    if (autoplay) {
+      howl.play();
+    }
+  };
+
+  // HLS playlists get a Howl-like hls.js player, since Howler can't play them. The URL is kept on
+  // the player (streamUrl) so a transcoded stream can be requested again from another position.
+  const createHowl = (audioUrl) => {
+    const howl = isHlsUrl(audioUrl)
+      ? createHlsHowl(audioUrl, { volume: stateRef.current.volume })
+      : new Howl({
+        src: [audioUrl],
+        format: getStreamFormat(audioUrl),
+        html5: true, // Use HTML5 audio for better streaming support
+        volume: stateRef.current.volume
+      });
+    howl.streamUrl = audioUrl;
+    return howl;
+  };
+
+  // Transcoded streams can't be range-requested, so seeking in one restarts ffmpeg at the new
+  // position (&start=) in a fresh Howl; progress and duration stay relative to the whole track
+  const restartTranscode = (position, autoplay) => {
+    const howl = howlRef.current;
+    stopProgressTracking();
+    howl.off();
+    howl.unload();
+
+    dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.LOADING });
+    dispatch({ type: ACTIONS.SET_PROGRESS, payload: position });
+    startHowl(createHowl(setTranscodeStart(howl.streamUrl, position)), 'Audio', { autoplay });
+  };
+
+  // Play a track. A new queue gets a fresh shuffle order when shuffle is on; next() / previous()
+  // pass the order they stepped through.
+  const playTrack = async (track, queue = null, index = 0, shuffleOrder = null) => {
     try {
       console.log('🎵 playTrack called with:', track);
       
       // Stop current track if playing
-      if (howlRef.current) {
-        howlRef.current.stop();
-        howlRef.current.unload();
+      stopCurrentHowl();
+      const preloadedHowl = takePrefetchedHowl(track);
+      discardPrefetch();
+
+      if (!shuffleOrder && queue && stateRef.current.isShuffle) {
+        shuffleOrder = buildShuffleOrder(queue.length, index);
       }
 
       dispatch({
         type: ACTIONS.PLAY_TRACK,
-        payload: { track, queue, index }
+        payload: { track, queue, index, shuffleOrder }
       });
 
+      if (preloadedHowl) {
+        console.log('⏭️ Playing preloaded track');
+        startHowl(preloadedHowl, 'Audio');
+        return;
+      }
+
       // For WebTorrent streams, we'll need to get the blob URL
       const audioUrl = track.audioUrl || track.streamUrl;
       
@@ -169,56 +516,8 @@ export function AudioProvider({ children }) {
       }
 
       console.log('🎵 Creating Howl instance...');
-      
-      // Create new Howl instance
-      howlRef.current = new Howl({
-        src: [audioUrl],
-        html5: true, // Use HTML5 audio for better streaming support
-        volume: state.volume,
-        onload: () => {
-          console.log('🎵 Audio loaded successfully');
-          dispatch({ type: ACTIONS.SET_DURATION, payload: howlRef.current.duration() });
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PLAYING });
-          startProgressTracking();
-        },
-        onplay: () => {
-          console.log('🎵 Audio started playing');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PLAYING });
-          startProgressTracking();
-        },
-        onpause: () => {
-          console.log('🎵 Audio paused');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PAUSED });
-          stopProgressTracking();
-        },
-        onstop: () => {
-          console.log('🎵 Audio stopped');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.IDLE });
-          dispatch({ type: ACTIONS.SET_PROGRESS, payload: 0 });
-          stopProgressTracking();
-        },
-        onend: () => {
-          console.log('🎵 Audio ended');
-          // Auto play next track if available
-          if (state.isRepeat) {
-            howlRef.current.play();
-          } else {
-            next();
-          }
-        },
-        onloaderror: (id, error) => {
-          console.error('❌ Audio load error:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
-        },
-        onplayerror: (id, error) => {
-          console.error('❌ Audio play error:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
-        }
-      });
-
       console.log('🎵 Starting playback...');
-      // Start playing
-      howlRef.current.play();
+      startHowl(createHowl(audioUrl), 'Audio');
 
     } catch (error) {
       console.error('❌ Error playing track:', error);
@@ -226,13 +525,46 @@ export function AudioProvider({ children }) {
     }
   };
 
+  // Once the playing track is within PREFETCH_THRESHOLD_SECONDS of its end, warm the next
+  // queue entry on the backend and preload it in a paused Howl so next() can start it without a gap
+  const prefetchNextTrack = async (position) => {
+    const state = stateRef.current;
+    const duration = howlRef.current ? getTrackDuration(howlRef.current) : 0;
+
+    if (state.repeatMode === REPEAT_MODES.ONE || !duration || duration - position > PREFETCH_THRESHOLD_SECONDS) return;
+    if (prefetchRef.current?.from === state.currentIndex) return;
+
+    const step = getQueueStep(state, 1);
+    if (!step) return;
+
+    discardPrefetch();
+    // The step is kept so next() follows it (a repeat-all wrap in shuffle mode picks a random order)
+    const nextTrack = state.queue[step.index];
+    const prefetch = { track: nextTrack, from: state.currentIndex, step, howl: null };
+    prefetchRef.current = prefetch;
+
+    try {
+      const { streamUrl } = await torrentAudioService.prefetchTrack(nextTrack);
+      if (prefetchRef.current !== prefetch) return;
+
+      nextTrack.audioUrl = streamUrl;
+      nextTrack.streamUrl = streamUrl;
+      prefetch.howl = createHowl(streamUrl);
+      console.log('⏭️ Preloading next track:', nextTrack.title);
+    } catch (error) {
+      // next() falls back to resolving the track when it starts
+      console.warn('⚠️ Could not prefetch next track:', error.message);
+    }
+  };
+
   // Start tracking progress
   const startProgressTracking = () => {
     stopProgressTracking(); // Clear any existing interval
     progressIntervalRef.current = setInterval(() => {
       if (howlRef.current && howlRef.current.playing()) {
-        const seek = howlRef.current.seek();
+        const seek = getTrackPosition(howlRef.current);
         dispatch({ type: ACTIONS.SET_PROGRESS, payload: seek });
+        prefetchNextTrack(seek);
       }
     }, 1000);
   };
@@ -258,6 +590,68 @@ export function AudioProvider({ children }) {
     }
   };
 
+  // Load the current track of a restored session: its stream URL is resolved again and it is
+  // loaded paused at the saved position (browsers block autoplay until the user interacts)
+  const restoreTrack = async () => {
+    const { currentTrack, progress } = stateRef.current;
+    dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.LOADING });
+
+    try {
+      if (!currentTrack.audioUrl && !currentTrack.streamUrl) {
+        const streamUrl = await torrentAudioService.resolveTrackStream(currentTrack);
+        currentTrack.audioUrl = streamUrl;
+        currentTrack.streamUrl = streamUrl;
+      }
+      if (stateRef.current.currentTrack !== currentTrack || howlRef.current) return;
+
+      console.log('🔄 Restoring playback session:', currentTrack.title);
+      const audioUrl = currentTrack.audioUrl || currentTrack.streamUrl;
+      if (parseTranscodeUrl(audioUrl)) {
+        // Transcodes start at the saved position rather than seeking
+        startHowl(createHowl(setTranscodeStart(audioUrl, progress)), 'Restored track', { autoplay: false });
+      } else {
+        startHowl(createHowl(audioUrl), 'Restored track', { autoplay: false, startAt: progress });
+      }
+    } catch (error) {
+      console.error('❌ Error restoring playback session:', error);
+      dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
+    }
+  };
+
+  // The mount effect calls the latest restoreTrack through a ref, the same way callbacks read stateRef
+  const restoreTrackRef = useRef(restoreTrack);
+  restoreTrackRef.current = restoreTrack;
+  const sessionRestoredRef = useRef(false);
+  useEffect(() => {
+    if (sessionRestoredRef.current) return;
+    sessionRestoredRef.current = true;
+    if (stateRef.current.currentTrack) {
+      restoreTrackRef.current();
+    }
+  }, []);
+
+  // The session is saved when the queue, the current track, the player state or a setting changes,
+  // not on every progress tick; the position follows at most every POSITION_SAVE_INTERVAL_MS,
+  // and when the page is hidden or closed
+  const { queue, currentIndex, currentTrack, state: playerState, volume, repeatMode, isShuffle, shuffleOrder, history, progress } = state;
+  useEffect(() => {
+    saveSession(stateRef.current);
+    savePosition(stateRef.current.progress);
+  }, [queue, currentIndex, currentTrack, playerState, volume, repeatMode, isShuffle, shuffleOrder, history]);
+
+  const lastPositionSaveRef = useRef(0);
+  useEffect(() => {
+    if (Date.now() - lastPositionSaveRef.current < POSITION_SAVE_INTERVAL_MS) return;
+    lastPositionSaveRef.current = Date.now();
+    savePosition(progress);
+  }, [progress]);
+
+  useEffect(() => {
+    const handlePageHide = () => savePosition(stateRef.current.progress);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
   const stop = () => {
     if (howlRef.current) {
       howlRef.current.stop();
@@ -272,89 +666,138 @@ export function AudioProvider({ children }) {
   };
 
   const seek = (position) => {
-    if (howlRef.current) {
-      howlRef.current.seek(position);
-      dispatch({ type: ACTIONS.SET_PROGRESS, payload: position });
+    if (!howlRef.current) return;
+    if (parseTranscodeUrl(howlRef.current.streamUrl)) {
+      restartTranscode(position, howlRef.current.playing() || stateRef.current.state === AUDIO_STATES.PLAYING);
+      return;
     }
+    howlRef.current.seek(position);
+    dispatch({ type: ACTIONS.SET_PROGRESS, payload: position });
   };
 
-  const next = async () => {
-    if (state.currentIndex < state.queue.length - 1) {
-      const nextTrack = state.queue[state.currentIndex + 1];
-      
-      // If it's an album track without a stream URL, get it dynamically
-      if (nextTrack.isAlbumTrack && !nextTrack.audioUrl && nextTrack.albumMagnetLink) {
-        try {
-          console.log('🎵 Getting stream URL for next album track...');
-          const trackInfo = await torrentAudioService.playAlbumTrack(nextTrack.albumMagnetLink, {
-            trackName: nextTrack.fileName,
-            trackIndex: nextTrack.trackIndex,
-            trackTitle: nextTrack.title,
-            artistName: nextTrack.artist
-          });
-          
-          // Update the track with the stream URL
-          nextTrack.audioUrl = trackInfo.streamUrl;
-          nextTrack.streamUrl = trackInfo.streamUrl;
-        } catch (error) {
-          console.error('❌ Error getting next album track stream:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
-          return;
-        }
+  // Play the queue entry a getQueueStep() result points at, fetching its stream URL first if needed
+  const playQueueStep = async (step, label, queue = stateRef.current.queue) => {
+    const track = queue[step.index];
+
+    // Queued tracks get their stream URL when they come up (album tracks, and every track after a reload)
+    if (!track.audioUrl && !track.streamUrl) {
+      try {
+        console.log(`🎵 Getting stream URL for ${label} track...`);
+        const streamUrl = await torrentAudioService.resolveTrackStream(track);
+        
+        // Update the track with the stream URL
+        track.audioUrl = streamUrl;
+        track.streamUrl = streamUrl;
+      } catch (error) {
+        console.error(`❌ Error getting ${label} track stream:`, error);
+        dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
+        return;
       }
-      
-      playTrack(nextTrack, state.queue, state.currentIndex + 1);
+    }
+    
+    playTrack(track, queue, step.index, step.shuffleOrder);
+  };
+
+  const next = async () => {
+    const state = stateRef.current;
+    const prefetched = prefetchRef.current;
+    const step = prefetched?.from === state.currentIndex ? prefetched.step : getQueueStep(state, 1);
+    if (step) {
+      await playQueueStep(step, 'next');
     }
   };
 
   const previous = async () => {
-    if (state.currentIndex > 0) {
-      const prevTrack = state.queue[state.currentIndex - 1];
-      
-      // If it's an album track without a stream URL, get it dynamically
-      if (prevTrack.isAlbumTrack && !prevTrack.audioUrl && prevTrack.albumMagnetLink) {
-        try {
-          console.log('🎵 Getting stream URL for previous album track...');
-          const trackInfo = await torrentAudioService.playAlbumTrack(prevTrack.albumMagnetLink, {
-            trackName: prevTrack.fileName,
-            trackIndex: prevTrack.trackIndex,
-            trackTitle: prevTrack.title,
-            artistName: prevTrack.artist
-          });
-          
-          // Update the track with the stream URL
-          prevTrack.audioUrl = trackInfo.streamUrl;
-          prevTrack.streamUrl = trackInfo.streamUrl;
-        } catch (error) {
-          console.error('❌ Error getting previous album track stream:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
-          return;
-        }
-      }
-      
-      playTrack(prevTrack, state.queue, state.currentIndex - 1);
+    const step = getQueueStep(stateRef.current, -1);
+    if (step) {
+      await playQueueStep(step, 'previous');
     }
   };
 
+  // Queue changes and mode switches can change what plays next, so a preloaded track is dropped
   const addToQueue = (track) => {
+    discardPrefetch();
     dispatch({ type: ACTIONS.ADD_TO_QUEUE, payload: track });
   };
 
+  // Nothing is playing (the player is hidden), so queued tracks should start playback
+  const isIdle = () => !stateRef.current.currentTrack || stateRef.current.state === AUDIO_STATES.IDLE;
+
+  // Start playing `queue` from its first track (in shuffle mode, from the first in a new shuffle order)
+  const playQueue = async (queue) => {
+    const shuffleOrder = stateRef.current.isShuffle ? buildShuffleOrder(queue.length, -1) : [];
+    await playQueueStep({ index: shuffleOrder[0] ?? 0, shuffleOrder }, 'first', queue);
+  };
+
+  // Append tracks (e.g. a whole album) to the queue, or start playing them when nothing is playing
+  const addTracksToQueue = async (tracks) => {
+    if (tracks.length === 0) return;
+    if (isIdle()) {
+      discardPrefetch();
+      await playQueue(tracks);
+      return;
+    }
+    discardPrefetch();
+    tracks.forEach(track => dispatch({ type: ACTIONS.ADD_TO_QUEUE, payload: track }));
+  };
+
+  // Play `track` after the current one (a copy, so the same track can be queued twice)
+  const playNext = async (track) => {
+    if (isIdle()) {
+      discardPrefetch();
+      await playQueue([{ ...track }]);
+      return;
+    }
+    discardPrefetch();
+    dispatch({ type: ACTIONS.INSERT_NEXT, payload: { ...track } });
+  };
+
+  // Drag reordering in the queue panel; positions are in play order
+  const moveInQueue = (from, to) => {
+    discardPrefetch();
+    dispatch({ type: ACTIONS.MOVE, payload: { from, to } });
+  };
+
+  const removeFromQueue = (index) => {
+    discardPrefetch();
+    dispatch({ type: ACTIONS.REMOVE, payload: index });
+  };
+
+  // Jump to a queue entry, keeping the shuffle order
+  const playQueueIndex = async (index) => {
+    const { queue, shuffleOrder } = stateRef.current;
+    if (index < 0 || index >= queue.length) return;
+    await playQueueStep({ index, shuffleOrder }, 'selected');
+  };
+
   const setQueue = (queue) => {
-    dispatch({ type: ACTIONS.SET_QUEUE, payload: queue });
+    discardPrefetch();
+    dispatch({
+      type: ACTIONS.SET_QUEUE,
+      payload: { queue, shuffleOrder: stateRef.current.isShuffle ? buildShuffleOrder(queue.length, 0) : [] }
+    });
   };
 
   const clearQueue = () => {
     stop();
+    discardPrefetch();
     dispatch({ type: ACTIONS.CLEAR_QUEUE });
   };
 
-  const toggleRepeat = () => {
-    dispatch({ type: ACTIONS.TOGGLE_REPEAT });
+  // Off -> repeat all -> repeat one
+  const cycleRepeat = () => {
+    discardPrefetch();
+    dispatch({ type: ACTIONS.CYCLE_REPEAT });
   };
 
+  // Shuffling keeps the playing track and orders the rest of the queue randomly after it
   const toggleShuffle = () => {
-    dispatch({ type: ACTIONS.TOGGLE_SHUFFLE });
+    const { isShuffle, queue, currentIndex } = stateRef.current;
+    discardPrefetch();
+    dispatch({
+      type: ACTIONS.TOGGLE_SHUFFLE,
+      payload: isShuffle ? [] : buildShuffleOrder(queue.length, currentIndex)
+    });
   };
 
   // Play specific track from album
@@ -363,10 +806,8 @@ export function AudioProvider({ children }) {
       console.log('🎵 playAlbumTrack called with:', { albumMagnetLink: albumMagnetLink?.substring(0, 50) + '...', options });
       
       // Stop current track if playing
-      if (howlRef.current) {
-        howlRef.current.stop();
-        howlRef.current.unload();
-      }
+      stopCurrentHowl();
+      discardPrefetch();
 
       dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.LOADING });
 
@@ -385,8 +826,11 @@ export function AudioProvider({ children }) {
         fileName: trackInfo.fileName,
         fileSize: trackInfo.fileSize,
         trackIndex: trackInfo.trackIndex,
+        discNumber: trackInfo.discNumber,
+        trackNumber: trackInfo.trackNumber,
         totalTracks: trackInfo.totalTracks,
         albumMagnetLink: albumMagnetLink,
+        infoHash: trackInfo.infoHash,
         isAlbumTrack: true
       };
 
@@ -397,11 +841,17 @@ export function AudioProvider({ children }) {
           title: albumTrack.name,
           artist: options.artistName || 'Unknown Artist',
           album: trackInfo.albumName,
-          fileName: albumTrack.name,
+          // Full path keeps same-named files on different discs apart
+          fileName: albumTrack.path || albumTrack.name,
           fileSize: albumTrack.size,
           trackIndex: albumTrack.index,
+          discNumber: albumTrack.discNumber,
+          trackNumber: albumTrack.trackNumber,
           totalTracks: trackInfo.totalTracks,
           albumMagnetLink: albumMagnetLink,
+          // Lets the next track be prefetched by torrent file before it plays
+          infoHash: trackInfo.infoHash,
+          fileIndex: albumTrack.fileIndex,
           isAlbumTrack: true,
           // Stream URL will be generated when this track is played
           audioUrl: null
@@ -414,60 +864,17 @@ export function AudioProvider({ children }) {
       // Dispatch the track info
       dispatch({
         type: ACTIONS.PLAY_TRACK,
-        payload: { track, queue, index: currentIndex }
-      });
-
-      console.log('🎵 Creating Howl instance for album track...');
-      
-      // Create new Howl instance
-      howlRef.current = new Howl({
-        src: [trackInfo.streamUrl],
-        html5: true, // Use HTML5 audio for better streaming support
-        volume: state.volume,
-        onload: () => {
-          console.log('🎵 Album track loaded successfully');
-          dispatch({ type: ACTIONS.SET_DURATION, payload: howlRef.current.duration() });
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PLAYING });
-          startProgressTracking();
-        },
-        onplay: () => {
-          console.log('🎵 Album track started playing');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PLAYING });
-          startProgressTracking();
-        },
-        onpause: () => {
-          console.log('🎵 Album track paused');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.PAUSED });
-          stopProgressTracking();
-        },
-        onstop: () => {
-          console.log('🎵 Album track stopped');
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.IDLE });
-          dispatch({ type: ACTIONS.SET_PROGRESS, payload: 0 });
-          stopProgressTracking();
-        },
-        onend: () => {
-          console.log('🎵 Album track ended');
-          // Auto play next track if available
-          if (state.isRepeat) {
-            howlRef.current.play();
-          } else {
-            next();
-          }
-        },
-        onloaderror: (id, error) => {
-          console.error('❌ Album track load error:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
-        },
-        onplayerror: (id, error) => {
-          console.error('❌ Album track play error:', error);
-          dispatch({ type: ACTIONS.SET_STATE, payload: AUDIO_STATES.ERROR });
+        payload: {
+          track,
+          queue,
+          index: currentIndex,
+          shuffleOrder: stateRef.current.isShuffle ? buildShuffleOrder(queue.length, currentIndex) : []
         }
       });
 
+      console.log('🎵 Creating Howl instance for album track...');
       console.log('🎵 Starting album track playback...');
-      // Start playing
-      howlRef.current.play();
+      startHowl(createHowl(trackInfo.streamUrl), 'Album track');
 
     } catch (error) {
       console.error('❌ Error playing album track:', error);
@@ -489,12 +896,21 @@ export function AudioProvider({ children }) {
     setVolume,
     seek,
     addToQueue,
+    addTracksToQueue,
+    playNext,
+    moveInQueue,
+    removeFromQueue,
+    playQueueIndex,
     setQueue,
     clearQueue,
-    toggleRepeat,
+    cycleRepeat,
     toggleShuffle,
+    hasNext: hasQueueStep(state, 1),
+    hasPrevious: hasQueueStep(state, -1),
+    playOrder: getPlayOrder(state),
     // Constants
-    AUDIO_STATES
+    AUDIO_STATES,
+    REPEAT_MODES
   };
 
   return (
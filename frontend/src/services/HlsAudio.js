@@ -0,0 +1,142 @@
+// Playback of the backend's HLS playlists (/api/hls/.../playlist.m3u8), which Howler can't
+// play outside Safari. createHlsHowl returns an <audio> element driven by hls.js (or the
+// browser's own HLS support) behind the part of the Howl API the audio context uses, so HLS
+// tracks go through the same player code as file and transcode streams.
+
+// Lazily loaded, and the light build (no subtitles / alternate audio / DRM): hls.js is only
+// needed once the user turns HLS streaming on
+const loadHlsJs = () => import('hls.js/light').then(module => module.default);
+
+export const isHlsUrl = (url) => /\/api\/hls\/[^?]+\.m3u8/.test(url || '');
+
+const canPlayNativeHls = () => document.createElement('audio').canPlayType('application/vnd.apple.mpegurl') !== '';
+
+// hls.js remuxes the AAC segments into fMP4 for Media Source Extensions
+const canUseHlsJs = () => Boolean(window.MediaSource?.isTypeSupported?.('audio/mp4; codecs="mp4a.40.2"'));
+
+export const isHlsSupported = () => canPlayNativeHls() || canUseHlsJs();
+
+export function createHlsHowl(url, { volume = 1 } = {}) {
+  const audio = new Audio();
+  audio.preload = 'auto';
+  audio.volume = volume;
+
+  const listeners = {};
+  let loadState = 'loading';
+  let pendingSeek = null;
+  let stopping = false;
+  let hls = null;
+
+  const emit = (event, ...args) => (listeners[event] || []).forEach(listener => listener(...args));
+
+  audio.addEventListener('loadedmetadata', () => {
+    loadState = 'loaded';
+    if (pendingSeek !== null) {
+      audio.currentTime = pendingSeek;
+      pendingSeek = null;
+    }
+    emit('load');
+  });
+  audio.addEventListener('play', () => emit('play'));
+  // The element pauses before 'ended' and when stopped; Howl only reports those as end / stop
+  audio.addEventListener('pause', () => {
+    if (stopping) {
+      stopping = false;
+    } else if (!audio.ended) {
+      emit('pause');
+    }
+  });
+  audio.addEventListener('ended', () => emit('end'));
+  audio.addEventListener('error', () => {
+    if (loadState !== 'unloaded') emit('loaderror', null, audio.error?.message || 'HLS playback failed');
+  });
+
+  loadHlsJs()
+    .then(Hls => {
+      if (loadState === 'unloaded') return;
+      if (!Hls.isSupported()) {
+        audio.src = url;
+        return;
+      }
+      hls = new Hls();
+      hls.on(Hls.Events.ERROR, (event, data) => {
+        if (!data.fatal) return;
+        console.error('❌ hls.js error:', data.details);
+        emit('loaderror', null, data.details);
+      });
+      hls.loadSource(url);
+      hls.attachMedia(audio);
+    })
+    .catch(error => {
+      // hls.js couldn't be loaded: fall back to the browser's own HLS support, if any
+      if (loadState === 'unloaded') return;
+      if (canPlayNativeHls()) {
+        audio.src = url;
+      } else {
+        emit('loaderror', null, error.message);
+      }
+    });
+
+  const player = {
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return player;
+    },
+    play() {
+      audio.play().catch(error => {
+        // A pause() or unload() before playback started
+        if (error.name !== 'AbortError') emit('playerror', null, error.message);
+      });
+      return player;
+    },
+    pause() {
+      audio.pause();
+      return player;
+    },
+    stop() {
+      if (!audio.paused) {
+        stopping = true;
+        audio.pause();
+      }
+      audio.currentTime = 0;
+      emit('stop');
+      return player;
+    },
+    // Like Howl, an unloaded player reports nothing more
+    unload() {
+      loadState = 'unloaded';
+      Object.keys(listeners).forEach(event => delete listeners[event]);
+      hls?.destroy();
+      hls = null;
+      audio.pause();
+      audio.removeAttribute('src');
+      audio.load();
+    },
+    // Like Howl: a position is held until the playlist has loaded
+    seek(position) {
+      if (position === undefined) return pendingSeek ?? audio.currentTime;
+      if (loadState === 'loaded') {
+        audio.currentTime = position;
+      } else {
+        pendingSeek = position;
+      }
+      return player;
+    },
+    duration() {
+      return Number.isFinite(audio.duration) ? audio.duration : 0;
+    },
+    volume(value) {
+      if (value === undefined) return audio.volume;
+      audio.volume = value;
+      return player;
+    },
+    playing() {
+      return !audio.paused && !audio.ended;
+    },
+    state() {
+      return loadState;
+    }
+  };
+
+  return player;
+}
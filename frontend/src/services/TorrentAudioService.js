@@ -1,9 +1,70 @@
 // Server-side torrent audio service using backend WebTorrent streaming
 
+import { isHlsSupported } from './HlsAudio';
+
+const QUALITY_STORAGE_KEY = 'lizzen.qualityPreference';
+const HLS_STORAGE_KEY = 'lizzen.hlsStreaming';
+
+// Quality presets offered in the UI, mapped to the backend's qualityPreference shape
+export const QUALITY_PRESETS = {
+  any: { label: 'Any quality', preferredFormats: [], acceptedFormats: [] },
+  'prefer-lossless': { label: 'Prefer FLAC, accept MP3', preferredFormats: ['FLAC', 'ALAC'], acceptedFormats: ['MP3', 'AAC', 'OGG', 'OPUS'] },
+  'lossless-only': { label: 'Lossless only', preferredFormats: ['FLAC', 'ALAC', 'WAV', 'APE', 'WV'], acceptedFormats: [] },
+  'prefer-mp3': { label: 'Prefer MP3 (smaller)', preferredFormats: ['MP3'], acceptedFormats: ['AAC', 'OGG', 'OPUS', 'FLAC', 'ALAC'] }
+};
+
+// Codecs the backend may serve natively, with the MIME type used to probe browser support
+const PLAYBACK_CODECS = {
+  mp3: 'audio/mpeg',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  aac: 'audio/mp4; codecs="mp4a.40.2"',
+  alac: 'audio/mp4; codecs="alac"',
+  ogg: 'audio/ogg; codecs="vorbis"',
+  opus: 'audio/ogg; codecs="opus"',
+  wma: 'audio/x-ms-wma'
+};
+
+// Howler can't infer a format from /api/transcode URLs (no file extension), so read it from the query
+export const getStreamFormat = (url) => {
+  const match = /\/api\/transcode\/[^?]+\?(?:.*&)?format=(\w+)/.exec(url || '');
+  return match ? [match[1]] : undefined;
+};
+
+// { start, duration } (seconds; duration null when unknown) of an /api/transcode URL, or null for other URLs
+export const parseTranscodeUrl = (url) => {
+  if (!/\/api\/transcode\//.test(url || '')) return null;
+  const query = new URLSearchParams(url.split('?')[1] || '');
+  return {
+    start: parseFloat(query.get('start')) || 0,
+    duration: parseFloat(query.get('duration')) || null
+  };
+};
+
+// The same /api/transcode URL starting `seconds` into the track
+export const setTranscodeStart = (url, seconds) => {
+  const [path, search = ''] = url.split('?');
+  const query = new URLSearchParams(search);
+  if (seconds > 0) {
+    query.set('start', seconds.toFixed(3));
+  } else {
+    query.delete('start');
+  }
+  return `${path}?${query}`;
+};
+
+// Info hash + file index from an /api/stream, /api/transcode or /api/hls URL (null for other URLs)
+export const parseStreamUrl = (url) => {
+  const match = /\/api\/(?:stream|transcode|hls)\/([a-f0-9]{40})\/(\d+)/i.exec(url || '');
+  return match ? { infoHash: match[1].toLowerCase(), fileIndex: parseInt(match[2], 10) } : null;
+};
+
 class TorrentAudioService {
   constructor() {
     this.audioCache = new Map();
     this.baseUrl = this.getApiBaseUrl();
+    this.jobSocket = null;
+    this.jobListeners = new Map();
   }
 
   getApiBaseUrl() {
@@ -12,8 +73,68 @@ class TorrentAudioService {
       : `${window.location.protocol}//${window.location.host}`;
   }
 
+  // Formats this browser can play natively; the backend advertises a transcode URL for anything else.
+  // hls: true (HLS streaming turned on and playable here) asks for HLS playlists instead.
+  getPlaybackCapabilities() {
+    if (!this.playbackCapabilities) {
+      const audio = document.createElement('audio');
+      const supportedFormats = Object.keys(PLAYBACK_CODECS)
+        .filter(codec => audio.canPlayType(PLAYBACK_CODECS[codec]) !== '');
+
+      this.playbackCapabilities = {
+        supportedFormats,
+        transcodeFormat: supportedFormats.includes('opus') ? 'opus' : 'mp3'
+      };
+    }
+    return { ...this.playbackCapabilities, hls: this.getHlsStreaming() };
+  }
+
+  // HLS streaming (seekable anywhere in long mixes while the torrent downloads) is opt-in,
+  // as every track is then re-encoded to AAC on the backend
+  canStreamHls() {
+    return isHlsSupported();
+  }
+
+  getHlsStreaming() {
+    return this.canStreamHls() && localStorage.getItem(HLS_STORAGE_KEY) === 'true';
+  }
+
+  setHlsStreaming(enabled) {
+    localStorage.setItem(HLS_STORAGE_KEY, enabled ? 'true' : 'false');
+  }
+
+  // Stored quality settings for the UI: { preset, minBitrate }
+  getQualitySettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(QUALITY_STORAGE_KEY));
+      if (stored && QUALITY_PRESETS[stored.preset]) {
+        return { preset: stored.preset, minBitrate: stored.minBitrate || null };
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read quality preference:', error);
+    }
+    return { preset: 'any', minBitrate: null };
+  }
+
+  setQualitySettings({ preset, minBitrate }) {
+    localStorage.setItem(QUALITY_STORAGE_KEY, JSON.stringify({ preset, minBitrate: minBitrate || null }));
+  }
+
+  // Quality preference sent with torrent searches and artist pre-loading (null = no preference)
+  getQualityPreference() {
+    const { preset, minBitrate } = this.getQualitySettings();
+    if (preset === 'any' && !minBitrate) {
+      return null;
+    }
+
+    const { preferredFormats, acceptedFormats } = QUALITY_PRESETS[preset];
+    return { preferredFormats, acceptedFormats, minBitrate };
+  }
+
   // Get audio stream URL from torrent via backend (with async support)
-  async getAudioStreamUrl(magnetLink, fileName = null, expectedFileCount = null, useAsync = false) {
+  // trackTarget ({ albumTracks, trackId, recordingId, artistName }) lets the backend align album files to the MusicBrainz tracklist
+  // (and find the recording in its on-disk audio cache)
+  async getAudioStreamUrl(magnetLink, fileName = null, expectedFileCount = null, useAsync = false, trackTarget = null) {
     try {
       if (!magnetLink) {
         throw new Error('No magnet link provided');
@@ -22,7 +143,7 @@ class TorrentAudioService {
       console.log('🏴‍☠️ Requesting torrent stream from backend:', magnetLink.substring(0, 50) + '...');
       
       // Check cache first
-      const cacheKey = `${magnetLink}:${fileName || 'auto'}:${expectedFileCount || 'any'}`;
+      const cacheKey = `${magnetLink}:${trackTarget?.trackId || fileName || 'auto'}:${expectedFileCount || 'any'}:${this.getHlsStreaming() ? 'hls' : 'file'}`;
       if (this.audioCache.has(cacheKey)) {
         console.log('💾 Using cached stream URL');
         return this.audioCache.get(cacheKey);
@@ -38,6 +159,8 @@ class TorrentAudioService {
           magnetLink: magnetLink,
           fileName: fileName,
           expectedFileCount: expectedFileCount,
+          ...trackTarget,
+          ...this.getPlaybackCapabilities(),
           async: useAsync
         })
       });
@@ -52,7 +175,7 @@ class TorrentAudioService {
       // Handle async response
       if (data.async && data.jobId) {
         console.log('🚀 Started async stream preparation, job ID:', data.jobId);
-        return await this.pollForStreamResults(data.jobId, cacheKey);
+        return await this.waitForStreamResults(data.jobId, cacheKey);
       }
       
       // Handle synchronous response
@@ -76,69 +199,246 @@ class TorrentAudioService {
     }
   }
 
-  // Poll for async stream preparation results
-  async pollForStreamResults(jobId, cacheKey) {
+  // Wait for async stream preparation results
+  async waitForStreamResults(jobId, cacheKey) {
+    const jobData = await this.waitForJob(jobId, {
+      onProgress: (job) => {
+        if (job.progress) {
+          console.log(`📊 Stream preparation progress: ${job.progress}%`);
+        }
+      }
+    });
+
+    console.log('✅ Async stream preparation completed!');
+    const result = jobData.result;
+
+    if (result?.success && result.streamUrl) {
+      const fullStreamUrl = `${this.baseUrl}${result.streamUrl}`;
+      console.log('✅ Got async stream URL:', result.fileName);
+
+      // Cache the URL
+      this.audioCache.set(cacheKey, fullStreamUrl);
+
+      return fullStreamUrl;
+    }
+
+    throw new Error('No stream URL in async result');
+  }
+
+  // Wait for an async job to finish. Progress is pushed over the shared job
+  // WebSocket; if that connection is unavailable we fall back to polling.
+  waitForJob(jobId, { onProgress, timeoutMs = 180000 } = {}) {
     return new Promise((resolve, reject) => {
-      let attempts = 0;
-      const maxAttempts = 18; // 3 minutes max
-      
-      const checkInterval = setInterval(async () => {
-        attempts++;
-        
-        try {
-          console.log(`🔍 Checking stream preparation job ${jobId} (attempt ${attempts}/${maxAttempts})...`);
-          
-          const response = await fetch(`${this.baseUrl}/api/job-status/${jobId}`);
-          
-          if (!response.ok) {
-            console.warn('Failed to check stream job status');
-            return;
-          }
-          
-          const jobData = await response.json();
-          
-          if (jobData.status === 'completed' && jobData.result) {
-            console.log('✅ Async stream preparation completed!');
-            clearInterval(checkInterval);
-            
-            const result = jobData.result;
-            
-            if (result.success && result.streamUrl) {
-              const fullStreamUrl = `${this.baseUrl}${result.streamUrl}`;
-              console.log('✅ Got async stream URL:', result.fileName);
-              
-              // Cache the URL
-              this.audioCache.set(cacheKey, fullStreamUrl);
-              
-              resolve(fullStreamUrl);
-            } else {
-              reject(new Error('No stream URL in async result'));
-            }
-            
-          } else if (jobData.status === 'failed') {
-            console.error('❌ Async stream preparation failed:', jobData.error);
-            clearInterval(checkInterval);
-            reject(new Error(jobData.error || 'Stream preparation failed'));
-            
-          } else if (attempts >= maxAttempts) {
-            console.log('⏰ Stream preparation timeout');
-            clearInterval(checkInterval);
-            reject(new Error('Stream preparation timed out'));
-          } else {
-            if (jobData.progress) {
-              console.log(`📊 Stream preparation progress: ${jobData.progress}%`);
+      let settled = false;
+      let unsubscribe = null;
+      let pollInterval = null;
+
+      const finish = (error, jobData) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        if (unsubscribe) unsubscribe();
+        if (pollInterval) clearInterval(pollInterval);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(jobData);
+        }
+      };
+
+      const timeout = setTimeout(() => {
+        console.log(`⏰ Job ${jobId} timed out`);
+        finish(new Error('Job timed out'));
+      }, timeoutMs);
+
+      const handleUpdate = (jobData) => {
+        if (jobData.status === 'completed') {
+          finish(null, jobData);
+        } else if (jobData.status === 'failed') {
+          console.error(`❌ Job ${jobId} failed:`, jobData.error);
+          finish(new Error(jobData.error || 'Job failed'));
+        } else if (jobData.status === 'cancelled') {
+          console.log(`🛑 Job ${jobId} was cancelled`);
+          finish(new Error('Job cancelled'));
+        } else if (onProgress) {
+          onProgress(jobData);
+        }
+      };
+
+      const startPolling = () => {
+        if (settled || pollInterval) return;
+        console.log(`🔁 Falling back to polling for job ${jobId}`);
+
+        pollInterval = setInterval(async () => {
+          try {
+            const response = await fetch(`${this.baseUrl}/api/job-status/${jobId}`);
+
+            if (!response.ok) {
+              console.warn('Failed to check job status');
+              return;
             }
+
+            handleUpdate(await response.json());
+          } catch (error) {
+            console.error('Error checking job status:', error);
           }
-        } catch (error) {
-          console.error('Error checking stream job:', error);
-          
-          if (attempts >= maxAttempts) {
-            clearInterval(checkInterval);
-            reject(error);
-          }
+        }, 10000); // Check every 10 seconds
+      };
+
+      unsubscribe = this.subscribeToJob(jobId, handleUpdate, startPolling);
+    });
+  }
+
+  // Subscribe to pushed job updates over the shared job WebSocket.
+  // onFallback is called if the socket cannot deliver updates for this job.
+  subscribeToJob(jobId, onUpdate, onFallback) {
+    if (typeof WebSocket === 'undefined') {
+      onFallback();
+      return () => {};
+    }
+
+    const socket = this.getJobSocket();
+    const listener = { onUpdate, onFallback };
+
+    if (!this.jobListeners.has(jobId)) {
+      this.jobListeners.set(jobId, new Set());
+    }
+    this.jobListeners.get(jobId).add(listener);
+
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'subscribe', jobIds: [jobId] }));
+    }
+
+    return () => {
+      const listeners = this.jobListeners.get(jobId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.jobListeners.delete(jobId);
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(JSON.stringify({ type: 'unsubscribe', jobIds: [jobId] }));
         }
-      }, 10000); // Check every 10 seconds
+      }
+    };
+  }
+
+  // Lazily open the job WebSocket (one connection multiplexes all jobs)
+  getJobSocket() {
+    if (this.jobSocket && this.jobSocket.readyState <= WebSocket.OPEN) {
+      return this.jobSocket;
+    }
+
+    const socket = new WebSocket(`${this.baseUrl.replace(/^http/, 'ws')}/api/jobs/ws`);
+    this.jobSocket = socket;
+    this.jobListeners = new Map();
+
+    socket.onopen = () => {
+      console.log('🔌 Job WebSocket connected');
+      const jobIds = [...this.jobListeners.keys()];
+      if (jobIds.length > 0) {
+        socket.send(JSON.stringify({ type: 'subscribe', jobIds }));
+      }
+    };
+
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+
+      const listeners = [...(this.jobListeners.get(message.jobId) || [])];
+      if (message.type === 'job') {
+        listeners.forEach(listener => listener.onUpdate(message.job));
+      } else if (message.type === 'error' && message.jobId) {
+        console.warn(`⚠️ Job WebSocket error for ${message.jobId}:`, message.error);
+        listeners.forEach(listener => listener.onFallback());
+      }
+    };
+
+    socket.onclose = () => {
+      console.log('🔌 Job WebSocket closed');
+      const listeners = this.jobListeners;
+      if (this.jobSocket === socket) {
+        this.jobSocket = null;
+        this.jobListeners = new Map();
+      }
+      // Hand any in-flight jobs over to polling
+      listeners.forEach(jobListeners => jobListeners.forEach(listener => listener.onFallback()));
+    };
+
+    return socket;
+  }
+
+  // Warm a queued track on the backend (its torrent file is fetched right after the playing one)
+  // and get a stream URL to preload. Needs the track's infoHash + fileIndex, or a stream URL to read them from.
+  async prefetchTrack(track) {
+    const target = track.infoHash && track.fileIndex !== undefined
+      ? { infoHash: track.infoHash, fileIndex: track.fileIndex }
+      : parseStreamUrl(track.audioUrl || track.streamUrl);
+
+    if (!target) {
+      throw new Error('Track has no torrent file to prefetch');
+    }
+
+    const response = await fetch(`${this.baseUrl}/api/prefetch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...target,
+        ...this.getPlaybackCapabilities()
+      })
     });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to prefetch track');
+    }
+
+    const data = await response.json();
+    console.log(`⏭️ Prefetching ${data.fileName}${data.cached ? ' (cached)' : ''}`);
+
+    return {
+      ...data,
+      streamUrl: `${this.baseUrl}${data.streamUrl}`
+    };
+  }
+
+  // Stream URL for a queue entry without one (e.g. restored from a saved session). The torrent file it
+  // played from is tried first (still active, or in the backend's audio cache); otherwise the torrent
+  // is added again from the magnet link the track came from.
+  async resolveTrackStream(track) {
+    try {
+      return (await this.prefetchTrack(track)).streamUrl;
+    } catch (error) {
+      console.log(`🔁 Re-resolving stream for ${track.title}: ${error.message}`);
+    }
+
+    if (track.isAlbumTrack && track.albumMagnetLink) {
+      const trackInfo = await this.playAlbumTrack(track.albumMagnetLink, {
+        trackName: track.fileName,
+        trackIndex: track.trackIndex,
+        trackTitle: track.title,
+        artistName: track.artist,
+        discNumber: track.discNumber,
+        position: track.trackNumber
+      });
+      return trackInfo.streamUrl;
+    }
+
+    if (track.torrentInfo?.magnetLink) {
+      return this.getAudioStreamUrl(track.torrentInfo.magnetLink, track.fileName || track.title);
+    }
+
+    // Not a torrent stream (the URL doesn't expire)
+    if (track.audioUrl || track.streamUrl) {
+      return track.audioUrl || track.streamUrl;
+    }
+
+    throw new Error('Track has no stream source');
   }
 
   // Get MIME type for audio file
@@ -199,14 +499,16 @@ class TorrentAudioService {
         throw new Error('No album magnet link provided');
       }
 
-      const { trackName, trackIndex, trackTitle, artistName } = options;
+      const { trackName, trackIndex, trackTitle, artistName, discNumber, position } = options;
       
       console.log('🎵 Requesting album track from backend:', {
         albumMagnetLink: albumMagnetLink.substring(0, 50) + '...',
         trackName,
         trackIndex,
         trackTitle,
-        artistName
+        artistName,
+        discNumber,
+        position
       });
 
       // Request specific track from album
@@ -220,7 +522,10 @@ class TorrentAudioService {
           trackName,
           trackIndex,
           trackTitle,
-          artistName
+          artistName,
+          discNumber,
+          position,
+          ...this.getPlaybackCapabilities()
         })
       });
 
@@ -245,7 +550,10 @@ class TorrentAudioService {
           fileName: data.fileName,
           fileSize: data.fileSize,
           albumName: data.albumName,
+          infoHash: data.infoHash,
           trackIndex: data.trackIndex,
+          discNumber: data.discNumber,
+          trackNumber: data.trackNumber,
           totalTracks: data.totalTracks,
           albumTracks: data.albumTracks
         };